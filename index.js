@@ -3,6 +3,10 @@
 require('dotenv').config({silent: true});
 
 const fs = require('fs');
+const config = require('./lib/helpers/config');
+const helpers = require('./lib/helpers/helpers');
+const circuitBreaker = require('./lib/helpers/circuitBreaker');
+const responseCache = require('./lib/helpers/cache');
 const paths = [
 	`${__dirname}/lib`
 ];
@@ -14,3 +18,40 @@ paths.forEach(path => {
     }
   });
 });
+
+/**
+ * Creates a set of clients configured independently of the default (env based) ones,
+ * e.g. to talk to two different myFT environments from the same process
+ * @param {Object} [overrides] - config values to use instead of the ones in lib/helpers/config.js
+ * @returns {Object} clients - the client instances, keyed as the module exports are,
+ *          plus circuitBreakers and cache, the breakers and response cache shared by these clients
+ */
+function createClients(overrides) {
+  const clientConfig = helpers.mergeConfig(config, overrides);
+  const kinesisClient = module.exports.kinesisClient.create(clientConfig);
+  const myFTClient = module.exports.myFTClient.create(clientConfig, kinesisClient);
+  const accessLicenceClient = module.exports.accessLicenceClient.create(clientConfig);
+
+  return {
+    clientErrors: module.exports.clientErrors,
+    kinesisClient,
+    myFTClient,
+    accessLicenceClient,
+    acquisitionCtxClient: module.exports.acquisitionCtxClient.create(clientConfig),
+    userProfileClient: module.exports.userProfileClient.create(clientConfig),
+    sessionClient: module.exports.sessionClient.create(clientConfig),
+    licenceDataClient: module.exports.licenceDataClient.create(clientConfig),
+    elasticSearchClient: module.exports.elasticSearchClient.create(clientConfig),
+    facetsClient: module.exports.facetsClient.create(clientConfig),
+    licenceSync: module.exports.licenceSync.create(clientConfig, {myFTClient, accessLicenceClient}),
+    circuitBreakers: circuitBreaker.registryFor(clientConfig),
+    cache: responseCache.forConfig(clientConfig),
+    config: clientConfig
+  };
+}
+
+module.exports.createClients = createClients;
+// the breakers of the default clients, e.g. for health checks: circuitBreakers.states()
+module.exports.circuitBreakers = circuitBreaker.registryFor(config);
+// the response cache of the default clients, e.g. to invalidate it: cache.invalidate([['myFTClient.getLicence', [licenceId]]])
+module.exports.cache = responseCache.forConfig(config);
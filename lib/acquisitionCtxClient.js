@@ -2,33 +2,44 @@
 /**
  * Acquisition Context Service Client
  */
-const fetch = require('fetch-retry-or-die');
 const log = require('@financial-times/n-logger').default;
-const config = require('./helpers/config');
+const defaultConfig = require('./helpers/config');
 const helpers = require('./helpers/helpers');
-
-const options = Object.assign({}, config.fetchOptions);
-options.headers = Object.assign({}, options.headers, {"X-API-KEY": config.ACS_API_KEY});
+const requestBuilder = require('./helpers/requestBuilder');
+const transport = require('./helpers/transport');
 
 /**
- * Gets a list of acquisition contents based a filter
- * @param {Object} ctxFilter - an object with one of the following properties set: access-licence-id, email-domain, ip-address
- * @return {Promise} response - array of acquisition context items
+ * Creates an Acquisition Context Service client
+ * @param {Object} config - see lib/helpers/config.js
+ * @returns {Object} client -
  */
-function getContexts(ctxFilter) {
-  const operation = 'acquisitionCtxClient.getContexts';
-  const queryString = helpers.createParams(ctxFilter);
-  log.debug({operation, queryString});
+function create(config) {
+  const fetch = transport.create(config, 'acquisitionContext', 'acquisitionCtxClient');
+  const request = requestBuilder.create(config.fetchOptions, {"X-API-KEY": config.ACS_API_KEY});
+
+  /**
+   * Gets a list of acquisition contents based a filter
+   * @param {Object} ctxFilter - an object with one of the following properties set: access-licence-id, email-domain, ip-address
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of acquisition context items
+   */
+  function getContexts(ctxFilter, callOptions) {
+    const operation = 'acquisitionCtxClient.getContexts';
+    const queryString = helpers.createParams(ctxFilter);
+    log.debug({operation, queryString});
+
+    const url = `${config.ACS_API_URL}${queryString}`;
+    return fetch(url, request.build(), {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, `${operation} ${queryString}`, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, queryString, res: 'success'});
+        return res.items;
+      });
+  }
 
-  const url = `${config.ACS_API_URL}${queryString}`;
-  return fetch(url, options)
-    .then(res => helpers.parseJsonRes(res, `${operation} ${queryString}`))
-    .then(res => {
-      log.debug({operation, queryString, res: 'success'});
-      return res.items;
-    });
+  return {
+    getContexts
+  };
 }
 
-module.exports = {
-  getContexts
-};
+module.exports = Object.assign(create(defaultConfig), {create});
@@ -1,43 +1,207 @@
 'use strict';
 
-function parse(res, message) {
-  // Mot sure if redirect should be throw as it could make it impossible to follow the redirect.
-  // Could copy the res object to the StatusError so it could be inspected, this would also have the
-  // advantage of potentially having any messages included in the body. Perhaps selectivly copy parts ?
-  // Also have a feeling we should consume body to avoid memory leakage...
+// how much of an error response body is kept on the error
+const MAX_ERROR_BODY_LENGTH = 4096;
+// statuses worth retrying an idempotent request for
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// statuses worth retrying a non idempotent request for, i.e. the ones where the request was refused rather than processed
+const NON_IDEMPOTENT_RETRYABLE_STATUSES = [429, 503];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'OPTIONS'];
+// system error codes of requests which never got a response
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+/**
+ * Whether a request method can be sent again without changing the outcome
+ * @param {String} [method] - defaults to GET
+ * @returns {Boolean} idempotent -
+ */
+function isIdempotent(method) {
+  return IDEMPOTENT_METHODS.indexOf((method || 'GET').toUpperCase()) > -1;
+}
+
+/**
+ * Whether a response status is worth retrying the request for, given its method
+ * @param {Number} status -
+ * @param {String} [method] - defaults to GET
+ * @returns {Boolean} retryable -
+ */
+function isRetryableStatus(status, method) {
+  const statuses = isIdempotent(method) ? RETRYABLE_STATUSES : NON_IDEMPOTENT_RETRYABLE_STATUSES;
+  return statuses.indexOf(status) > -1;
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as a date
+ * @param {String|null} value -
+ * @returns {Number|undefined} retryAfter - in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Creates the StatusError matching the response status
+ * @param {Object} res - the fetch response
+ * @param {String} [message] -
+ * @param {Object} [details] - {method, operation, body}
+ * @returns {StatusError} error -
+ * @private
+ */
+function _createError(res, message, details) {
+  message = message === undefined ? `${res.status}: ${res.statusText} for ${res.url}` : `${res.status}: ${res.statusText} ${message}`;
+  const retryAfter = res.headers && typeof res.headers.get === 'function' ? parseRetryAfter(res.headers.get('retry-after')) : undefined;
+  const info = Object.assign({}, details, {status: res.status, url: res.url, retryAfter});
+  switch (res.status) {
+    case 400:
+      return new BadRequestError(message, info);
+    case 401:
+      return new NotAuthorisedError(message, info);
+    case 403:
+      return new ForbiddenError(message, info);
+    case 404:
+      return new NotFoundError(message, info);
+    case 409:
+      return new ConflictError(message, info);
+    case 422:
+      return new UnprocessableEntityError(message, info);
+    case 429:
+      return new TooManyRequestsError(message, info);
+    case 500:
+      return new InternalServerError(message, info);
+    case 502:
+      return new BadGatewayError(message, info);
+    case 503:
+      return new ServiceUnavailableError(message, info);
+    case 504:
+      return new GatewayTimeoutError(message, info);
+    default:
+      if (300 <= res.status && res.status < 400) {
+        return new RedirectionError(message, info);
+      } else if (res.status < 500) {
+        return new ClientError(message, info);
+      }
+      return new ServerError(message, info);
+  }
+}
+
+/**
+ * Reads (and so drains) the response body, keeping at most MAX_ERROR_BODY_LENGTH of it
+ * @param {Object} res - the fetch response
+ * @returns {Promise} body - the parsed JSON, or the text if it isn't JSON
+ * @private
+ */
+function _readBody(res) {
+  if (typeof res.text !== 'function' || res.bodyUsed === true) {
+    return Promise.resolve(undefined);
+  }
+  return res.text()
+    .then(text => {
+      if (!text) {
+        return undefined;
+      }
+      if (text.length > MAX_ERROR_BODY_LENGTH) {
+        return text.slice(0, MAX_ERROR_BODY_LENGTH);
+      }
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return text;
+      }
+    })
+    .catch(() => undefined);
+}
+
+/**
+ * Throws a StatusError if the response isn't ok, without touching its body
+ * @param {Object} res - the fetch response
+ * @param {String} [message] -
+ * @param {Object} [details] - {method, operation}
+ * @returns {Object} res -
+ * @throws {StatusError} error -
+ */
+function parse(res, message, details) {
+  // Not sure if redirect should be throw as it could make it impossible to follow the redirect.
   if (!res.ok) {
-    message = message === undefined ? `${res.status}: ${res.statusText} for ${res.url}` : `${res.status}: ${res.statusText} ${message}`;
-    switch (res.status) {
-      case 400:
-        throw new BadRequestError(message);
-      case 401:
-        throw new NotAuthorisedError(message);
-      case 404:
-        throw new NotFoundError(message);
-      case 500:
-        throw new InternalServerError(message);
-      case 502:
-        throw new BadGatewayError(message);
-      case 503:
-        throw new ServiceUnavailableError(message);
-      default:
-        if (300 <= res.status && res.status < 400) {
-          throw new RedirectionError(message);
-        } else if (res.status < 500) {
-          throw new ClientError(message);
-        } else if (res.status >= 500) {
-          throw new ServerError(message);
-        }
-    }
+    throw _createError(res, message, details);
   }
   return res;
 }
 
+/**
+ * Like parse, but consumes the body of a failed response (avoiding socket leaks) and adds it to the error
+ * @param {Object} res - the fetch response
+ * @param {String} [message] -
+ * @param {Object} [details] - {method, operation}
+ * @returns {Promise} res - rejected with a StatusError if the response isn't ok
+ */
+function parseResponse(res, message, details) {
+  if (res.ok) {
+    return Promise.resolve(res);
+  }
+  return _readBody(res)
+    .then(body => {
+      throw _createError(res, message, Object.assign({}, details, {body}));
+    });
+}
+
+/**
+ * Turns the rejection of a fetch into a typed error, e.g. TimeoutError or ConnectionError
+ * @param {Error} err - the rejection reason
+ * @param {Object} [details] - {url, method, operation}
+ * @returns {Error} error - the error itself if it's already a StatusError, or not a network error
+ */
+function fromFetchError(err, details) {
+  if (err instanceof StatusError || !(err instanceof Error)) {
+    return err;
+  }
+  const info = Object.assign({}, details, {retryable: true, cause: err});
+  const code = err.code || (err.errno && typeof err.errno === 'string' ? err.errno : undefined);
+
+  if (err.type === 'request-timeout' || TIMEOUT_CODES.indexOf(code) > -1) {
+    return new TimeoutError(err.message, info);
+  }
+  if (err.type === 'system' || CONNECTION_CODES.indexOf(code) > -1) {
+    return new ConnectionError(err.message, info);
+  }
+  return err;
+}
+
 class StatusError extends Error {
-  constructor(message){
+  /**
+   * @param {String} message -
+   * @param {Object} [details] -
+   * @param {Number} [details.status] - the response status
+   * @param {String} [details.url] - the request url
+   * @param {String} [details.method] - the request method
+   * @param {String} [details.operation] - the client operation, e.g. myFTClient.getLicence
+   * @param {*} [details.body] - the response body, parsed if JSON
+   * @param {Boolean} [details.retryable] - defaults to whether the status is worth a retry, for the method, see isRetryableStatus
+   * @param {Number} [details.retryAfter] - from the Retry-After header, in milliseconds
+   * @param {Error} [details.cause] - the underlying error, for network errors
+   */
+  constructor(message, details){
     super(message);
+    const info = details || {};
     this.message = message;
     this.name = this.constructor.name;
+    this.status = info.status;
+    this.url = info.url;
+    this.method = info.method;
+    this.operation = info.operation;
+    this.body = info.body;
+    this.retryable = info.retryable !== undefined ? info.retryable : isRetryableStatus(info.status, info.method);
+    this.retryAfter = info.retryAfter;
+    if (info.cause !== undefined) {
+      this.cause = info.cause;
+    }
   }
 }
 
@@ -45,8 +209,16 @@ class BadRequestError extends StatusError {}
 
 class NotAuthorisedError extends StatusError {}
 
+class ForbiddenError extends StatusError {}
+
 class NotFoundError extends StatusError {}
 
+class ConflictError extends StatusError {}
+
+class UnprocessableEntityError extends StatusError {}
+
+class TooManyRequestsError extends StatusError {}
+
 class RedirectionError extends StatusError {}
 
 class ClientError extends StatusError {}
@@ -57,18 +229,136 @@ class BadGatewayError extends StatusError {}
 
 class ServiceUnavailableError extends StatusError {}
 
+class GatewayTimeoutError extends StatusError {}
+
 class ServerError extends StatusError {}
 
+// the request timed out without a response
+class TimeoutError extends StatusError {}
+
+// the connection to the api couldn't be made, or was lost
+class ConnectionError extends StatusError {}
+
+// the call was cancelled through its abort signal
+class AbortError extends StatusError {}
+
+// the request wasn't made as the circuit breaker of the upstream is open, i.e. the api is failing
+class CircuitOpenError extends StatusError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError, plus
+   * @param {String} [details.upstream] - the upstream service, e.g. myFT
+   */
+  constructor(message, details) {
+    super(message, Object.assign({retryable: false}, details));
+    this.upstream = (details || {}).upstream;
+  }
+}
+
+// an api answered successfully, but with something the client can't use, e.g. seats which aren't a list
+class UnexpectedResponseError extends StatusError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError
+   */
+  constructor(message, details) {
+    super(message, Object.assign({retryable: false}, details));
+  }
+}
+
+// some (or all) of the chunks of a batched write failed, the ids written being in result.succeeded
+class BatchPartialFailureError extends ClientError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError, plus
+   * @param {BatchResult} [details.result] - the outcome of each chunk, see lib/helpers/batchResult.js
+   */
+  constructor(message, details) {
+    super(message, Object.assign({retryable: false}, details));
+    this.result = (details || {}).result;
+  }
+}
+
+// a Kinesis event isn't valid, or a record can't be decoded, see lib/kinesisEvents.js
+class EventValidationError extends StatusError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError, plus
+   * @param {String} [details.event] - the event type
+   * @param {Array} [details.errors] - what's wrong with it
+   */
+  constructor(message, details) {
+    super(message, Object.assign({retryable: false}, details));
+    this.event = (details || {}).event;
+    this.errors = (details || {}).errors || [];
+  }
+}
+
+// some records of a Kinesis write weren't delivered, once retried, see lib/kinesisClient.js
+class KinesisDeliveryError extends StatusError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError, plus
+   * @param {Object} [details.result] - {delivered, undelivered}, the records
+   */
+  constructor(message, details) {
+    super(message, Object.assign({retryable: false}, details));
+    this.result = (details || {}).result;
+  }
+}
+
+// a Kinesis record is over the size Kinesis takes, even compressed, see lib/kinesisClient.js
+class KinesisRecordTooLargeError extends StatusError {
+  /**
+   * @param {String} message -
+   * @param {Object} [details] - as StatusError, plus
+   * @param {String} [details.event] - the event type
+   * @param {String} [details.uuid] - of the user of the record
+   * @param {Number} [details.size] - of the record, in bytes
+   * @param {Number} [details.limit] - in bytes
+   */
+  constructor(message, details) {
+    const info = details || {};
+    super(message, Object.assign({retryable: false}, info));
+    this.event = info.event;
+    this.uuid = info.uuid;
+    this.size = info.size;
+    this.limit = info.limit;
+  }
+}
+
 module.exports = {
   parse,
+  parseResponse,
+  fromFetchError,
+  parseRetryAfter,
+  isIdempotent,
+  isRetryableStatus,
+  RETRYABLE_STATUSES,
+  NON_IDEMPOTENT_RETRYABLE_STATUSES,
+  IDEMPOTENT_METHODS,
   StatusError,
   RedirectionError,
   BadRequestError,
   NotAuthorisedError,
+  ForbiddenError,
   NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
   ClientError,
   InternalServerError,
   BadGatewayError,
   ServiceUnavailableError,
-  ServerError
+  GatewayTimeoutError,
+  ServerError,
+  TimeoutError,
+  ConnectionError,
+  AbortError,
+  CircuitOpenError,
+  UnexpectedResponseError,
+  BatchPartialFailureError,
+  EventValidationError,
+  KinesisDeliveryError,
+  KinesisRecordTooLargeError
 };
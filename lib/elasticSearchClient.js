@@ -1,27 +1,57 @@
 const signedFetch = require('signed-aws-es-fetch');
 const log = require('@financial-times/n-logger').default;
 const helpers = require('./helpers/helpers');
-const config = require('./helpers/config');
+const defaultConfig = require('./helpers/config');
+const retry = require('./helpers/retry');
+const circuitBreaker = require('./helpers/circuitBreaker');
+const cancellation = require('./helpers/cancellation');
 
 /**
- * Gets a list of headlines for a specific topic, from the Elastic Search api
- * @param {Object} query - The ES query object
- * @return {Promise} response -
+ * Creates an Elastic Search client
+ * @param {Object} config - see lib/helpers/config.js
+ * @returns {Object} client -
  */
-function getTopicHeadlines(query) {
-  const operation = 'elasticSearchClient.getTopicHeadlines';
-  const queryStr = JSON.stringify(query);
-  log.debug({operation, query: queryStr});
+function create(config) {
+  const retryPolicy = retry.createPolicy(config);
+  const breaker = circuitBreaker.registryFor(config).get('elasticSearch');
+  const defaultTimeout = cancellation.defaultTimeout(config, 'elasticSearchClient');
 
-  return signedFetch(config.ELASTIC_SEARCH_URL, query)
-    .then(res => {
-      log.debug({operation, query: queryStr, status: res.status});
-      return res;
-    })
-    .then(helpers.parseJsonRes);
-}
+  /**
+   * Gets a list of headlines for a specific topic, from the Elastic Search api
+   * @param {Object} query - The ES query object
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+   */
+  function getTopicHeadlines(query, callOptions) {
+    const operation = 'elasticSearchClient.getTopicHeadlines';
+    const queryStr = JSON.stringify(query);
+    log.debug({operation, query: queryStr});
+
+    const details = {url: config.ELASTIC_SEARCH_URL, method: 'POST', operation};
+    const deadline = cancellation.create(callOptions, defaultTimeout);
+    // the searches don't change anything, so they're retried like idempotent requests
+    const policy = retry.forOperation(retryPolicy, operation);
+    const search = () => retry.execute(() => {
+        if (deadline !== undefined) {
+          deadline.check(details);
+        }
+        return breaker.execute(() => signedFetch(config.ELASTIC_SEARCH_URL, query));
+      }, policy, {
+        operation,
+        shouldRetry: outcome => retry.isRetryableRequest(policy, 'GET', outcome)
+      });
 
+    return (deadline !== undefined ? deadline.run(search, details) : search())
+      .then(res => {
+        log.debug({operation, query: queryStr, status: res.status});
+        return res;
+      })
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'POST'}));
+  }
+
+  return {
+    getTopicHeadlines
+  };
+}
 
-module.exports = {
-  getTopicHeadlines
-};
+module.exports = Object.assign(create(defaultConfig), {create});
@@ -1,31 +1,45 @@
-const fetch = require('fetch-retry-or-die');
 const log = require('@financial-times/n-logger').default;
 const helpers = require('./helpers/helpers');
-const config = require('./helpers/config');
+const requestBuilder = require('./helpers/requestBuilder');
+const transport = require('./helpers/transport');
+const defaultConfig = require('./helpers/config');
 
 /**
- * Gets a list of topics from the Facets api
- * @param {Object} params -
- *                      tagged: List of already selected topics separated by comma
- *                      maxResults: The maximum number of results
- *                      queryString: The query string
- * @return {Promise} result -
+ * Creates a Facets API client
+ * @param {Object} config - see lib/helpers/config.js
+ * @returns {Object} client -
  */
-function getTopics(params) {
-  const operation = 'facetsClient.getTopics';
-  const paramStr = JSON.stringify(params);
-  log.debug({operation, params: paramStr});
+function create(config) {
+  const fetch = transport.create(config, 'facets', 'facetsClient');
+  const request = requestBuilder.create(config.fetchOptions);
 
-  const theUrl = `${config.FACETS_SEARCH_URL}${helpers.createParams(params)}`;
+  /**
+   * Gets a list of topics from the Facets api
+   * @param {Object} params -
+   *                      tagged: List of already selected topics separated by comma
+   *                      maxResults: The maximum number of results
+   *                      queryString: The query string
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} result -
+   */
+  function getTopics(params, callOptions) {
+    const operation = 'facetsClient.getTopics';
+    const paramStr = JSON.stringify(params);
+    log.debug({operation, params: paramStr});
 
-  return fetch(theUrl, config.fetchOptions)
-    .then(res => {
-      log.debug({operation, status: res.status});
-      return res;
-    })
-    .then(helpers.parseJsonRes);
+    const theUrl = `${config.FACETS_SEARCH_URL}${helpers.createParams(params)}`;
+
+    return fetch(theUrl, request.build(), {operation, callOptions})
+      .then(res => {
+        log.debug({operation, status: res.status});
+        return res;
+      })
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}));
+  }
+
+  return {
+    getTopics
+  };
 }
 
-module.exports = {
-  getTopics
-};
+module.exports = Object.assign(create(defaultConfig), {create});
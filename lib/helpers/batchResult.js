@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * The result of a batched myFT write, the ids being written a chunk (of BATCH_USER_COUNT) at a time.
+ * It's the array of the chunk responses (or errors) it's always been, with the outcome of each chunk on top.
+ */
+class BatchResult extends Array {
+  // map, filter, etc. give plain arrays
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  /**
+   * @param {Array} chunks - {ids, response} or {ids, error}, in the order of the chunks
+   * @param {Function} [retry] - (ids, callOptions) => Promise of a BatchResult, writing these ids again
+   */
+  constructor(chunks, retry) {
+    super();
+    chunks.forEach(chunk => this.push(chunk.error !== undefined ? chunk.error : chunk.response));
+    Object.defineProperty(this, 'chunks', {value: chunks.map((chunk, i) => Object.assign({chunk: i}, chunk))});
+    Object.defineProperty(this, '_retry', {value: retry});
+  }
+
+  /**
+   * @returns {Array} ids - of the chunks which succeeded
+   */
+  get succeeded() {
+    return this.chunks.filter(chunk => chunk.error === undefined)
+      .reduce((ids, chunk) => ids.concat(chunk.ids), []);
+  }
+
+  /**
+   * @returns {Array} ids - of the chunks which failed
+   */
+  get failed() {
+    return this.failedChunks.reduce((ids, chunk) => ids.concat(chunk.ids), []);
+  }
+
+  /**
+   * @returns {Array} chunks - {chunk, ids, error}, the chunks which failed
+   */
+  get failedChunks() {
+    return this.chunks.filter(chunk => chunk.error !== undefined);
+  }
+
+  /**
+   * @returns {Boolean} partial - whether some chunks failed
+   */
+  get hasFailures() {
+    return this.failedChunks.length > 0;
+  }
+
+  /**
+   * Writes the ids which failed again
+   * @param {Object} [callOptions] - as the write's, see lib/helpers/cancellation.js
+   * @returns {Promise} result - the BatchResult of the retry, an empty one if nothing failed
+   */
+  retryFailed(callOptions) {
+    const ids = this.failed;
+    if (ids.length === 0) {
+      return Promise.resolve(new BatchResult([], this._retry));
+    }
+    return this._retry(ids, callOptions);
+  }
+}
+
+module.exports = BatchResult;
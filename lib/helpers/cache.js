@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Opt-in response cache of the read-heavy lookups, with per operation TTLs, coalescing of identical in-flight calls
+ * and invalidation by the write functions. The calls with a timeout or signal of their own aren't coalesced, so one
+ * caller cancelling doesn't fail the others.
+ *
+ * The store is pluggable, anything with these (sync or Promise returning) functions will do, e.g. a Redis adapter:
+ * get(key) - the value, undefined if there's none
+ * set(key, value, ttl) - ttl in milliseconds, the value being JSON serialisable
+ * delete(key) -
+ */
+const log = require('@financial-times/n-logger').default;
+const cancellation = require('./cancellation');
+
+const DEFAULT_OPTIONS = {
+  enabled: false,
+  // prefixed to the keys, e.g. to share a Redis between apps
+  prefix: 'kat:',
+  // the size of the default, in memory, store
+  maxEntries: 1000,
+  // TTL of the operations not in ttls, 0 for not cached
+  defaultTtl: 0,
+  ttls: {}
+};
+
+// TTLs per operation, in milliseconds
+const DEFAULT_TTLS = {
+  'accessLicenceClient.getLicenceInfo': 300000,
+  'accessLicenceClient.getAdministrators': 60000,
+  'userProfileClient.getUUID': 3600000,
+  'myFTClient.getLicence': 60000,
+  'myFTClient.getGroupsForLicence': 60000,
+  'myFTClient.getUsersForLicence': 60000,
+  'myFTClient.getUsersForGroup': 60000,
+  'myFTClient.getConceptsFollowedByGroup': 60000,
+  'myFTClient.getConceptsFollowedByUser': 60000
+};
+
+// the cache of each config, so the clients created with the same config share it
+const caches = new WeakMap();
+
+/**
+ * Copies a value, so nobody can change what's cached
+ * @param {*} value - JSON serialisable
+ * @returns {*} copy -
+ * @private
+ */
+function _clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates an in memory, least recently used, store
+ * @param {Object} [options] -
+ * @param {Number} [options.maxEntries] - the least recently used entries are evicted past it
+ * @returns {Object} store -
+ */
+function createMemoryStore(options) {
+  const maxEntries = (options || {}).maxEntries || DEFAULT_OPTIONS.maxEntries;
+  // a Map keeps the insertion order, the least recently used entry being the first
+  const entries = new Map();
+
+  /**
+   * @param {String} key -
+   * @returns {Promise} value - undefined if not cached, or expired
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (entry === undefined) {
+      return Promise.resolve(undefined);
+    }
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return Promise.resolve(undefined);
+    }
+    entries.set(key, entry);
+    return Promise.resolve(JSON.parse(entry.value));
+  }
+
+  /**
+   * @param {String} key -
+   * @param {*} value - JSON serialisable
+   * @param {Number} ttl - in milliseconds
+   * @returns {Promise} done -
+   */
+  function set(key, value, ttl) {
+    entries.delete(key);
+    entries.set(key, {value: JSON.stringify(value), expiresAt: Date.now() + ttl});
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * @param {String} key -
+   * @returns {Promise} done -
+   */
+  function del(key) {
+    entries.delete(key);
+    return Promise.resolve();
+  }
+
+  return {
+    get,
+    set,
+    delete: del,
+    size: () => entries.size,
+    clear: () => entries.clear()
+  };
+}
+
+/**
+ * Creates a cache
+ * @param {Object} [options] - see DEFAULT_OPTIONS, plus store, defaulting to an in memory one
+ * @returns {Object} cache -
+ */
+function create(options) {
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  const ttls = Object.assign({}, DEFAULT_TTLS, opts.ttls);
+  const store = opts.store || createMemoryStore({maxEntries: opts.maxEntries});
+  // the pending calls, to coalesce the identical ones
+  const inFlight = new Map();
+  // bumped on invalidation, so a call started before it doesn't cache a stale value
+  const versions = new Map();
+
+  /**
+   * @param {String} operation - e.g. accessLicenceClient.getLicenceInfo
+   * @param {Array} parts - what identifies the call, e.g. the licence id
+   * @returns {String} key -
+   */
+  function key(operation, parts) {
+    return [`${opts.prefix}${operation}`].concat(parts).join(':');
+  }
+
+  /**
+   * @param {String} operation -
+   * @returns {Number} ttl - in milliseconds, 0 if the operation isn't cached
+   */
+  function ttlFor(operation) {
+    const ttl = ttls[operation] !== undefined ? ttls[operation] : opts.defaultTtl;
+    return opts.enabled === true && ttl > 0 ? ttl : 0;
+  }
+
+  /**
+   * Gets the result of a call from the cache, making the call (only once for identical calls in flight) if it isn't cached
+   * @param {String} operation - e.g. accessLicenceClient.getLicenceInfo
+   * @param {Array} parts - what identifies the call, e.g. the licence id
+   * @param {Function} fn - () => Promise, the call
+   * @param {Object} [callOptions] - those of the call, {timeout, signal}, a call with either not being coalesced
+   * @returns {Promise} result - a copy of it
+   */
+  function wrap(operation, parts, fn, callOptions) {
+    const ttl = ttlFor(operation);
+    if (ttl === 0) {
+      return fn();
+    }
+
+    const theKey = key(operation, parts);
+    const load = () => {
+      const version = versions.get(theKey);
+      return Promise.resolve()
+        .then(() => store.get(theKey))
+        .catch(err => {
+          log.warn({operation, key: theKey, msg: 'Cache read failed', error: err.message});
+          return undefined;
+        })
+        .then(cached => {
+          if (cached !== undefined && cached !== null) {
+            log.debug({operation, key: theKey, msg: 'Cache hit'});
+            return cached;
+          }
+          return fn()
+            .then(value => {
+              // nothing found isn't cached, neither is a value invalidated while being fetched
+              if (value === undefined || value === null || versions.get(theKey) !== version) {
+                return value;
+              }
+              return Promise.resolve()
+                .then(() => store.set(theKey, value, ttl))
+                .catch(err => log.warn({operation, key: theKey, msg: 'Cache write failed', error: err.message}))
+                .then(() => value);
+            });
+        });
+    };
+
+    // the call could be cancelled, or time out, sooner than the others
+    if (cancellation.create(callOptions) !== undefined) {
+      return load().then(_clone);
+    }
+    if (!inFlight.has(theKey)) {
+      const pending = load();
+      const done = () => {
+        if (inFlight.get(theKey) === pending) {
+          inFlight.delete(theKey);
+        }
+      };
+      pending.then(done, done);
+      inFlight.set(theKey, pending);
+    }
+
+    return inFlight.get(theKey).then(_clone);
+  }
+
+  /**
+   * Removes cached calls, e.g. after a write
+   * @param {Array} calls - [operation, parts] pairs, e.g. [['myFTClient.getUsersForGroup', [groupId]]]
+   * @returns {Promise} done - never rejected, a failure being logged
+   */
+  function invalidate(calls) {
+    if (opts.enabled !== true) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(calls.map(call => {
+      const theKey = key(call[0], call[1]);
+      versions.set(theKey, (versions.get(theKey) || 0) + 1);
+      inFlight.delete(theKey);
+      return Promise.resolve()
+        .then(() => store.delete(theKey))
+        .catch(err => log.warn({operation: call[0], key: theKey, msg: 'Cache invalidation failed', error: err.message}));
+    }))
+      .then(() => undefined);
+  }
+
+  return {
+    enabled: opts.enabled === true,
+    store,
+    key,
+    ttlFor,
+    wrap,
+    invalidate
+  };
+}
+
+/**
+ * Gets the cache of a config, shared by all the clients created with it
+ * @param {Object} config - uses config.cache for the options
+ * @returns {Object} cache -
+ */
+function forConfig(config) {
+  if (!caches.has(config)) {
+    caches.set(config, create(config.cache));
+  }
+  return caches.get(config);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  DEFAULT_TTLS,
+  createMemoryStore,
+  create,
+  forConfig
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Timeouts and cancellation of the client calls, a call being given {timeout, signal} as its last argument:
+ * timeout - in milliseconds, for the whole call (pagination and retries included)
+ * signal - an AbortSignal (or anything with aborted and add/removeEventListener('abort')), cancelling the call when aborted
+ */
+const clientErrors = require('./../clientErrors');
+
+class Deadline {
+  /**
+   * @param {Number} [timeout] - in milliseconds
+   * @param {Object} [signal] - AbortSignal like
+   */
+  constructor(timeout, signal) {
+    this.timeout = timeout;
+    this.signal = signal;
+    this.expiresAt = timeout !== undefined ? Date.now() + timeout : undefined;
+  }
+
+  /**
+   * @returns {Number|undefined} remaining - milliseconds left, undefined if there's no timeout
+   */
+  remaining() {
+    return this.expiresAt === undefined ? undefined : Math.max(this.expiresAt - Date.now(), 0);
+  }
+
+  /**
+   * @param {Object} [details] - {url, method, operation}
+   * @returns {Error|undefined} error - the TimeoutError or AbortError to fail with, if the call is over
+   */
+  error(details) {
+    const info = Object.assign({}, details, {retryable: false});
+    if (this.signal && this.signal.aborted) {
+      return new clientErrors.AbortError('The request was cancelled', info);
+    }
+    if (this.expiresAt !== undefined && Date.now() >= this.expiresAt) {
+      return new clientErrors.TimeoutError(`The request timed out after ${this.timeout}ms`, info);
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {Object} [details] - {url, method, operation}
+   * @returns {undefined}
+   * @throws {Error} error - TimeoutError or AbortError, if the call is over
+   */
+  check(details) {
+    const err = this.error(details);
+    if (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Runs an async function, rejecting as soon as the call times out or is cancelled
+   * @param {Function} fn - () => Promise
+   * @param {Object} [details] - {url, method, operation}, for the errors
+   * @param {Function} [onLate] - (result) => *, given the result of fn if it comes after the rejection, e.g. to free a response
+   * @returns {Promise} result -
+   */
+  run(fn, details, onLate) {
+    return new Promise((resolve, reject) => {
+      let timer;
+      let settled = false;
+
+      const settle = (callback, value) => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          if (this.signal && typeof this.signal.removeEventListener === 'function') {
+            this.signal.removeEventListener('abort', onAbort);
+          }
+          callback(value);
+        } else if (callback === resolve && onLate) {
+          onLate(value);
+        }
+      };
+      const onAbort = () => settle(reject, this.error(details));
+
+      const err = this.error(details);
+      if (err) {
+        return reject(err);
+      }
+      if (this.expiresAt !== undefined) {
+        timer = setTimeout(() => {
+          settle(reject, this.error(details) || new clientErrors.TimeoutError(`The request timed out after ${this.timeout}ms`, Object.assign({}, details, {retryable: false})));
+        }, this.remaining());
+      }
+      if (this.signal && typeof this.signal.addEventListener === 'function') {
+        this.signal.addEventListener('abort', onAbort);
+      }
+
+      Promise.resolve()
+        .then(fn)
+        .then(result => settle(resolve, result), error => settle(reject, error));
+    });
+  }
+}
+
+/**
+ * Creates the deadline of a call
+ * @param {Object|Deadline} [callOptions] - {timeout, signal}, or the deadline of a call this one is part of
+ * @param {Number} [defaultTimeout] - used if callOptions has no timeout
+ * @returns {Deadline|undefined} deadline - undefined if there's neither a timeout nor a signal
+ */
+function create(callOptions, defaultTimeout) {
+  if (callOptions instanceof Deadline) {
+    return callOptions;
+  }
+  const opts = callOptions || {};
+  const timeout = opts.timeout !== undefined ? parseInt(opts.timeout, 10) : defaultTimeout;
+  if ((timeout === undefined || isNaN(timeout) || timeout <= 0) && !opts.signal) {
+    return undefined;
+  }
+  return new Deadline(timeout > 0 ? timeout : undefined, opts.signal);
+}
+
+/**
+ * Gets the default timeout of a client
+ * @param {Object} config - uses config.timeouts, e.g. {default: 30000, myFTClient: 60000}
+ * @param {String} client - the client name, e.g. myFTClient
+ * @returns {Number|undefined} timeout - in milliseconds
+ */
+function defaultTimeout(config, client) {
+  const timeouts = config.timeouts || {};
+  return timeouts[client] !== undefined ? timeouts[client] : timeouts.default;
+}
+
+module.exports = {
+  Deadline,
+  create,
+  defaultTimeout
+};
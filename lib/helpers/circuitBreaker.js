@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Circuit breakers, one per upstream service, so a service which is down fails fast instead of being hammered:
+ * closed - requests go through, consecutive failures are counted
+ * open - requests are refused with a CircuitOpenError, until resetTimeout has passed
+ * half-open - a limited number of trial requests go through, closing the circuit on success, opening it again on failure
+ */
+const log = require('@financial-times/n-logger').default;
+const clientErrors = require('./../clientErrors');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  // consecutive failures opening the circuit
+  failureThreshold: 10,
+  // how long the circuit stays open before letting trial requests through, in milliseconds
+  resetTimeout: 30000,
+  // trial requests let through while half open
+  halfOpenMaxCalls: 1,
+  // options per upstream, e.g. {myFT: {failureThreshold: 20}}
+  upstreams: {}
+};
+
+// the upstreams of the clients, whose breakers are there from the start, so a health check made before any request reports them
+const UPSTREAMS = ['myFT', 'accessLicence', 'acquisitionContext', 'userProfile', 'apiGateway', 'elasticSearch', 'facets'];
+
+// the breakers of each config, so the clients created with the same config share them
+const registries = new WeakMap();
+
+/**
+ * Whether the outcome of a request means the upstream is failing, i.e. no response or a 5xx
+ * @param {Object} outcome - {error} or {result: response}
+ * @returns {Boolean} failure -
+ */
+function isUpstreamFailure(outcome) {
+  if (outcome.error) {
+    if (outcome.error instanceof clientErrors.ConnectionError || outcome.error instanceof clientErrors.TimeoutError) {
+      return true;
+    }
+    return outcome.error.status >= 500;
+  }
+  return !!outcome.result && outcome.result.status >= 500;
+}
+
+/**
+ * Creates a circuit breaker
+ * @param {String} name - the upstream name, e.g. myFT
+ * @param {Object} [options] - see DEFAULT_OPTIONS
+ * @returns {Object} breaker -
+ */
+function create(name, options) {
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  let state = STATES.CLOSED;
+  let failures = 0;
+  let trials = 0;
+  let openedAt;
+  let lastFailure;
+
+  /**
+   * @param {String} to - the new state
+   * @returns {undefined}
+   * @private
+   */
+  function _transition(to) {
+    if (state !== to) {
+      log.warn({operation: 'circuitBreaker', upstream: name, from: state, to, failures});
+      state = to;
+    }
+  }
+
+  /**
+   * Gets the current state, moving an open circuit to half-open once the reset timeout has passed
+   * @returns {String} state -
+   */
+  function getState() {
+    if (state === STATES.OPEN && Date.now() - openedAt >= opts.resetTimeout) {
+      trials = 0;
+      _transition(STATES.HALF_OPEN);
+    }
+    return state;
+  }
+
+  /**
+   * @param {Object} outcome - {error} or {result}
+   * @returns {undefined}
+   * @private
+   */
+  function _record(outcome) {
+    if (!isUpstreamFailure(outcome)) {
+      failures = 0;
+      _transition(STATES.CLOSED);
+      return;
+    }
+
+    failures++;
+    lastFailure = {
+      at: new Date().toISOString(),
+      reason: outcome.error ? outcome.error.message : outcome.result.status
+    };
+    if (state === STATES.HALF_OPEN || failures >= opts.failureThreshold) {
+      openedAt = Date.now();
+      _transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Runs a request through the breaker
+   * @param {Function} fn - () => Promise
+   * @returns {Promise} result - of fn, rejected with a CircuitOpenError if the circuit is open
+   */
+  function execute(fn) {
+    const current = getState();
+    if (current === STATES.OPEN || (current === STATES.HALF_OPEN && trials >= opts.halfOpenMaxCalls)) {
+      const retryAfter = current === STATES.OPEN ? Math.max(openedAt + opts.resetTimeout - Date.now(), 0) : undefined;
+      return Promise.reject(new clientErrors.CircuitOpenError(`The circuit for ${name} is ${current}`, {upstream: name, retryAfter}));
+    }
+    if (current === STATES.HALF_OPEN) {
+      trials++;
+    }
+
+    return Promise.resolve()
+      .then(fn)
+      .then(result => {
+        _record({result});
+        return result;
+      }, error => {
+        _record({error});
+        throw error;
+      });
+  }
+
+  /**
+   * Gets the state and counters, e.g. for health checks
+   * @returns {Object} stats - {upstream, state, failures, openedAt, lastFailure}
+   */
+  function stats() {
+    return {
+      upstream: name,
+      state: getState(),
+      failures,
+      openedAt: state === STATES.CLOSED || openedAt === undefined ? undefined : new Date(openedAt).toISOString(),
+      lastFailure
+    };
+  }
+
+  /**
+   * Closes the circuit
+   * @returns {undefined}
+   */
+  function reset() {
+    failures = 0;
+    trials = 0;
+    openedAt = undefined;
+    _transition(STATES.CLOSED);
+  }
+
+  return {
+    name,
+    getState,
+    execute,
+    stats,
+    reset
+  };
+}
+
+/**
+ * Creates a set of breakers, one per upstream, those of UPSTREAMS being created straight away
+ * @param {Object} [options] - see DEFAULT_OPTIONS
+ * @returns {Object} registry -
+ */
+function createRegistry(options) {
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  const breakers = {};
+
+  /**
+   * Gets the breaker of an upstream, creating it if needed
+   * @param {String} upstream -
+   * @returns {Object} breaker -
+   */
+  function get(upstream) {
+    if (breakers[upstream] === undefined) {
+      breakers[upstream] = create(upstream, Object.assign({}, opts, (opts.upstreams || {})[upstream]));
+    }
+    return breakers[upstream];
+  }
+
+  UPSTREAMS.forEach(get);
+
+  /**
+   * Gets the state of every breaker, e.g. for health checks
+   * @returns {Object} states - keyed by upstream, see breaker.stats
+   */
+  function states() {
+    const result = {};
+    Object.keys(breakers).forEach(upstream => {
+      result[upstream] = breakers[upstream].stats();
+    });
+    return result;
+  }
+
+  /**
+   * Closes every circuit
+   * @returns {undefined}
+   */
+  function reset() {
+    Object.keys(breakers).forEach(upstream => breakers[upstream].reset());
+  }
+
+  return {
+    get,
+    states,
+    reset
+  };
+}
+
+/**
+ * Gets the breakers of a config, shared by all the clients created with it
+ * @param {Object} config - uses config.circuitBreaker for the options
+ * @returns {Object} registry -
+ */
+function registryFor(config) {
+  if (!registries.has(config)) {
+    registries.set(config, createRegistry(config.circuitBreaker));
+  }
+  return registries.get(config);
+}
+
+module.exports = {
+  STATES,
+  DEFAULT_OPTIONS,
+  UPSTREAMS,
+  isUpstreamFailure,
+  create,
+  createRegistry,
+  registryFor
+};
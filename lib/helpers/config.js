@@ -11,6 +11,30 @@ const config = {
     maxRetries: envVars.MAX_RETRIES || 5,
     retryDelay: parseInt((envVars.RETRY_DELAY || 300), 10)
   },
+  // see lib/helpers/retry.js, maxRetries and the base delay come from the fetchOptions
+  retryPolicy: {
+    maxDelay: parseInt((envVars.RETRY_MAX_DELAY || 10000), 10)
+  },
+  // default timeout of each request, in milliseconds, can be set per client e.g. {myFTClient: 60000}, see lib/helpers/cancellation.js
+  timeouts: {
+    default: parseInt((envVars.REQUEST_TIMEOUT || 30000), 10)
+  },
+  // opt-in response cache, see lib/helpers/cache.js
+  cache: {
+    enabled: envVars.CACHE_ENABLED === 'true',
+    maxEntries: parseInt((envVars.CACHE_MAX_ENTRIES || 1000), 10)
+  },
+  // progress of the sagas of the clients (e.g. offboardUser), see lib/saga.js, kept in memory unless given a store: createClients({saga: {store}})
+  saga: {
+    prefix: envVars.SAGA_PREFIX || 'kat:saga:',
+    // the compensations get a deadline of their own, in milliseconds, as they run once the call's may be over
+    compensationTimeout: parseInt((envVars.SAGA_COMPENSATION_TIMEOUT || 60000), 10)
+  },
+  // see lib/helpers/circuitBreaker.js
+  circuitBreaker: {
+    failureThreshold: parseInt((envVars.CIRCUIT_FAILURE_THRESHOLD || 10), 10),
+    resetTimeout: parseInt((envVars.CIRCUIT_RESET_TIMEOUT || 30000), 10)
+  },
   MYFT_API_URL: envVars.MYFT_API_URL,
   MYFT_API_KEY: envVars.MYFT_API_KEY,
   ACS_API_URL: envVars.ACS_API_URL,
@@ -29,11 +53,30 @@ const config = {
   MYFT_NO_EVENT: envVars.MYFT_NO_EVENT || 'true',
   MYFT_WAIT_FOR_PURGE_ADD: envVars.MYFT_WAIT_FOR_PURGE_ADD || 'false',
   MYFT_WAIT_FOR_PURGE_REMOVE: envVars.MYFT_WAIT_FOR_PURGE_REMOVE || 'false',
+  MYFT_PAGE_SIZE: parseInt((envVars.MYFT_PAGE_SIZE || 500), 10),
+  // how many pages are fetched at once after the first one, 1 for one after the other
+  MYFT_PAGE_CONCURRENCY: parseInt((envVars.MYFT_PAGE_CONCURRENCY || 1), 10),
   BATCH_USER_COUNT: parseInt((envVars.BATCH_USER_COUNT || 5), 10),
   BATCH_USER_CONCURRENCY: parseInt((envVars.BATCH_USER_CONCURRENCY || 5), 10),
+  // fails the batched myFT writes as soon as one of their chunks fails, rather than when they all do
+  MYFT_BATCH_STRICT: envVars.MYFT_BATCH_STRICT === 'true',
+  // users added/removed per request to/from a licence or group, and how many of these requests are made at once
+  MYFT_MEMBER_CHUNK_SIZE: parseInt((envVars.MYFT_MEMBER_CHUNK_SIZE || 500), 10),
+  MYFT_MEMBER_CHUNK_CONCURRENCY: parseInt((envVars.MYFT_MEMBER_CHUNK_CONCURRENCY || 1), 10),
+  // users added/removed per request by lib/licenceSync.js
+  LICENCE_SYNC_BATCH_SIZE: parseInt((envVars.LICENCE_SYNC_BATCH_SIZE || 100), 10),
   KINESIS_REGION: envVars.KINESIS_REGION || 'eu-west-1',
   MYFT_EVENT_STREAM: envVars.MYFT_EVENT_STREAM || 'ft-b2b-kmt_myft_events',
+  // records per request, up to 500, the requests being kept under 5MB too
   KINESIS_CHUNK_SIZE: parseInt((envVars.KINESIS_CHUNK_SIZE || 500), 10),
+  // the records bigger than this (in bytes) have their event data compressed, unset for never
+  KINESIS_COMPRESS_ABOVE: envVars.KINESIS_COMPRESS_ABOVE ? parseInt(envVars.KINESIS_COMPRESS_ABOVE, 10) : undefined,
+  // writes the events with the same partition key in as few records as fit, see lib/kinesisEvents.js
+  KINESIS_AGGREGATE: envVars.KINESIS_AGGREGATE === 'true',
+  // user, licence or random (see lib/kinesisClient.js), or a (envelope, options) => key function
+  KINESIS_PARTITION_KEY: envVars.KINESIS_PARTITION_KEY || 'user',
+  // rejects the Kinesis writes of which some records weren't delivered, once retried
+  KINESIS_STRICT: envVars.KINESIS_STRICT === 'true',
   DONT_WRITE_TO_KINESIS: envVars.DONT_WRITE_TO_KINESIS === 'true',
   ELASTIC_SEARCH_URL: envVars.ELASTIC_SEARCH_URL,
   FACETS_SEARCH_URL: envVars.FACETS_SEARCH_URL
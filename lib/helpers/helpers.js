@@ -19,11 +19,12 @@ function createParams(options, startWith = '?') {
  * Parses the fetch response
  * @param {Object} res -
  * @param {String} [customErrorMessage] -
- * @returns {*} response -
+ * @param {Object} [context] - request details added to the error if the request failed, {operation, method}
+ * @returns {Promise} response -
  */
-function parseJsonRes(res, customErrorMessage) {
-  clientErrors.parse(res, customErrorMessage);
-  return res.json();
+function parseJsonRes(res, customErrorMessage, context) {
+  return clientErrors.parseResponse(res, customErrorMessage, context)
+    .then(() => res.json());
 }
 
 /**
@@ -36,8 +37,28 @@ function uriFragSplitter(url) {
   return urlArr[1] !== undefined ? qs.parse(urlArr[1]) : {};
 }
 
+/**
+ * Creates a new config object out of a base config and some overrides, without mutating either of them
+ * @param {Object} baseConfig - usually the env based config from lib/helpers/config.js
+ * @param {Object} [overrides] - values to replace, fetchOptions (and its headers), retryPolicy, circuitBreaker, timeouts and cache are merged rather than replaced
+ * @returns {Object} config -
+ */
+function mergeConfig(baseConfig, overrides) {
+  const extra = overrides || {};
+  const fetchOptions = Object.assign({}, baseConfig.fetchOptions, extra.fetchOptions);
+  fetchOptions.headers = Object.assign({}, (baseConfig.fetchOptions || {}).headers, (extra.fetchOptions || {}).headers);
+  const retryPolicy = Object.assign({}, baseConfig.retryPolicy, extra.retryPolicy);
+  const circuitBreaker = Object.assign({}, baseConfig.circuitBreaker, extra.circuitBreaker);
+  const timeouts = Object.assign({}, baseConfig.timeouts, extra.timeouts);
+  const cache = Object.assign({}, baseConfig.cache, extra.cache);
+  const saga = Object.assign({}, baseConfig.saga, extra.saga);
+
+  return Object.assign({}, baseConfig, extra, {fetchOptions, retryPolicy, circuitBreaker, timeouts, cache, saga});
+}
+
 module.exports = {
   parseJsonRes,
   createParams,
-  uriFragSplitter
+  uriFragSplitter,
+  mergeConfig
 };
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Freezes the request options (and their headers) so nothing down the line can change them
+ * @param {Object} options -
+ * @returns {Object} options -
+ * @private
+ */
+function _freeze(options) {
+  Object.freeze(options.headers);
+  return Object.freeze(options);
+}
+
+/**
+ * Creates a request builder, which hands out a new options object for every request so that
+ * per call values (method, bearer token, body...) can never leak into other requests
+ * @param {Object} fetchOptions - the base fetch options, usually config.fetchOptions
+ * @param {Object} [headers] - extra headers sent with every request, e.g. the api key
+ * @returns {Object} builder -
+ */
+function create(fetchOptions, headers) {
+  const baseOptions = _freeze(Object.assign({}, fetchOptions, {
+    headers: Object.assign({}, fetchOptions.headers, headers)
+  }));
+
+  /**
+   * Builds the options for a single request
+   * @param {Object} [requestOptions] -
+   * @param {String} [requestOptions.method] - defaults to the base method
+   * @param {Object} [requestOptions.headers] - headers to add (or override) for this request only
+   * @param {String} [requestOptions.auth] - bearer token to send as the authorization header
+   * @param {String} [requestOptions.body] - the serialised request body
+   * @returns {Object} options - frozen fetch options
+   */
+  function build(requestOptions) {
+    const reqOpt = requestOptions || {};
+    const options = Object.assign({}, baseOptions, {
+      headers: Object.assign({}, baseOptions.headers, reqOpt.headers)
+    });
+
+    if (reqOpt.method !== undefined) {
+      options.method = reqOpt.method;
+    }
+    if (reqOpt.auth) {
+      options.headers.authorization = `Bearer ${reqOpt.auth}`;
+    }
+    if (reqOpt.body !== undefined) {
+      options.body = reqOpt.body;
+    }
+
+    return _freeze(options);
+  }
+
+  return {
+    build,
+    baseOptions
+  };
+}
+
+module.exports = {
+  create
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Shared retry logic: exponential backoff with full jitter, Retry-After support and per operation overrides,
+ * the statuses retried being the ones clientErrors flags as retryable, see clientErrors.isRetryableStatus
+ */
+const log = require('@financial-times/n-logger').default;
+const clientErrors = require('./../clientErrors');
+
+const DEFAULT_POLICY = {
+  // number of retries after the first attempt
+  maxRetries: 5,
+  // the backoff is a random delay between 0 and baseDelay * 2^retry (capped by maxDelay)
+  baseDelay: 300,
+  maxDelay: 10000,
+  // don't wait longer than this for a Retry-After, fail instead
+  maxRetryAfter: 60000,
+  // policy overrides per operation, e.g. {'myFTClient.getAllNodeItems': {maxRetries: 1}}
+  operations: {}
+};
+
+/**
+ * Creates the retry policy out of a client config
+ * @param {Object} config - uses fetchOptions.maxRetries, fetchOptions.retryDelay and retryPolicy
+ * @returns {Object} policy -
+ */
+function createPolicy(config) {
+  const fetchOptions = config.fetchOptions || {};
+  const policy = Object.assign({}, DEFAULT_POLICY);
+
+  if (fetchOptions.maxRetries !== undefined) {
+    policy.maxRetries = parseInt(fetchOptions.maxRetries, 10);
+  }
+  if (fetchOptions.retryDelay !== undefined) {
+    policy.baseDelay = parseInt(fetchOptions.retryDelay, 10);
+  }
+
+  return Object.assign(policy, config.retryPolicy);
+}
+
+/**
+ * Gets the policy for an operation, i.e. with the operation overrides applied
+ * @param {Object} policy -
+ * @param {String} [operation] -
+ * @param {Object} [overrides] - per call overrides
+ * @returns {Object} policy -
+ */
+function forOperation(policy, operation, overrides) {
+  const operations = policy.operations || {};
+  return Object.assign({}, policy, operation !== undefined ? operations[operation] : undefined, overrides);
+}
+
+/**
+ * Gets the delay before a retry, exponential with full jitter
+ * @param {Object} policy -
+ * @param {Number} retry - the retry number, starting at 0
+ * @returns {Number} delay - in milliseconds
+ */
+function backoff(policy, retry) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retry));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Runs an async function, retrying it while the policy allows and shouldRetry says so
+ * @param {Function} fn - (attempt) => Promise, attempt starting at 0
+ * @param {Object} policy -
+ * @param {Object} [options] -
+ * @param {Function} [options.shouldRetry] - ({error, result}) => Boolean, defaults to retrying errors flagged as retryable
+ * @param {Function} [options.retryAfter] - ({error, result}) => Number|undefined, a delay required by the server
+ * @param {Function} [options.onRetry] - ({error, result}, attempt, delay) => *, e.g. to free the failed response
+ * @param {String} [options.operation] - for the logs
+ * @returns {Promise} result - of the last attempt
+ */
+function execute(fn, policy, options) {
+  const opts = options || {};
+  const shouldRetry = opts.shouldRetry || (outcome => !!(outcome.error && outcome.error.retryable));
+  const retryAfter = opts.retryAfter || (outcome => outcome.error && outcome.error.retryAfter);
+
+  const attempt = (count) => {
+    const next = (outcome) => {
+      if (count >= policy.maxRetries || !shouldRetry(outcome)) {
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        return outcome.result;
+      }
+
+      const required = retryAfter(outcome);
+      if (required !== undefined && required > policy.maxRetryAfter) {
+        log.warn({operation: opts.operation, msg: `Not retrying, Retry-After of ${required}ms is too long`});
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        return outcome.result;
+      }
+
+      const delay = required !== undefined ? required : backoff(policy, count);
+      log.warn({operation: opts.operation, msg: `Retry #${count + 1}`, delay, reason: outcome.error ? outcome.error.message : outcome.result.status});
+
+      return Promise.resolve(opts.onRetry ? opts.onRetry(outcome, count, delay) : undefined)
+        .then(() => new Promise(resolve => setTimeout(resolve, delay)))
+        .then(() => attempt(count + 1));
+    };
+
+    return Promise.resolve()
+      .then(() => fn(count))
+      .then(result => next({result}), error => next({error}));
+  };
+
+  return attempt(0);
+}
+
+/**
+ * Whether a request should be retried, given the method and its outcome: the errors flagged retryable
+ * and the responses with a status they would be flagged retryable for, see clientErrors.isRetryableStatus
+ * @param {Object} policy -
+ * @param {String} method -
+ * @param {Object} outcome - {error} or {result: response}
+ * @returns {Boolean} retry -
+ */
+function isRetryableRequest(policy, method, outcome) {
+  if (outcome.error) {
+    if (outcome.error.retryable !== true) {
+      return false;
+    }
+    if (outcome.error instanceof clientErrors.ConnectionError || outcome.error instanceof clientErrors.TimeoutError) {
+      // the request might have been processed even though we got no response
+      return clientErrors.isIdempotent(method);
+    }
+    // the error may not know the method of the request
+    return clientErrors.isRetryableStatus(outcome.error.status, method);
+  }
+  return clientErrors.isRetryableStatus(outcome.result.status, method);
+}
+
+/**
+ * Wraps a fetch compatible function with the retry policy
+ * @param {Function} fetch - (url, options, [context]) => Promise
+ * @param {Object} policy -
+ * @returns {Function} fetch - (url, options, [context]) => Promise, context being {operation, retry: policy overrides, ...}
+ */
+function wrapFetch(fetch, policy) {
+  return (url, options, context) => {
+    const ctx = context || {};
+    const method = (options && options.method) || 'GET';
+    const opPolicy = forOperation(policy, ctx.operation, ctx.retry);
+
+    return execute(() => fetch(url, options, ctx), opPolicy, {
+      operation: ctx.operation,
+      shouldRetry: outcome => isRetryableRequest(opPolicy, method, outcome),
+      retryAfter: outcome => {
+        if (outcome.error) {
+          return outcome.error.retryAfter;
+        }
+        const headers = outcome.result.headers;
+        const value = headers && typeof headers.get === 'function' ? headers.get('retry-after') : null;
+        return value === null ? undefined : clientErrors.parseRetryAfter(value);
+      },
+      onRetry: outcome => {
+        // drain the response we're not going to use
+        if (outcome.result && typeof outcome.result.text === 'function') {
+          return outcome.result.text().catch(() => undefined);
+        }
+      }
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  createPolicy,
+  forOperation,
+  backoff,
+  execute,
+  isRetryableRequest,
+  wrapFetch
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+const isomorphicFetch = require('isomorphic-fetch');
+const clientErrors = require('./../clientErrors');
+const retry = require('./retry');
+const circuitBreaker = require('./circuitBreaker');
+const cancellation = require('./cancellation');
+
+/**
+ * Frees a response nobody is going to read
+ * @param {Object} res - the fetch response
+ * @returns {undefined}
+ * @private
+ */
+function _drain(res) {
+  if (res && typeof res.text === 'function') {
+    res.text().catch(() => undefined);
+  }
+}
+
+/**
+ * Gets the fetch compatible function the clients make their requests with, retrying as per the retry policy,
+ * going through the circuit breaker of the upstream and timing out as per the call options or the client default
+ * @param {Object} config - config.transport, if set, is used instead of isomorphic-fetch,
+ *        config.fetchOptions and config.retryPolicy make the retry policy (see lib/helpers/retry.js),
+ *        config.timeouts the default timeouts (see lib/helpers/cancellation.js)
+ * @param {String} [upstream] - the upstream service, e.g. myFT, for the circuit breaker (see lib/helpers/circuitBreaker.js)
+ * @param {String} [client] - the client name, e.g. myFTClient, for the default timeout
+ * @returns {Function} fetch - (url, options, [context]) => Promise of a fetch Response, rejected with a typed error
+ *          (e.g. TimeoutError, ConnectionError) if no response could be had.
+ *          context is {operation, retry: policy overrides, callOptions: {timeout, signal} or the deadline of the call}
+ */
+function create(config, upstream, client) {
+  const fetch = typeof config.transport === 'function' ? config.transport : isomorphicFetch;
+  const breaker = upstream !== undefined ? circuitBreaker.registryFor(config).get(upstream) : undefined;
+  const defaultTimeout = cancellation.defaultTimeout(config, client);
+
+  const typedFetch = (url, options, context) => {
+    const method = (options && options.method) || 'GET';
+    const operation = context ? context.operation : undefined;
+    const deadline = context ? context.deadline : undefined;
+
+    const request = () => Promise.resolve()
+      .then(() => {
+        if (deadline === undefined) {
+          return fetch(url, options);
+        }
+        deadline.check({url, method, operation});
+        // let the fetch give up too, rather than leave the request hanging
+        const remaining = deadline.remaining();
+        return fetch(url, Object.assign({}, options, remaining !== undefined ? {timeout: Math.max(remaining, 1)} : {}, deadline.signal ? {signal: deadline.signal} : {}));
+      })
+      .catch(err => {
+        throw clientErrors.fromFetchError(err, {url, method, operation});
+      });
+    return breaker ? breaker.execute(request) : request();
+  };
+  const retryingFetch = retry.wrapFetch(typedFetch, retry.createPolicy(config));
+
+  return (url, options, context) => {
+    const ctx = context || {};
+    const deadline = cancellation.create(ctx.callOptions, defaultTimeout);
+    if (deadline === undefined) {
+      return retryingFetch(url, options, ctx);
+    }
+
+    const method = (options && options.method) || 'GET';
+    const deadlineCtx = Object.assign({}, ctx, {deadline});
+    return deadline.run(() => retryingFetch(url, options, deadlineCtx), {url, method, operation: ctx.operation}, _drain);
+  };
+}
+
+module.exports = {
+  create
+};
@@ -1,70 +1,348 @@
+/*global Buffer*/
 'use strict';
 
-const config = require('./helpers/config');
+const defaultConfig = require('./helpers/config');
 const logger = require('@financial-times/n-logger').default;
 const AWS = require('aws-sdk');
-const kinesis = new AWS.Kinesis({region : config.KINESIS_REGION});
+const retry = require('./helpers/retry');
+const clientErrors = require('./clientErrors');
+const kinesisEvents = require('./kinesisEvents');
+
+// the Kinesis PutRecords limits, a record's size being that of its data and partition key
+const LIMITS = {
+  recordBytes: 1024 * 1024,
+  requestBytes: 5 * 1024 * 1024,
+  requestRecords: 500
+};
+
+// the partition key strategies, (envelope, options) => key, the records with the same key going to the same shard, in order
+const PARTITION_KEYS = {
+  // the events of a user are consumed in order
+  user: envelope => envelope.uuid,
+  // the events of the users of a licence are consumed in order, the licence being options.licenceId or that of a membership event
+  licence: (envelope, options) => options.licenceId || (envelope.eventData && envelope.eventData.licence) || envelope.uuid,
+  // spreads the events evenly, regardless of their order
+  random: () => `kat-${Math.floor(Math.random() * 100000)}`
+};
+
+/**
+ * Gets the partition key strategy of a write
+ * @param {String|Function} strategy - one of PARTITION_KEYS, or a (envelope, options) => key function
+ * @returns {Function} partitionKey - (envelope, options) => key
+ * @throws {Error} error - if there's no such strategy
+ * @private
+ */
+function _partitionKeyFor(strategy) {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+  if (!PARTITION_KEYS.hasOwnProperty(strategy)) {
+    throw new Error(`Unknown partition key strategy ${strategy}, expected one of ${Object.keys(PARTITION_KEYS).join(', ')} or a function`);
+  }
+  return PARTITION_KEYS[strategy];
+}
+
+/**
+ * Gives the outcome of each event of a record
+ * @param {Object} entry - {events, aggregateId}, see _toEntry
+ * @param {Object} outcome - that of the record
+ * @returns {Array} outcomes - {uuid, id, ...outcome, aggregateId}, aggregateId only if the record is aggregated
+ * @private
+ */
+function _forEvents(entry, outcome) {
+  return entry.events.map(event => Object.assign({uuid: event.uuid, id: event.id}, outcome, entry.aggregateId ? {aggregateId: entry.aggregateId} : {}));
+}
+
+/**
+ * Splits the records in chunks which fit in a request, as per KINESIS_CHUNK_SIZE and LIMITS
+ * @param {Array} entries - {events, record, size}
+ * @param {Number} chunkSize - the records per request
+ * @returns {Array} chunks -
+ * @private
+ */
+function _toChunks(entries, chunkSize) {
+  const maxRecords = Math.min(chunkSize > 0 ? chunkSize : LIMITS.requestRecords, LIMITS.requestRecords);
+  const chunks = [];
+  let chunk = [];
+  let chunkBytes = 0;
+  entries.forEach(entry => {
+    if (chunk.length === maxRecords || chunkBytes + entry.size > LIMITS.requestBytes) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkBytes = 0;
+    }
+    chunk.push(entry);
+    chunkBytes += entry.size;
+  });
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
 
 /**
- * Writes to Kinesis
- * @param {Array} uuids -
- * @param {String} event -
- * @param {Array} eventData -
- * @returns {Promise} result -
+ * Creates a Kinesis client
+ * @param {Object} config - see lib/helpers/config.js, config.kinesis, if set, is used instead of a new AWS.Kinesis, e.g. for tests
+ * @returns {Object} client -
  */
-function writeToKinesis(uuids, event, eventData) {
-  const operation = 'kinesisClient.writeToKinesis';
-  logger.info({operation, uuids, event});
-
-  if (config.DONT_WRITE_TO_KINESIS === true) {
-    const msg = `${operation} ignored`;
-    logger.info({operation, msg, uuids, event});
-    return Promise.resolve({msg});
+function create(config) {
+  const kinesis = config.kinesis || new AWS.Kinesis({region : config.KINESIS_REGION});
+  const retryPolicy = retry.createPolicy(config);
+
+  /**
+   * Compresses the event data of a record over KINESIS_COMPRESS_ABOVE
+   * @param {Object} payload - an envelope or an aggregate
+   * @param {Function} compress - () => the compressed event data
+   * @returns {Object} payload - the same, or a copy with the event data compressed
+   * @private
+   */
+  function _compressed(payload, compress) {
+    if (config.KINESIS_COMPRESS_ABOVE > 0 && Buffer.byteLength(JSON.stringify(payload)) > config.KINESIS_COMPRESS_ABOVE) {
+      return Object.assign({}, payload, {eventData: compress(), compression: kinesisEvents.COMPRESSION});
+    }
+    return payload;
   }
 
-  const records = uuids.map(uuid => {
+  /**
+   * Creates the record of an envelope or an aggregate
+   * @param {Object} payload - an envelope or an aggregate, compressed as need be
+   * @param {Array} events - [{uuid, id}], those the record carries
+   * @param {String} key - the partition key
+   * @param {String} operation - for the error
+   * @returns {Object} entry - {events, record, size, aggregateId}
+   * @throws {KinesisRecordTooLargeError} error - if the record is over LIMITS.recordBytes
+   * @private
+   */
+  function _toEntry(payload, events, key, operation) {
+    const data = JSON.stringify(payload);
+    const size = Buffer.byteLength(data) + Buffer.byteLength(key);
+    if (size > LIMITS.recordBytes) {
+      throw new clientErrors.KinesisRecordTooLargeError(`The ${payload.event} record of ${events[0].uuid} is ${size} bytes, over the ${LIMITS.recordBytes} bytes Kinesis takes${payload.compression ? ' once compressed' : ''}`, {operation, event: payload.event, uuid: events[0].uuid, size, limit: LIMITS.recordBytes});
+    }
     return {
-      Data: JSON.stringify({
-        uuid,
-        event,
-        eventData
-      }),
-      PartitionKey: `kat-${Math.floor(Math.random() * 100000)}`
+      events,
+      record: {Data: data, PartitionKey: key},
+      size,
+      aggregateId: payload.aggregation ? payload.id : undefined
     };
-  });
-  const promises = [];
-  const params = {
-    StreamName: config.MYFT_EVENT_STREAM
-  };
+  }
 
-  let tmpCount = 0;
-  while (records.length) {
-    let retryCount = 0;
-    const chunkNr = tmpCount;
-    const chunk = records.splice(0, config.KINESIS_CHUNK_SIZE);
-    const chunkData = Object.assign({}, params, { Records: chunk });
+  /**
+   * Aggregates the events with the same partition key in as few records as fit, keeping them in order,
+   * an aggregate having the events of a key which follow each other with the same event data
+   * @param {Array} items - {envelope, key, data}, data being the event data given for the envelope
+   * @param {Function} compressorOf - (data) => () => the compressed event data
+   * @param {String} operation - for the errors
+   * @returns {Array} entries - see _toEntry
+   * @private
+   */
+  function _toAggregates(items, compressorOf, operation) {
+    const groups = new Map();
+    items.forEach(item => {
+      const runs = groups.get(item.key) || [];
+      const last = runs[runs.length - 1];
+      const event = {uuid: item.envelope.uuid, id: item.envelope.id};
+      if (last !== undefined && last.data === item.data) {
+        last.events.push(event);
+      } else {
+        runs.push({data: item.data, template: item.envelope, events: [event]});
+      }
+      groups.set(item.key, runs);
+    });
+
+    const entries = [];
+    groups.forEach((runs, key) => runs.forEach(run => {
+      const compress = compressorOf(run.data);
+      const aggregate = events => kinesisEvents.createAggregate(events, run.template.event, run.template.eventData, run.template);
+      // the event data is compressed, or not, for all the aggregates of a run, as per the one with its first event
+      const compressing = _compressed(aggregate(run.events.slice(0, 1)), compress).compression !== undefined;
+      const payloadOf = batch => compressing ?
+        Object.assign(aggregate(batch), {eventData: compress(), compression: kinesisEvents.COMPRESSION}) :
+        aggregate(batch);
+      const baseSize = Buffer.byteLength(JSON.stringify(payloadOf([]))) + Buffer.byteLength(key);
+      let batch = [];
+      let size = baseSize;
+      run.events.forEach(event => {
+        // with its comma
+        const eventSize = Buffer.byteLength(JSON.stringify(event)) + 1;
+        if (batch.length > 0 && size + eventSize > LIMITS.recordBytes) {
+          entries.push(_toEntry(payloadOf(batch), batch, key, operation));
+          batch = [];
+          size = baseSize;
+        }
+        batch.push(event);
+        size += eventSize;
+      });
+      entries.push(_toEntry(payloadOf(batch), batch, key, operation));
+    }));
+    return entries;
+  }
 
-    const logResponse = (res) => {
-      logger.info({operation, chunkNr, uuids: chunk, event, res: 'success'});
-      return res;
+  /**
+   * Puts a chunk of records, retrying with backoff the ones which failed, i.e. the whole request or some of its records
+   * (Kinesis reporting these in Records[].ErrorCode, e.g. when the shard's throughput is exceeded).
+   * The records after one which failed with the same partition key are sent again with it, even if they were put, so they
+   * stay in order behind it, the consumers telling the copies apart by the id of the events
+   * @param {Array} entries - {events, record, aggregateId}, events being the [{uuid, id}] the record carries
+   * @param {Object} policy - the retry policy
+   * @param {String} operation - for the logs
+   * @returns {Promise} outcome - {delivered: [{uuid, id, partitionKey, shardId, sequenceNumber}],
+   *          undelivered: [{uuid, id, partitionKey, errorCode, errorMessage}]}, one per event, with the aggregateId
+   *          of their record if aggregated, never rejected
+   * @private
+   */
+  function _putRecords(entries, policy, operation) {
+    const delivered = [];
+    // the records to send (again), in order, with the reason, or the last delivery of those only sent again to keep the order
+    let pending = entries.map(entry => ({entry}));
+
+    const put = () => kinesis.putRecords({StreamName: config.MYFT_EVENT_STREAM, Records: pending.map(item => item.entry.record)}).promise()
+      .then(res => {
+        const results = (res && res.Records) || [];
+        // the partition keys of the records which failed
+        const failedKeys = new Set();
+        pending = pending.reduce((resend, item, i) => {
+          const result = results[i] || {};
+          const partitionKey = item.entry.record.PartitionKey;
+          if (result.ErrorCode) {
+            failedKeys.add(partitionKey);
+            return resend.concat({entry: item.entry, delivery: item.delivery, errorCode: result.ErrorCode, errorMessage: result.ErrorMessage});
+          }
+          const delivery = {partitionKey, shardId: result.ShardId, sequenceNumber: result.SequenceNumber};
+          if (failedKeys.has(partitionKey)) {
+            return resend.concat({entry: item.entry, delivery});
+          }
+          _forEvents(item.entry, delivery).forEach(event => delivered.push(event));
+          return resend;
+        }, []);
+        return res;
+      });
+    // the AWS errors say whether they're worth a retry, e.g. throttling, the records which failed always are
+    const shouldRetry = outcome => outcome.error ? outcome.error.retryable !== false : pending.length > 0;
+    // the records put once are delivered, even if the one they had to follow wasn't
+    const toOutcome = error => pending.reduce((outcome, item) => {
+      if (item.delivery !== undefined) {
+        return {delivered: outcome.delivered.concat(_forEvents(item.entry, item.delivery)), undelivered: outcome.undelivered};
+      }
+      return {delivered: outcome.delivered, undelivered: outcome.undelivered.concat(_forEvents(item.entry, {
+        partitionKey: item.entry.record.PartitionKey,
+        errorCode: error ? error.code || error.name : item.errorCode,
+        errorMessage: error ? error.message : item.errorMessage
+      }))};
+    }, {delivered, undelivered: []});
+
+    return retry.execute(put, policy, {operation, shouldRetry})
+      .then(() => toOutcome(), toOutcome);
+  }
+
+  /**
+   * Writes to Kinesis an event per user, see lib/kinesisEvents.js
+   * @param {Array} uuids - of the users
+   * @param {String} event - one of kinesisEvents.EVENT_TYPES
+   * @param {*|Function} eventData - validated as per the event type, or (uuid, index) => the event data of uuids[index],
+   *        e.g. for events with the concepts each user followed, the users given the same (===) event data sharing its
+   *        compression and aggregates
+   * @param {Object} [options] -
+   * @param {String} [options.correlationId] - of the records, a new one by default
+   * @param {String|Function} [options.partitionKey] - the partition key strategy, see PARTITION_KEYS, defaults to KINESIS_PARTITION_KEY
+   * @param {String} [options.licenceId] - for the licence partition key
+   * @param {Boolean} [options.strict] - rejects if some records weren't delivered, once retried, defaults to KINESIS_STRICT
+   * @param {Boolean} [options.aggregate] - writes the events with the same partition key in as few records as fit,
+   *        see kinesisEvents.createAggregate, defaults to KINESIS_AGGREGATE
+   * @returns {Promise} result - {delivered, undelivered}, the events delivered and those which weren't, once retried,
+   *          see _putRecords, rejected with a KinesisDeliveryError if strict and some weren't,
+   *          or with an EventValidationError if the event isn't valid (or an Error if its partition key can't be had),
+   *          or with a KinesisRecordTooLargeError if a record can't fit in Kinesis, even compressed, nothing being written
+   */
+  function writeToKinesis(uuids, event, eventData, options) {
+    const operation = 'kinesisClient.writeToKinesis';
+    const opts = options || {};
+    logger.info({operation, uuids, event});
+
+    const context = {
+      source: config.FT_TOOL_ID,
+      actor: config.FT_TOOL_ADMIN_ID,
+      correlationId: opts.correlationId || kinesisEvents.createId(),
+      timestamp: new Date().toISOString()
     };
-    const retryOrDie = (error) => {
-      if (retryCount < config.fetchOptions.maxRetries) {
-        retryCount++;
-        logger.warn({operation, chunkNr, msg: `Retry #${retryCount}`, uuids: chunk, event});
-        return kinesis.putRecords(chunkData).promise().then(logResponse).catch(retryOrDie);
+    const aggregate = opts.aggregate !== undefined ? opts.aggregate === true : config.KINESIS_AGGREGATE === true;
+    const dataOf = typeof eventData === 'function' ? eventData : () => eventData;
+    // each event data is only validated and compressed once
+    const validated = new Set();
+    const compressed = new Map();
+    const compressorOf = data => () => {
+      if (!compressed.has(data)) {
+        compressed.set(data, kinesisEvents.compressEventData(data));
       }
-      logger.error({operation, chunkNr, msg: `Operation FAILED after ${config.fetchOptions.maxRetries} retries`, uuids: chunk, event, error: error.message});
-      return null;
+      return compressed.get(data);
     };
+    let entries;
+    try {
+      const validate = data => {
+        if (!validated.has(data)) {
+          kinesisEvents.validate(event, data);
+          validated.add(data);
+        }
+      };
+      if (typeof eventData !== 'function') {
+        validate(eventData);
+      }
+      const partitionKey = _partitionKeyFor(opts.partitionKey || config.KINESIS_PARTITION_KEY);
+      const items = uuids.map((uuid, index) => {
+        const data = dataOf(uuid, index);
+        validate(data);
+        const envelope = kinesisEvents.createEnvelope(uuid, event, data, context);
+        const key = partitionKey(envelope, opts);
+        if (typeof key !== 'string' || key.length === 0) {
+          throw new Error(`The partition key of the ${event} event of ${uuid} must be a non empty string`);
+        }
+        return {envelope, key, data};
+      });
+      entries = aggregate && items.length > 0 ?
+        _toAggregates(items, compressorOf, operation) :
+        items.map(item => _toEntry(_compressed(item.envelope, compressorOf(item.data)), [{uuid: item.envelope.uuid, id: item.envelope.id}], item.key, operation));
+    } catch (error) {
+      logger.error({operation, msg: 'Invalid event', uuids, event, error: error.message});
+      return Promise.reject(error);
+    }
 
-    promises.push(kinesis.putRecords(chunkData).promise().then(logResponse).catch(retryOrDie));
+    if (config.DONT_WRITE_TO_KINESIS === true) {
+      const msg = `${operation} ignored`;
+      logger.info({operation, msg, uuids, event});
+      return Promise.resolve({msg, delivered: [], undelivered: []});
+    }
 
-    tmpCount++;
+    const policy = retry.forOperation(retryPolicy, operation);
+    const chunks = _toChunks(entries, config.KINESIS_CHUNK_SIZE);
+
+    // one chunk after the other, so the records with the same partition key stay in order
+    const outcomes = [];
+    return chunks.reduce((previous, chunk, chunkNr) => previous.then(() => _putRecords(chunk, policy, operation))
+      .then(outcome => {
+        const chunkUuids = chunk.reduce((all, entry) => all.concat(entry.events.map(item => item.uuid)), []);
+        if (outcome.undelivered.length === 0) {
+          logger.info({operation, chunkNr, uuids: chunkUuids, event, res: 'success'});
+        } else {
+          logger.error({operation, chunkNr, msg: 'Operation FAILED', uuids: chunkUuids, event, undelivered: outcome.undelivered.length, error: outcome.undelivered[0].errorMessage});
+        }
+        outcomes.push(outcome);
+      }), Promise.resolve())
+      .then(() => {
+        const result = {
+          delivered: outcomes.reduce((all, outcome) => all.concat(outcome.delivered), []),
+          undelivered: outcomes.reduce((all, outcome) => all.concat(outcome.undelivered), [])
+        };
+        const strict = opts.strict !== undefined ? opts.strict === true : config.KINESIS_STRICT === true;
+        if (strict && result.undelivered.length > 0) {
+          throw new clientErrors.KinesisDeliveryError(`${result.undelivered.length} of the ${uuids.length} ${event} records weren't delivered`, {operation, result});
+        }
+        return result;
+      });
   }
-  return Promise.all(promises);
+
+  return {
+    write: writeToKinesis
+  };
 }
 
-module.exports = {
-  write: writeToKinesis
-};
+module.exports = Object.assign(create(defaultConfig), {create, PARTITION_KEYS, LIMITS});
@@ -0,0 +1,292 @@
+/*global Buffer*/
+'use strict';
+
+/**
+ * The myFT events written to Kinesis by lib/kinesisClient.js, one record per user, as a versioned envelope:
+ * {id, version, event, uuid, eventData, timestamp, source, actor, correlationId}
+ * id - unique to the record, timestamp - ISO 8601, source - FT_TOOL_ID, actor - FT_TOOL_ADMIN_ID,
+ * correlationId - shared by the records of a write, unless given one (e.g. that of the request making the change).
+ *
+ * The payload (eventData) of each event type is validated before writing, see EVENT_TYPES. The records written before
+ * the envelope ({uuid, event, eventData}) are decoded as version 0.
+ * A large eventData may be compressed (see KINESIS_COMPRESS_ABOVE), the envelope then having compression: 'gzip'
+ * and the base64 of the gzipped JSON as eventData.
+ *
+ * The events of a write may be aggregated (see KINESIS_AGGREGATE), a record then carrying those of many users, as:
+ * {id, version, event, aggregation: 'batch', events: [{id, uuid}], eventData, timestamp, source, actor, correlationId}
+ * which deaggregate gives back as the envelopes of each user.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+const clientErrors = require('./clientErrors');
+
+const SCHEMA_VERSION = 1;
+// the compression marker of the envelopes
+const COMPRESSION = 'gzip';
+// the aggregation marker of the records carrying the events of many users
+const AGGREGATION = 'batch';
+
+/**
+ * @param {*} value -
+ * @returns {Boolean} isObject - a plain object, not an array nor null
+ * @private
+ */
+function _isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value -
+ * @returns {Boolean} isId - a non empty string
+ * @private
+ */
+function _isId(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Validates the concepts (un)followed
+ * @param {*} eventData - [{uuid}]
+ * @returns {Array} errors -
+ * @private
+ */
+function _validateConcepts(eventData) {
+  if (!Array.isArray(eventData) || eventData.length === 0) {
+    return ['eventData must be a non empty array of concepts'];
+  }
+  return eventData
+    .map((concept, i) => _isObject(concept) && _isId(concept.uuid) ? undefined : `eventData[${i}] must be a concept with a uuid`)
+    .filter(error => error !== undefined);
+}
+
+/**
+ * Validates the licence/group a user joined or left
+ * @param {*} eventData - {licence, group}, either or both
+ * @returns {Array} errors -
+ * @private
+ */
+function _validateMembership(eventData) {
+  if (!_isObject(eventData) || (!_isId(eventData.licence) && !_isId(eventData.group))) {
+    return ['eventData must have the licence and/or group of the membership'];
+  }
+  const errors = [];
+  ['licence', 'group'].forEach(key => {
+    if (eventData[key] !== undefined && !_isId(eventData[key])) {
+      errors.push(`eventData.${key} must be an id`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validates the email digest preference set, or null if it was removed
+ * @param {*} eventData - {type, timezone, ...}
+ * @returns {Array} errors -
+ * @private
+ */
+function _validateDigest(eventData) {
+  if (eventData === null) {
+    return [];
+  }
+  return _isObject(eventData) && _isId(eventData.type) ? [] : ['eventData must be the digest preference, with its type, or null'];
+}
+
+// the event types, with the validation of their payload: (eventData) => Array of errors, empty if it's valid
+const EVENT_TYPES = {
+  subscribe: {validate: _validateConcepts},
+  unsubscribe: {validate: _validateConcepts},
+  'membership-added': {validate: _validateMembership},
+  'membership-removed': {validate: _validateMembership},
+  'digest-changed': {validate: _validateDigest}
+};
+
+/**
+ * Adds an event type, or replaces the validation of one
+ * @param {String} event - e.g. group-renamed
+ * @param {Function} validate - (eventData) => Array of errors, empty if it's valid
+ * @returns {undefined}
+ */
+function register(event, validate) {
+  if (!_isId(event) || typeof validate !== 'function') {
+    throw new Error('An event type needs a name and a validate function');
+  }
+  EVENT_TYPES[event] = {validate};
+}
+
+/**
+ * Validates an event before it's written
+ * @param {String} event - one of EVENT_TYPES
+ * @param {*} eventData -
+ * @returns {undefined}
+ * @throws {EventValidationError} error - listing the errors
+ */
+function validate(event, eventData) {
+  const type = EVENT_TYPES[event];
+  const errors = type === undefined ? [`Unknown event type ${event}`] : type.validate(eventData);
+  if (errors.length > 0) {
+    throw new clientErrors.EventValidationError(`Invalid ${event} event: ${errors.join(', ')}`, {event, errors});
+  }
+}
+
+/**
+ * Creates a random (v4) uuid
+ * @returns {String} id -
+ */
+function createId() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+}
+
+/**
+ * Creates the envelope of the event of a user
+ * @param {String} uuid - of the user
+ * @param {String} event - one of EVENT_TYPES
+ * @param {*} eventData -
+ * @param {Object} [context] - {source, actor, correlationId, timestamp}
+ * @returns {Object} envelope - see above
+ */
+function createEnvelope(uuid, event, eventData, context) {
+  const ctx = context || {};
+  return {
+    id: createId(),
+    version: SCHEMA_VERSION,
+    event,
+    uuid,
+    eventData,
+    timestamp: ctx.timestamp || new Date().toISOString(),
+    source: ctx.source,
+    actor: ctx.actor,
+    correlationId: ctx.correlationId
+  };
+}
+
+/**
+ * Creates the record of the same event of many users
+ * @param {Array} events - [{id, uuid}], the id of the envelope of each user and their uuid
+ * @param {String} event - one of EVENT_TYPES
+ * @param {*} eventData -
+ * @param {Object} [context] - {source, actor, correlationId, timestamp}
+ * @returns {Object} aggregate - see above
+ */
+function createAggregate(events, event, eventData, context) {
+  const ctx = context || {};
+  return {
+    id: createId(),
+    version: SCHEMA_VERSION,
+    event,
+    aggregation: AGGREGATION,
+    events,
+    eventData,
+    timestamp: ctx.timestamp || new Date().toISOString(),
+    source: ctx.source,
+    actor: ctx.actor,
+    correlationId: ctx.correlationId
+  };
+}
+
+/**
+ * Compresses the event data of an envelope
+ * @param {*} eventData -
+ * @returns {String} compressed - base64 of the gzipped JSON
+ */
+function compressEventData(eventData) {
+  return zlib.gzipSync(JSON.stringify(eventData)).toString('base64');
+}
+
+/**
+ * Decodes a record, for the consumers of the stream
+ * @param {Object|String|Buffer} record - a record of a Lambda Kinesis event ({kinesis: {data}}), its base64 data,
+ *        or the data itself, as a Buffer or a JSON string
+ * @param {Object} [options] -
+ * @param {Boolean} [options.validate] - validates the payload of the known versions
+ * @returns {Object} envelope - see above, version being 0 for the records written before the envelope, the event data decompressed,
+ *          an aggregated record as it is, see deaggregate
+ * @throws {EventValidationError} error - if the record can't be decoded, or isn't valid
+ */
+function decode(record, options) {
+  const opts = options || {};
+  let data = record;
+  if (_isObject(record) && _isObject(record.kinesis)) {
+    data = record.kinesis.data;
+  }
+  if (typeof data === 'string' && data.trim().charAt(0) !== '{') {
+    data = Buffer.from(data, 'base64');
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(data.toString('utf8'));
+  } catch (err) {
+    throw new clientErrors.EventValidationError(`The record can't be decoded: ${err.message}`, {errors: [err.message]});
+  }
+  if (!_isObject(envelope) || !_isId(envelope.event)) {
+    throw new clientErrors.EventValidationError('The record isn\'t an event', {errors: ['event is missing']});
+  }
+  if (envelope.version === undefined) {
+    envelope = Object.assign({version: 0}, envelope);
+  }
+  if (envelope.compression !== undefined) {
+    if (envelope.compression !== COMPRESSION) {
+      throw new clientErrors.EventValidationError(`Unknown compression ${envelope.compression}`, {event: envelope.event, errors: ['unknown compression']});
+    }
+    try {
+      envelope.eventData = JSON.parse(zlib.gunzipSync(Buffer.from(envelope.eventData, 'base64')).toString('utf8'));
+    } catch (err) {
+      throw new clientErrors.EventValidationError(`The event data can't be decompressed: ${err.message}`, {event: envelope.event, errors: [err.message]});
+    }
+    delete envelope.compression;
+  }
+
+  if (opts.validate === true && envelope.version <= SCHEMA_VERSION) {
+    validate(envelope.event, envelope.eventData);
+  }
+  return envelope;
+}
+
+/**
+ * Decodes records, aggregated or not, for the consumers of the stream
+ * @param {Array|Object|String|Buffer} records - records, or a record, as per decode, e.g. the Records of a Lambda Kinesis event
+ * @param {Object} [options] - as per decode
+ * @returns {Array} envelopes - those of each user, in the order of the records
+ * @throws {EventValidationError} error - if a record can't be decoded, or isn't valid
+ */
+function deaggregate(records, options) {
+  return [].concat(records).reduce((envelopes, record) => {
+    const envelope = decode(record, options);
+    if (envelope.aggregation === undefined) {
+      return envelopes.concat(envelope);
+    }
+    if (envelope.aggregation !== AGGREGATION || !Array.isArray(envelope.events)) {
+      throw new clientErrors.EventValidationError(`Unknown aggregation ${envelope.aggregation}`, {event: envelope.event, errors: ['unknown aggregation']});
+    }
+    return envelopes.concat(envelope.events.map(item => ({
+      id: item.id,
+      version: envelope.version,
+      event: envelope.event,
+      uuid: item.uuid,
+      eventData: envelope.eventData,
+      timestamp: envelope.timestamp,
+      source: envelope.source,
+      actor: envelope.actor,
+      correlationId: envelope.correlationId
+    })));
+  }, []);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  COMPRESSION,
+  AGGREGATION,
+  EVENT_TYPES,
+  register,
+  validate,
+  createId,
+  createEnvelope,
+  createAggregate,
+  compressEventData,
+  decode,
+  deaggregate
+};
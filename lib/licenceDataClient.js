@@ -1,70 +1,67 @@
 'use strict';
 
-const fetch = require('fetch-retry-or-die');
 const log = require('@financial-times/n-logger').default;
-const config = require('./helpers/config');
+const defaultConfig = require('./helpers/config');
 const helpers = require('./helpers/helpers');
-
-const options = Object.assign({}, config.fetchOptions);
-options.headers = Object.assign({}, options.headers, {"X-API-KEY": config.API_GATEWAY_KEY});
-const apiUrl = `${config.API_GATEWAY_HOST}/licence-seat-holders`;
+const requestBuilder = require('./helpers/requestBuilder');
+const transport = require('./helpers/transport');
 
 /**
- * Gets the request options and sets the Bearer if the token is given
- * @param {String} [apiAuthToken] -
- * @returns {Object} requestOptions -
- * @private
+ * Creates a licence data (licence seat holders) client
+ * @param {Object} config - see lib/helpers/config.js
+ * @returns {Object} client -
  */
-function _getOptions(apiAuthToken) {
-  if (apiAuthToken) {
-    options.headers.authorization = `Bearer ${apiAuthToken}`;
-  } else {
-    delete options.headers.authorization;
-  }
-  return options;
-}
+function create(config) {
+  const fetch = transport.create(config, 'apiGateway', 'licenceDataClient');
+  const request = requestBuilder.create(config.fetchOptions, {"X-API-KEY": config.API_GATEWAY_KEY});
+  const apiUrl = `${config.API_GATEWAY_HOST}/licence-seat-holders`;
 
-/**
- * Gets the filtered user list
- * @param {String} licenceId -
- * @param {String} [apiAuthToken] -
- * @param {Object} [options] -
- * @returns {Promise} response -
- */
-function getFilteredUserList(licenceId, apiAuthToken, options) {
-  const operation = 'licenceDataClient.getFilteredUserList';
-  const queryString = helpers.createParams(options);
-  log.debug({operation, licenceId, queryString});
+  /**
+   * Gets the filtered user list
+   * @param {String} licenceId -
+   * @param {String} [apiAuthToken] -
+   * @param {Object} [options] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getFilteredUserList(licenceId, apiAuthToken, options, callOptions) {
+    const operation = 'licenceDataClient.getFilteredUserList';
+    const queryString = helpers.createParams(options);
+    log.debug({operation, licenceId, queryString});
 
-  const url = `${apiUrl}/${licenceId}${queryString}`;
-  return fetch(url, _getOptions(apiAuthToken))
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, queryString, res: 'success'});
-      return res;
-    });
-}
+    const url = `${apiUrl}/${licenceId}${queryString}`;
+    return fetch(url, request.build({auth: apiAuthToken}), {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, queryString, res: 'success'});
+        return res;
+      });
+  }
 
-/**
- * Gets the admin list
- * @param {String} licenceId -
- * @param {String} [apiAuthToken] -
- * @returns {Promise} response -
- */
-function getAdminUserList(licenceId, apiAuthToken) {
-  const operation = 'licenceDataClient.getAdminUserList';
-  log.debug({operation, licenceId});
+  /**
+   * Gets the admin list
+   * @param {String} licenceId -
+   * @param {String} [apiAuthToken] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getAdminUserList(licenceId, apiAuthToken, callOptions) {
+    const operation = 'licenceDataClient.getAdminUserList';
+    log.debug({operation, licenceId});
+
+    const url = `${apiUrl}/${licenceId}/admins`;
+    return fetch(url, request.build({auth: apiAuthToken}), {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, res: 'success'});
+        return res;
+      });
+  }
 
-  const url = `${apiUrl}/${licenceId}/admins`;
-  return fetch(url, _getOptions(apiAuthToken))
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, res: 'success'});
-      return res;
-    });
+  return {
+    getFilteredUserList,
+    getAdminUserList
+  };
 }
 
-module.exports = {
-  getFilteredUserList,
-  getAdminUserList
-};
+module.exports = Object.assign(create(defaultConfig), {create});
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Licence membership synchronisation
+ * Reconciles the members of a myFT licence with its seat holders in ALS (the source of truth):
+ * the seat holders missing from myFT are added, the myFT members without a seat are removed
+ */
+const log = require('@financial-times/n-logger').default;
+const defaultConfig = require('./helpers/config');
+const clientErrors = require('./clientErrors');
+const cancellation = require('./helpers/cancellation');
+const accessLicenceClient = require('./accessLicenceClient');
+const myFTClient = require('./myFTClient');
+const Promise = require('bluebird');
+
+/**
+ * Creates a licence synchroniser
+ * @param {Object} config - see lib/helpers/config.js
+ * @param {Object} [clients] - {myFTClient, accessLicenceClient}, new ones are created from the config if not given
+ * @returns {Object} licenceSync -
+ */
+function create(config, clients) {
+  const instances = clients || {};
+  const myFT = instances.myFTClient || myFTClient.create(config);
+  const als = instances.accessLicenceClient || accessLicenceClient.create(config);
+
+  /**
+   * Splits an array in batches
+   * @param {Array} items -
+   * @param {Number} size -
+   * @returns {Array} batches -
+   * @private
+   */
+  function _toBatches(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+      batches.push(items.slice(i, i + size));
+    }
+    return batches;
+  }
+
+  /**
+   * Gets the users holding a seat on a licence, the expired seats aside
+   * @param {String} licenceId -
+   * @param {Object|Deadline} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} userIds - rejected with an UnexpectedResponseError if ALS doesn't give a list of seats,
+   *          as that would have all the members removed
+   * @private
+   */
+  function _getSeatHolders(licenceId, callOptions) {
+    const operation = 'licenceSync.getSeatHolders';
+    const now = Date.now();
+    return als.getSeats(licenceId, callOptions)
+      .then(seats => {
+        if (!Array.isArray(seats)) {
+          log.error({operation, licenceId, msg: 'The seats aren\'t a list', seats: JSON.stringify(seats)});
+          throw new clientErrors.UnexpectedResponseError(`The seats of licence ${licenceId} aren't a list`, {operation, body: seats});
+        }
+        return seats
+          .filter(seat => !seat.seatExpiryDate || Date.parse(seat.seatExpiryDate) > now)
+          .map(seat => seat.userId);
+      });
+  }
+
+  /**
+   * Gets the members of a myFT licence, a page at a time, as the iterator doesn't go through the response cache
+   * (a stale list would give a wrong plan), leaving the cached list alone
+   * @param {String} licenceId -
+   * @param {Object|Deadline} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} userIds - none for a licence which isn't in myFT yet
+   * @private
+   */
+  function _getMembers(licenceId, callOptions) {
+    const members = myFT.iterateUsersForLicence(licenceId, callOptions);
+    const userIds = [];
+    const read = () => members.next()
+      .then(next => {
+        if (next.done) {
+          return userIds;
+        }
+        userIds.push(next.value.uuid);
+        return read();
+      });
+    return read()
+      .catch(err => {
+        // the licence has no node in myFT yet, so its seat holders are all to be added
+        if (err instanceof clientErrors.NotFoundError && userIds.length === 0) {
+          log.debug({operation: 'licenceSync.getMembers', licenceId, msg: 'Licence not in myFT'});
+          return userIds;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Works out what synchronising a licence takes, without changing anything
+   * @param {String} licenceId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} plan - {licenceId, add, remove, unchanged}, arrays of user ids
+   */
+  function plan(licenceId, callOptions) {
+    const operation = 'licenceSync.plan';
+    log.debug({operation, licenceId});
+
+    return Promise.all([_getSeatHolders(licenceId, callOptions), _getMembers(licenceId, callOptions)])
+      .then(results => {
+        const seatHolders = new Set(results[0]);
+        const members = new Set(results[1]);
+        const thePlan = {
+          licenceId,
+          add: Array.from(seatHolders).filter(userId => !members.has(userId)),
+          remove: Array.from(members).filter(userId => !seatHolders.has(userId)),
+          unchanged: Array.from(members).filter(userId => seatHolders.has(userId))
+        };
+        log.debug({operation, licenceId, add: thePlan.add.length, remove: thePlan.remove.length, unchanged: thePlan.unchanged.length, res: 'success'});
+        return thePlan;
+      });
+  }
+
+  /**
+   * Applies a batch of the plan, recording the outcome in the report
+   * @param {String} action - add or remove
+   * @param {String} licenceId -
+   * @param {Array} userIds -
+   * @param {Object} opts - the sync options
+   * @param {Deadline} [deadline] -
+   * @param {Object} report -
+   * @returns {Promise} done - never rejected, a failed batch being recorded in report.failed
+   * @private
+   */
+  function _applyBatch(action, licenceId, userIds, opts, deadline, report) {
+    const operation = `licenceSync.${action}`;
+    const write = action === 'add' ?
+      myFT.addUsersToLicence(licenceId, userIds, opts.relationshipProperties, opts.options, deadline) :
+      myFT.removeUsersFromLicence(licenceId, userIds, opts.options, deadline);
+
+    const done = action === 'add' ? report.added : report.removed;
+
+    return write
+      .then(res => {
+        // a batch is written MYFT_MEMBER_CHUNK_SIZE users at a time, some chunks of which may have failed
+        if (res.hasFailures) {
+          done.push.apply(done, res.succeeded);
+          res.failedChunks.forEach(chunk => report.failed.push({action, userIds: chunk.ids, error: chunk.error}));
+          log.warn({operation, licenceId, count: userIds.length, failed: res.failed.length});
+          return;
+        }
+        done.push.apply(done, userIds);
+        log.debug({operation, licenceId, count: userIds.length, res: 'success'});
+      })
+      .catch(error => {
+        report.failed.push({action, userIds, error});
+        log.warn({operation, licenceId, count: userIds.length, msg: error.message});
+      });
+  }
+
+  /**
+   * Synchronises the myFT members of a licence with its ALS seat holders
+   * @param {String} licenceId -
+   * @param {Object} [options] -
+   * @param {Boolean} [options.dryRun] - only works out the plan
+   * @param {Number} [options.batchSize] - users per request, defaults to LICENCE_SYNC_BATCH_SIZE
+   * @param {Object} [options.relationshipProperties] - of the added members, defaults to the myFT client's ({byTool, byUser})
+   * @param {Object} [options.options] - myFT options of the writes, {supressEvents, waitForPurge}
+   * @param {Object} [callOptions] - {timeout, signal}, for the whole synchronisation, see lib/helpers/cancellation.js
+   * @returns {Promise} report - {licenceId, dryRun, plan, added, removed, failed, startedAt, duration},
+   *          failed being the batches not applied, as {action, userIds, error}
+   */
+  function sync(licenceId, options, callOptions) {
+    const operation = 'licenceSync.sync';
+    const opts = Object.assign({
+      dryRun: false,
+      batchSize: config.LICENCE_SYNC_BATCH_SIZE,
+      relationshipProperties: myFT.relationshipProperties
+    }, options);
+    const batchSize = parseInt(opts.batchSize, 10) || 1;
+    const startedAt = new Date();
+    // the timeout is for the whole synchronisation
+    const deadline = cancellation.create(callOptions);
+    log.debug({operation, licenceId, dryRun: opts.dryRun, batchSize});
+
+    return plan(licenceId, deadline)
+      .then(thePlan => {
+        const report = {
+          licenceId,
+          dryRun: opts.dryRun === true,
+          plan: thePlan,
+          added: [],
+          removed: [],
+          failed: []
+        };
+        if (report.dryRun) {
+          return report;
+        }
+
+        const batches = _toBatches(thePlan.add, batchSize).map(userIds => ['add', userIds])
+          .concat(_toBatches(thePlan.remove, batchSize).map(userIds => ['remove', userIds]));
+        return Promise.mapSeries(batches, batch => _applyBatch(batch[0], licenceId, batch[1], opts, deadline, report))
+          .then(() => report);
+      })
+      .then(report => {
+        report.startedAt = startedAt.toISOString();
+        report.duration = Date.now() - startedAt.getTime();
+        log.info({operation, licenceId, dryRun: report.dryRun, added: report.added.length, removed: report.removed.length, failed: report.failed.length, unchanged: report.plan.unchanged.length});
+        return report;
+      });
+  }
+
+  return {
+    plan,
+    sync
+  };
+}
+
+module.exports = Object.assign(create(defaultConfig, {myFTClient, accessLicenceClient}), {create});
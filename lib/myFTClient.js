@@ -6,13 +6,22 @@
  * Abstraction over the myFT API (v3)
  * Currently doesn't expose the underlying generic functions like getRelationship
  */
-const fetch = require('fetch-retry-or-die');
 const log = require('@financial-times/n-logger').default;
-const config = require('./helpers/config');
+const defaultConfig = require('./helpers/config');
 const clientErrors = require('./clientErrors');
 const helpers = require('./helpers/helpers');
-const kinesis = require('./kinesisClient');
+const requestBuilder = require('./helpers/requestBuilder');
+const transport = require('./helpers/transport');
+const cancellation = require('./helpers/cancellation');
+const responseCache = require('./helpers/cache');
+const BatchResult = require('./helpers/batchResult');
+const kinesisClient = require('./kinesisClient');
+const saga = require('./saga');
 const Promise = require('bluebird');
+const stream = require('stream');
+
+// Symbol.asyncIterator is only there from node 10
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
 
 const myftConst = {
   userNodeName: 'user',
@@ -26,894 +35,2192 @@ const myftConst = {
   prefRelId: 'email-digest'
 };
 
-const relationshipProperties = {
-	byTool: config.FT_TOOL_ID,
-	byUser: config.FT_TOOL_ADMIN_ID
-};
-
-const followedProperties = Object.assign({}, relationshipProperties);
-const digestProperties = Object.assign({"type": "daily", "timezone": "Europe/London"}, relationshipProperties);
-
-//const entityProperties = {};// TODO: WIP
-//entityProperties[config.FT_TOOL_DATE_ID] = new Date().toISOString();
-
-const fetchOptions = Object.assign({}, config.fetchOptions);
-fetchOptions.headers = Object.assign({}, fetchOptions.headers, {"X-API-KEY": config.MYFT_API_KEY});
-
 /**
- * Get all the node items
- * @param {String} node -
- * @param {String} nodeId -
- * @param {String} relationship -
- * @param {String} relatedNode -
- * @returns {Promise} response -
- * @private
+ * Creates a myFT API client
+ * @param {Object} config - see lib/helpers/config.js
+ * @param {Object} [kinesisInstance] - the kinesis client used for the myFT events, a new one is created from the config if not given
+ * @returns {Object} client -
  */
-function _getAllNodeItems(node, nodeId, relationship, relatedNode) {
-  const operation = 'myFTClient.getAllNodeItems';
-  log.debug({operation, nodeId, node, relationship, relatedNode});
-
-  let allItems = [];
-  const params = { page: 1, limit: 500 };
-
-  // .then functionality
-  const thenFn = (response) => {
-    // if the items are received
-    if (Array.isArray(response.items)) {
-      // append the items to the previous list
-      //allItems = [...allItems, ...response.items]; // node 4.3 (used by the lambda) does not like this :)
-      allItems = allItems.concat(response.items);
-
-      // if there are more pages
-      if (!!response.total && (params.page * params.limit) < parseInt(response.total, 10)) {
-        // add the new query param
-        params.page++;
-
-        // get the next list of items
-        return _createAndTriggerRelationshipRequest("GET", node, nodeId, relationship, relatedNode, undefined, params)
-          .then(helpers.parseJsonRes)
-          .then(thenFn);
-      }
-    }
+function create(config, kinesisInstance) {
+  const fetch = transport.create(config, 'myFT', 'myFTClient');
+  const kinesis = kinesisInstance || kinesisClient.create(config);
 
-    log.debug({operation, nodeId, node, relationship, relatedNode, res: JSON.stringify(allItems)});
-    // return all the items
-    return allItems;
+  const relationshipProperties = {
+    byTool: config.FT_TOOL_ID,
+    byUser: config.FT_TOOL_ADMIN_ID
   };
 
-  return _createAndTriggerRelationshipRequest("GET", node, nodeId, relationship, relatedNode, undefined, params)
-    .then(helpers.parseJsonRes)
-    .then(thenFn);
-}
+  const followedProperties = Object.assign({}, relationshipProperties);
+  const digestProperties = Object.assign({"type": "daily", "timezone": "Europe/London"}, relationshipProperties);
 
-/**
- * Add/Remove users to/from node
- * @param {String} method -
- * @param {String} node -
- * @param {String} nodeId -
- * @param {String|Array} userIds -
- * @param {Object} [relProp] -
- * @param {Object} [options] -
- * @param {Boolean} [noResultParse] -
- * @returns {Promise} response -
- * @private
- */
-function _addRemoveUsers(method, node, nodeId, userIds, relProp, options, noResultParse) {
-  const operation = `myFTClient.addRemoveUsers - ${method} ${node}`;
-  const uuidStr = JSON.stringify(userIds);
-  const propStr = JSON.stringify(relProp);
-  const optStr = JSON.stringify(options);
-  log.debug({operation, nodeId, userIds: uuidStr, relProp: propStr, options: optStr});
+  //const entityProperties = {};// TODO: WIP
+  //entityProperties[config.FT_TOOL_DATE_ID] = new Date().toISOString();
 
-  let thePromise = _addRemoveRelationships(method, node, nodeId, myftConst.memberRelName, myftConst.userNodeName, userIds, relProp, options);
+  const request = requestBuilder.create(config.fetchOptions, {"X-API-KEY": config.MYFT_API_KEY});
+  const cache = responseCache.forConfig(config);
+  const sagaConfig = config.saga || {};
+  const sagaOptions = Object.assign({}, sagaConfig, {store: sagaConfig.store || saga.createMemoryStore()});
+  // the workflows run as sagas, by name, built for the deadline of a call (the steps depending on the saga's input), see lib/saga.js
+  const sagas = {
+    offboardUser: deadline => saga.create({name: 'myFTClient.offboardUser', steps: input => _offboardingSteps(input, deadline)}, sagaOptions),
+    syncUserFollowers: deadline => saga.create({name: 'myFTClient.syncUserFollowers', steps: input => _followingSteps(input, deadline)}, sagaOptions)
+  };
 
-  // if we want the response to be parsed
-  if (noResultParse !== true) {
-    thePromise = thePromise.then(res => helpers.parseJsonRes(res, `${operation} - users: ${uuidStr}`));
+  /**
+   * @returns {Deadline} deadline - of a compensation, see config.saga.compensationTimeout
+   * @private
+   */
+  function _compensationDeadline() {
+    return cancellation.create({timeout: sagaConfig.compensationTimeout});
   }
 
-  thePromise.then(res => {
-    log.debug({operation, nodeId, userIds: uuidStr, relProp: propStr, options: optStr, res: 'success'});
-    return res;
-  });
+  /**
+   * Invalidates the cached reads a write changes, once it has succeeded
+   * (for a batched write, once any of its chunks has, the retries of the ids which failed invalidating them in turn)
+   * @param {Promise} write -
+   * @param {String} operation - the cached read, e.g. myFTClient.getUsersForGroup
+   * @param {String|Array} ids - of the nodes written to
+   * @param {Array} [more] - other cached reads to invalidate, as [operation, parts] pairs
+   * @returns {Promise} response - of the write
+   * @private
+   */
+  function _invalidateOnSuccess(write, operation, ids, more) {
+    const invalidate = nodeIds => cache.invalidate([].concat(nodeIds).map(id => [operation, [id]]).concat(more || []));
+    const withRetry = result => new BatchResult(result.chunks, (failedIds, callOptions) => _invalidateOnSuccess(result._retry(failedIds, callOptions), operation, failedIds, more));
+
+    return write.then(res => {
+      // the unparsed responses of the removals can be failures
+      if (res && res.ok === false) {
+        return res;
+      }
+      return invalidate(ids).then(() => res instanceof BatchResult ? withRetry(res) : res);
+    }, err => {
+      if (!(err.result instanceof BatchResult)) {
+        throw err;
+      }
+      err.result = withRetry(err.result);
+      return (err.result.succeeded.length > 0 ? invalidate(err.result.succeeded) : Promise.resolve())
+        .then(() => {
+          throw err;
+        });
+    });
+  }
 
-  return thePromise;
-}
+  /**
+   * Gets a page of node items
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} relationship -
+   * @param {String} relatedNode -
+   * @param {Number} page - starting at 1
+   * @param {Number} limit - the page size
+   * @param {String} operation - for the logs and errors
+   * @param {Object|Deadline} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {items, total}
+   * @private
+   */
+  function _getNodeItemsPage(node, nodeId, relationship, relatedNode, page, limit, operation, callOptions) {
+    return _createAndTriggerRelationshipRequest("GET", node, nodeId, relationship, relatedNode, undefined, {page, limit}, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}));
+  }
 
-/**
- * Add/Remove groups to/from node
- * @param {String} method -
- * @param {String} licenseId -
- * @param {String|Array} groupIds -
- * @param {Object} [relProp] -
- * @param {Object} [options] -
- * @param {Boolean} [noResultParse] -
- * @returns {Promise} response -
- * @private
- */
-function _addRemoveGroups(method, licenseId, groupIds, relProp, options, noResultParse) {
-  const operation = `myFTClient.addRemoveGroups - ${method}`;
-  const uuidStr = JSON.stringify(groupIds);
-  const propStr = JSON.stringify(relProp);
-  const optStr = JSON.stringify(options);
-  log.debug({operation, licenseId, groupIds: uuidStr, relProp: propStr, options: optStr});
+  /**
+   * Get all the node items
+   * With MYFT_PAGE_CONCURRENCY above 1, the pages after the first are fetched concurrently, falling back to fetching them
+   * one after the other if the total changes meanwhile
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} relationship -
+   * @param {String} relatedNode -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _getAllNodeItems(node, nodeId, relationship, relatedNode, callOptions) {
+    const operation = 'myFTClient.getAllNodeItems';
+    log.debug({operation, nodeId, node, relationship, relatedNode});
+
+    // the timeout is for all the pages
+    const deadline = cancellation.create(callOptions);
+    const concurrency = parseInt(config.MYFT_PAGE_CONCURRENCY, 10) || 1;
+    let allItems = [];
+    const params = { page: 1, limit: config.MYFT_PAGE_SIZE };
+
+    // stop paginating if the call has timed out or been cancelled
+    const checkDeadline = (page) => {
+      if (deadline !== undefined) {
+        const err = deadline.error({operation, method: 'GET'});
+        if (err) {
+          log.warn({operation, nodeId, node, relationship, relatedNode, page, msg: err.message});
+          throw err;
+        }
+      }
+    };
+
+    const hasMorePages = (response) => Array.isArray(response.items) && !!response.total && (params.page * params.limit) < parseInt(response.total, 10);
+
+    // .then functionality
+    const thenFn = (response) => {
+      // if the items are received
+      if (Array.isArray(response.items)) {
+        // append the items to the previous list
+        //allItems = [...allItems, ...response.items]; // node 4.3 (used by the lambda) does not like this :)
+        allItems = allItems.concat(response.items);
+
+        // if there are more pages
+        if (hasMorePages(response)) {
+          checkDeadline(params.page);
+          // add the new query param
+          params.page++;
+
+          // get the next list of items
+          return _getNodeItemsPage(node, nodeId, relationship, relatedNode, params.page, params.limit, operation, deadline)
+            .then(thenFn);
+        }
+      }
 
-  let thePromise = _addRemoveRelationships(method, myftConst.licenceNodeName, licenseId, myftConst.memberRelName, myftConst.groupNodeName, groupIds, relProp, options);
+      log.debug({operation, nodeId, node, relationship, relatedNode, count: allItems.length, res: 'success'});
+      // return all the items
+      return allItems;
+    };
+
+    // fetches the remaining pages at once, given the first one
+    const prefetchFn = (first) => {
+      const total = parseInt(first.total, 10);
+      const pages = [];
+      for (let page = 2; ((page - 1) * params.limit) < total; page++) {
+        pages.push(page);
+      }
+      log.debug({operation, nodeId, node, relationship, relatedNode, total, pages: pages.length + 1, concurrency});
+
+      return Promise.map(pages, page => {
+        checkDeadline(page);
+        return _getNodeItemsPage(node, nodeId, relationship, relatedNode, page, params.limit, operation, deadline);
+      }, {concurrency})
+        .then(responses => {
+          const all = [first].concat(responses);
+          // items added or removed while paginating would be missed or repeated
+          const drifted = all.some((response, index) => !Array.isArray(response.items) ||
+            parseInt(response.total, 10) !== total ||
+            (index < all.length - 1 && response.items.length !== params.limit));
+          if (drifted) {
+            log.warn({operation, nodeId, node, relationship, relatedNode, total, msg: 'The total changed while paginating, fetching the pages sequentially'});
+            checkDeadline(1);
+            return _getNodeItemsPage(node, nodeId, relationship, relatedNode, params.page, params.limit, operation, deadline)
+              .then(thenFn);
+          }
+
+          allItems = all.reduce((items, response) => items.concat(response.items), []);
+          log.debug({operation, nodeId, node, relationship, relatedNode, count: allItems.length, res: 'success'});
+          return allItems;
+        });
+    };
+
+    return _getNodeItemsPage(node, nodeId, relationship, relatedNode, params.page, params.limit, operation, deadline)
+      .then(response => concurrency > 1 && hasMorePages(response) ? prefetchFn(response) : thenFn(response));
+  }
+
+  /**
+   * Creates an async iterator over the node items, fetching a page at a time
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} relationship -
+   * @param {String} relatedNode -
+   * @param {Object|Deadline} [options] - {timeout, signal} (see lib/helpers/cancellation.js), or the deadline of the call it's part of, and
+   * @param {Number} [options.pageSize] - defaults to MYFT_PAGE_SIZE
+   * @param {Number} [options.cursor] - the page to start from, e.g. the cursor of an iterator which was stopped
+   * @returns {Object} iterator - async iterable, with cursor being the page to resume from (undefined once done)
+   * @private
+   */
+  function _createNodeItemsIterator(node, nodeId, relationship, relatedNode, options) {
+    const operation = 'myFTClient.iterateNodeItems';
+    const opts = options || {};
+    const limit = parseInt(opts.pageSize || config.MYFT_PAGE_SIZE, 10);
+    // the timeout is for all the pages
+    const deadline = cancellation.create(opts);
+    let page = parseInt(opts.cursor || 1, 10);
+    let items = [];
+    let finished = false;
+    // the next() calls are answered in turn
+    let queue = Promise.resolve();
+
+    log.debug({operation, nodeId, node, relationship, relatedNode, page, limit});
+
+    const nextItem = () => {
+      if (items.length > 0) {
+        return {value: items.shift(), done: false};
+      }
+      if (finished) {
+        return {value: undefined, done: true};
+      }
 
-  // if we want the response to be parsed
-  if (noResultParse !== true) {
-    thePromise = thePromise.then(res => helpers.parseJsonRes(res, `${operation} - groups: ${uuidStr}`));
+      return _getNodeItemsPage(node, nodeId, relationship, relatedNode, page, limit, operation, deadline)
+        .then(response => {
+          items = Array.isArray(response.items) ? response.items.slice() : [];
+          log.debug({operation, nodeId, node, relationship, relatedNode, page, count: items.length});
+          finished = items.length === 0 || !response.total || (page * limit) >= parseInt(response.total, 10);
+          page++;
+          return nextItem();
+        });
+    };
+
+    const iterator = {
+      next: () => {
+        const result = queue.then(nextItem);
+        queue = result.catch(() => undefined);
+        return result;
+      },
+      // ends the iteration early, e.g. on a break out of a for await
+      return: () => {
+        finished = true;
+        items = [];
+        return Promise.resolve({value: undefined, done: true});
+      },
+      pageSize: limit
+    };
+    Object.defineProperty(iterator, 'cursor', {
+      enumerable: true,
+      // the page of the items not consumed yet
+      get: () => {
+        if (items.length > 0) {
+          return page - 1;
+        }
+        return finished ? undefined : page;
+      }
+    });
+    iterator[asyncIteratorSymbol] = () => iterator;
+
+    return iterator;
   }
 
-  thePromise.then(res => {
-    log.debug({operation, licenseId, groupIds: uuidStr, relProp: propStr, options: optStr, res: 'success'});
-    return res;
-  });
+  /**
+   * Creates a readable stream (in object mode) of the node items, fetching a page at a time
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} relationship -
+   * @param {String} relatedNode -
+   * @param {Object} [options] - see _createNodeItemsIterator
+   * @returns {Object} stream - with cursor being the page to resume from (undefined once done)
+   * @private
+   */
+  function _createNodeItemsStream(node, nodeId, relationship, relatedNode, options) {
+    const iterator = _createNodeItemsIterator(node, nodeId, relationship, relatedNode, options);
+    const readable = new stream.Readable({
+      objectMode: true,
+      read() {
+        iterator.next()
+          .then(result => {
+            this.push(result.done ? null : result.value);
+          }, err => {
+            this.emit('error', err);
+          });
+      }
+    });
+    Object.defineProperty(readable, 'cursor', {
+      enumerable: true,
+      get: () => iterator.cursor
+    });
 
-  return thePromise;
-}
+    return readable;
+  }
 
-/**
- * Add/Remove concepts(topics) follows to/from node
- * @param {String} method -
- * @param {String} node -
- * @param {String|Array} nodeId -
- * @param {Array} newConceptsToFollow -
- * @param {Object} [followProps] -
- * @returns {Promise} response -
- * @private
- */
-function _addRemoveConceptsFollowed(method, node, nodeId, newConceptsToFollow, followProps) {
-  return _multiAddRemoveRelationships(method, node, nodeId, myftConst.followedRelName, myftConst.topicNodeName, newConceptsToFollow, followProps);
-}
+  /**
+   * Splits ids in chunks
+   * @param {Array} ids -
+   * @param {Number} size -
+   * @returns {Array} chunks -
+   * @private
+   */
+  function _toChunks(ids, size) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += size) {
+      chunks.push(ids.slice(i, i + size));
+    }
+    return chunks;
+  }
 
-/**
- * Removes concepts(topics) followed by node (user|group)
- * @param {String} node -
- * @param {String} nodeUUID -
- * @param {String|Array} conceptUUIDs -
- * @param {Boolean} [noResultParse] -
- * @returns {Promise} response -
- * @private
- */
-function _removeConceptsFollowedByNode(node, nodeUUID, conceptUUIDs, noResultParse) {
-  const operation = `myFTClient.removeConceptsFollowedBy - ${node}`;
-  const conceptStr = JSON.stringify(conceptUUIDs);
-  log.debug({operation, nodeUUID, conceptUUIDs: conceptStr});
+  /**
+   * Whether a batched write fails as soon as one of its chunks fails
+   * @param {Object|Deadline} [callOptions] - {timeout, signal, strict}
+   * @returns {Boolean} strict - defaults to MYFT_BATCH_STRICT
+   * @private
+   */
+  function _isStrict(callOptions) {
+    return callOptions && callOptions.strict !== undefined ? callOptions.strict === true : config.MYFT_BATCH_STRICT === true;
+  }
 
-  let thePromise = _addRemoveRelationships('DELETE', node, nodeUUID, myftConst.followedRelName, myftConst.topicNodeName, conceptUUIDs);
+  /**
+   * Gives the outcome of the chunks of a batched write
+   * @param {Array} chunks - {ids, response} or {ids, error}
+   * @param {Function} retry - (ids, callOptions) => Promise of a BatchResult
+   * @param {Boolean} strict - fails if any chunk failed
+   * @param {Object} context - {operation, method, deadline}
+   * @returns {BatchResult} result -
+   * @throws {Error} error - the error of the chunk if there's only one, a BatchPartialFailureError if they all
+   *         (or any, if strict) failed, the BatchResult being its result property
+   * @private
+   */
+  function _settleBatch(chunks, retry, strict, context) {
+    const operation = context.operation;
+    const method = context.method;
+    // a timed out or cancelled call fails as such, rather than with the errors of its chunks
+    if (context.deadline !== undefined) {
+      context.deadline.check({operation, method});
+    }
+    const result = new BatchResult(chunks, retry);
+    const failedCount = result.failedChunks.length;
+    if (failedCount === 0) {
+      return result;
+    }
 
-  // if we want the response to be parsed
-  if (noResultParse !== true) {
-    thePromise = thePromise.then(helpers.parseJsonRes);
+    log.warn({operation, method, chunks: chunks.length, failedChunks: failedCount, failed: JSON.stringify(result.failed)});
+    // if there's only one chunk
+    if (chunks.length === 1) {
+      result[0].result = result;
+      throw result[0];
+    }
+    if (failedCount === chunks.length) {
+      throw new clientErrors.BatchPartialFailureError('An error has occurred while processing your request.', {operation, method, result});
+    }
+    if (strict) {
+      throw new clientErrors.BatchPartialFailureError(`${failedCount} of the ${chunks.length} chunks failed`, {operation, method, result});
+    }
+    return result;
   }
 
-  thePromise.then(res => {
-    log.debug({operation, nodeUUID, conceptUUIDs: conceptStr, res: 'success'});
-    return res;
-  });
+  /**
+   * Add/Remove users to/from node, MYFT_MEMBER_CHUNK_SIZE users per request
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String|Array} userIds - a single user being sent on its own rather than in a list, as a chunk of one
+   * @param {Object} [relProp] -
+   * @param {Object} [options] -
+   * @param {Boolean} [noResultParse] - the chunk responses are only checked
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js
+   * @returns {Promise} response - a BatchResult, see _settleBatch
+   * @private
+   */
+  function _addRemoveUserChunks(method, node, nodeId, userIds, relProp, options, noResultParse, callOptions) {
+    const operation = `myFTClient.addRemoveUsers - ${method} ${node}`;
+    const strict = _isStrict(callOptions);
+    // the timeout is for all the chunks
+    const deadline = cancellation.create(callOptions);
+    const single = !Array.isArray(userIds);
+    const allIds = [].concat(userIds);
+    // all in one chunk without a chunk size
+    const idChunks = _toChunks(allIds, config.MYFT_MEMBER_CHUNK_SIZE > 0 ? config.MYFT_MEMBER_CHUNK_SIZE : allIds.length);
+    const retry = (failedIds, retryOptions) => _addRemoveUserChunks(method, node, nodeId, single ? failedIds[0] : failedIds, relProp, options, noResultParse, retryOptions);
+    log.debug({operation, nodeId, users: allIds.length, chunks: idChunks.length, strict});
+
+    return Promise.map(idChunks, (ids, i) => _addRemoveRelationships(method, node, nodeId, myftConst.memberRelName, myftConst.userNodeName, single ? userIds : ids, relProp, options, {operation, callOptions: deadline})
+      .then(res => noResultParse === true ? clientErrors.parseResponse(res, undefined, {operation, method}) : helpers.parseJsonRes(res, undefined, {operation, method}))
+      .then(res => {
+        log.debug({operation, i, nodeId, users: ids.length, res: 'success'});
+        return {ids, response: res};
+      })
+      .catch(err => {
+        log.error({operation, i, nodeId, users: ids.length, err: err.message});
+        return {ids, error: err};
+      }), {concurrency: config.MYFT_MEMBER_CHUNK_CONCURRENCY})
+      .then(chunks => _settleBatch(chunks, retry, strict, {operation, method, deadline}));
+  }
 
-  return thePromise;
-}
+  /**
+   * Add/Remove users to/from node, in chunks (see _addRemoveUserChunks) whatever their number, so the writes resolve
+   * with a BatchResult (and take strict and retryFailed) however many users there are
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String|Array} userIds -
+   * @param {Object} [relProp] -
+   * @param {Object} [options] -
+   * @param {Boolean} [noResultParse] -
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js
+   * @returns {Promise} response - a BatchResult, see _settleBatch
+   * @private
+   */
+  function _addRemoveUsers(method, node, nodeId, userIds, relProp, options, noResultParse, callOptions) {
+    return _addRemoveUserChunks(method, node, nodeId, userIds, relProp, options, noResultParse, callOptions);
+  }
 
-/**
- * Get node
- * @param {String} node -
- * @param {String} uuid -
- * @returns {Promise} response -
- * @private
- */
-function _getNode(node, uuid) {
-  const operation = `myFTClient.getNode - ${node}`;
-  log.debug({operation, uuid});
-
-  return _createAndTriggerRelationshipRequest('GET', node, uuid)
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, uuid, res: 'success'});
-      return res;
-    });
-}
+  /**
+   * Add/Remove groups to/from node
+   * @param {String} method -
+   * @param {String} licenseId -
+   * @param {String|Array} groupIds -
+   * @param {Object} [relProp] -
+   * @param {Object} [options] -
+   * @param {Boolean} [noResultParse] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _addRemoveGroups(method, licenseId, groupIds, relProp, options, noResultParse, callOptions) {
+    const operation = `myFTClient.addRemoveGroups - ${method}`;
+    const uuidStr = JSON.stringify(groupIds);
+    const propStr = JSON.stringify(relProp);
+    const optStr = JSON.stringify(options);
+    log.debug({operation, licenseId, groupIds: uuidStr, relProp: propStr, options: optStr});
+
+    let thePromise = _addRemoveRelationships(method, myftConst.licenceNodeName, licenseId, myftConst.memberRelName, myftConst.groupNodeName, groupIds, relProp, options, {operation, callOptions});
+
+    // if we want the response to be parsed
+    if (noResultParse !== true) {
+      thePromise = thePromise.then(res => helpers.parseJsonRes(res, `${operation} - groups: ${uuidStr}`, {operation, method}));
+    }
 
-/**
- * Set node
- * @param {String} node -
- * @param {String} uuid -
- * @returns {Promise} response -
- * @private
- */
-function _setNode(node, uuid) {
-  const operation = `myFTClient.setNode - ${node}`;
-  log.debug({operation, uuid});
-
-  return _createAndTriggerRelationshipRequest('POST', node, undefined, undefined, undefined, undefined, {uuid: uuid})
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, uuid, res: 'success'});
+    thePromise.then(res => {
+      log.debug({operation, licenseId, groupIds: uuidStr, relProp: propStr, options: optStr, res: 'success'});
       return res;
     });
-}
 
-/**
- * Update node
- * @param {String} node -
- * @param {String} uuid -
- * @param {Object} data -
- * @returns {Promise} response -
- * @private
- */
-function _updateNode(node, uuid, data) {
-  const operation = `myFTClient.updateNode - ${node}`;
-  const dataStr = JSON.stringify(data);
-  log.debug({operation, uuid, data: dataStr});
-
-  return _createAndTriggerRelationshipRequest('PUT', node, uuid, undefined, undefined, undefined, data)
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, uuid, data: dataStr, res: 'success'});
-      return res;
-    });
-}
+    return thePromise;
+  }
 
+  /**
+   * Add/Remove concepts(topics) follows to/from node
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String|Array} nodeId -
+   * @param {Array} newConceptsToFollow -
+   * @param {Object} [followProps] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _addRemoveConceptsFollowed(method, node, nodeId, newConceptsToFollow, followProps, callOptions) {
+    return _multiAddRemoveRelationships(method, node, nodeId, myftConst.followedRelName, myftConst.topicNodeName, newConceptsToFollow, followProps, undefined, callOptions);
+  }
 
-/**
- * Get user from node
- * @param {String} node -
- * @param {String} nodeId -
- * @param {String} memberType -
- * @param {String} memberId -
- * @returns {Promise} response -
- * @private
- */
-function _getMemberFromNode(node, nodeId, memberType, memberId) {
-  const operation = `myFTClient.getUserFrom - ${node}`;
-  log.debug({operation, nodeId, memberType, memberId});
-
-  return _createAndTriggerRelationshipRequest("GET", node, nodeId, myftConst.memberRelName, memberType, memberId)
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, nodeId, memberType, memberId, res: 'success'});
+  /**
+   * Removes concepts(topics) followed by node (user|group)
+   * @param {String} node -
+   * @param {String} nodeUUID -
+   * @param {String|Array} conceptUUIDs -
+   * @param {Boolean} [noResultParse] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _removeConceptsFollowedByNode(node, nodeUUID, conceptUUIDs, noResultParse, callOptions) {
+    const operation = `myFTClient.removeConceptsFollowedBy - ${node}`;
+    const conceptStr = JSON.stringify(conceptUUIDs);
+    log.debug({operation, nodeUUID, conceptUUIDs: conceptStr});
+
+    let thePromise = _addRemoveRelationships('DELETE', node, nodeUUID, myftConst.followedRelName, myftConst.topicNodeName, conceptUUIDs, undefined, undefined, {operation, callOptions});
+
+    // if we want the response to be parsed
+    if (noResultParse !== true) {
+      thePromise = thePromise.then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'DELETE'}));
+    }
+
+    thePromise.then(res => {
+      log.debug({operation, nodeUUID, conceptUUIDs: conceptStr, res: 'success'});
       return res;
     });
-}
 
-/**
- * Add/Remove relationships to/from node
- * @param {String} method -
- * @param {String} node -
- * @param {String} nodeId -
- * @param {String} rel -
- * @param {String} relType -
- * @param {String|Array} relIds -
- * @param {Object} [relProp] -
- * @param {Object} [options] -
- * @returns {Promise} response -
- * @private
- */
-function _addRemoveRelationships(method, node, nodeId, rel, relType, relIds, relProp, options) {
-  const params = Object.assign({
-      noEvent: config.MYFT_NO_EVENT,
-      waitForPurge: config.MYFT_WAIT_FOR_PURGE_ADD
-    },
-    options
-  );
-
-  let body;
-  if (Array.isArray(relIds)) {
-    body = relIds.map(uuid => {
-      return Object.assign(
-        {uuid},
+    return thePromise;
+  }
+
+  /**
+   * Get node
+   * @param {String} node -
+   * @param {String} uuid -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _getNode(node, uuid, callOptions) {
+    const operation = `myFTClient.getNode - ${node}`;
+    log.debug({operation, uuid});
+
+    return _createAndTriggerRelationshipRequest('GET', node, uuid, undefined, undefined, undefined, undefined, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, uuid, res: 'success'});
+        return res;
+      });
+  }
+
+  /**
+   * Set node
+   * @param {String} node -
+   * @param {String} uuid -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _setNode(node, uuid, callOptions) {
+    const operation = `myFTClient.setNode - ${node}`;
+    log.debug({operation, uuid});
+
+    return _createAndTriggerRelationshipRequest('POST', node, undefined, undefined, undefined, undefined, {uuid: uuid}, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'POST'}))
+      .then(res => {
+        log.debug({operation, uuid, res: 'success'});
+        return res;
+      });
+  }
+
+  /**
+   * Update node
+   * @param {String} node -
+   * @param {String} uuid -
+   * @param {Object} data -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _updateNode(node, uuid, data, callOptions) {
+    const operation = `myFTClient.updateNode - ${node}`;
+    const dataStr = JSON.stringify(data);
+    log.debug({operation, uuid, data: dataStr});
+
+    return _createAndTriggerRelationshipRequest('PUT', node, uuid, undefined, undefined, undefined, data, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'PUT'}))
+      .then(res => {
+        log.debug({operation, uuid, data: dataStr, res: 'success'});
+        return res;
+      });
+  }
+
+
+  /**
+   * Get user from node
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} memberType -
+   * @param {String} memberId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _getMemberFromNode(node, nodeId, memberType, memberId, callOptions) {
+    const operation = `myFTClient.getUserFrom - ${node}`;
+    log.debug({operation, nodeId, memberType, memberId});
+
+    return _createAndTriggerRelationshipRequest("GET", node, nodeId, myftConst.memberRelName, memberType, memberId, undefined, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, nodeId, memberType, memberId, res: 'success'});
+        return res;
+      });
+  }
+
+  /**
+   * Add/Remove relationships to/from node
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} rel -
+   * @param {String} relType -
+   * @param {String|Array} relIds -
+   * @param {Object} [relProp] -
+   * @param {Object} [options] -
+   * @param {Object} [context] - request context, {operation, callOptions}
+   * @returns {Promise} response -
+   * @private
+   */
+  function _addRemoveRelationships(method, node, nodeId, rel, relType, relIds, relProp, options, context) {
+    const params = Object.assign({
+        noEvent: config.MYFT_NO_EVENT,
+        waitForPurge: config.MYFT_WAIT_FOR_PURGE_ADD
+      },
+      options
+    );
+
+    let body;
+    if (Array.isArray(relIds)) {
+      body = relIds.map(uuid => {
+        return Object.assign(
+          {uuid},
+          (relProp !== undefined ? {_rel: relProp} : {})
+        );
+      });
+    } else {
+      body = Object.assign(
+        {uuid: relIds},
         (relProp !== undefined ? {_rel: relProp} : {})
       );
-    });
-  } else {
-    body = Object.assign(
-      {uuid: relIds},
-      (relProp !== undefined ? {_rel: relProp} : {})
+    }
+
+    return _createAndTriggerRelationshipRequest(method, node, nodeId, rel, relType, undefined, body, params, context);
+  }
+
+  /**
+   * Multi Add/Remove relationships to/from node
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String|Array} nodeId -
+   * @param {String} rel -
+   * @param {String} relType -
+   * @param {Array} relIds -
+   * @param {Object} [relProp] -
+   * @param {Object} [options] -
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js,
+   *        strict (defaulting to MYFT_BATCH_STRICT) failing the write if any chunk fails
+   * @returns {Promise} response - a BatchResult, the array of the chunk responses listing the ids which succeeded and failed,
+   *          see lib/helpers/batchResult.js, rejected with a BatchPartialFailureError if all the chunks failed (or any, if strict)
+   * @private
+   */
+  function _multiAddRemoveRelationships(method, node, nodeId, rel, relType, relIds, relProp, options, callOptions) {
+    const operation = 'myFTClient.multiAddRemoveRelationships';
+    const relIdsStr = JSON.stringify(relIds);
+    const propsStr = JSON.stringify(relProp);
+    const optStr = JSON.stringify(options);
+    const strict = _isStrict(callOptions);
+    log.debug({operation, node, nodeId, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr, strict});
+
+    const params = Object.assign({
+        noEvent: config.MYFT_NO_EVENT,
+        waitForPurge: config.MYFT_WAIT_FOR_PURGE_ADD
+      },
+      options
     );
+    // the timeout is for all the chunks
+    const deadline = cancellation.create(callOptions);
+
+    const idChunks = Array.isArray(nodeId) ? _toChunks(nodeId, config.BATCH_USER_COUNT) : [nodeId];
+
+    const partial = {
+      subjects: relIds.map(item => {
+        return Object.assign(
+          {},
+          item,
+          (relProp !== undefined ? {_rel: relProp} : {})
+        );
+      })
+    };
+    // writes the ids which failed again, with the same relationships
+    const retry = (failedIds, retryOptions) => _multiAddRemoveRelationships(method, node, failedIds, rel, relType, relIds, relProp, options, retryOptions);
+
+    return Promise.map(idChunks, (chunk, i) => {
+      const chunkData = Object.assign({}, partial, { ids: chunk });
+      const ids = Array.isArray(chunk) ? chunk : [chunk];
+
+      return _createAndTriggerRelationshipRequest(method, node, undefined, rel, relType, undefined, chunkData, params, {operation, callOptions: deadline})
+        .then(res => helpers.parseJsonRes(res, undefined, {operation, method}))
+        .then(res => {
+          log.debug({operation, i, node, chunk, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr, res: 'success'});
+          return {ids, response: res};
+        })
+        .catch(err => {
+          log.error({operation, i, node, chunk, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr, err: err.message});
+          return {ids, error: err};
+        });
+    }, {concurrency: config.BATCH_USER_CONCURRENCY})
+      .then(chunks => _settleBatch(chunks, retry, strict, {operation, method, deadline}));
   }
 
-  return _createAndTriggerRelationshipRequest(method, node, nodeId, rel, relType, undefined, body, params);
-}
+  /**
+   * Gets nodes following concepts/topics
+   * @param {String} licenceId -
+   * @param {String} conceptId -
+   * @param {String} nodeType - user|group
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   * @private
+   */
+  function _getNodesFollowingConcept(licenceId, conceptId, nodeType, callOptions) {
+    const operation = `myFTClient.getNodesFollowingConcept`;
+    log.debug({operation, licenceId, conceptId, nodeType});
+
+    return _createAndTriggerScopedRequest('GET', myftConst.licenceNodeName, licenceId, myftConst.topicNodeName, conceptId, myftConst.followedRelName, nodeType, undefined, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, licenceId, conceptId, nodeType, res: 'success'});
+        return res;
+      });
+  }
 
-/**
- * Multi Add/Remove relationships to/from node
- * @param {String} method -
- * @param {String} node -
- * @param {String|Array} nodeId -
- * @param {String} rel -
- * @param {String} relType -
- * @param {Array} relIds -
- * @param {Object} [relProp] -
- * @param {Object} [options] -
- * @returns {Promise} response -
- * @private
- */
-function _multiAddRemoveRelationships(method, node, nodeId, rel, relType, relIds, relProp, options) {
-  const operation = 'myFTClient.multiAddRemoveRelationships';
-  const relIdsStr = JSON.stringify(relIds);
-  const propsStr = JSON.stringify(relProp);
-  const optStr = JSON.stringify(options);
-  log.debug({operation, node, nodeId, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr});
-
-  const params = Object.assign({
-      noEvent: config.MYFT_NO_EVENT,
-      waitForPurge: config.MYFT_WAIT_FOR_PURGE_ADD
-    },
-    options
-  );
-
-  const idChunks = [];
-  if (Array.isArray(nodeId)) {
-    //const idsClone = [...nodeId];
-    const idsClone = nodeId.slice(); // node 4.3 (used by the lambda) does not like this :)
-    while (idsClone.length) {
-      idChunks.push(idsClone.splice(0, config.BATCH_USER_COUNT));
+  /**
+   * Creates the url and triggers the request ot get the scoped related nodes
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String} nodeId -
+   * @param {String} relatedNode -
+   * @param {String} relatedNodeId -
+   * @param {String} relationship -
+   * @param {String} relatedType -
+   * @param {String|undefined} [data] -
+   * @param {String|undefined} [params] -
+   * @param {Object} [context] - request context, {operation, callOptions}
+   * @returns {Promise} response -
+   * @private
+   */
+  function _createAndTriggerScopedRequest(method, node, nodeId, relatedNode, relatedNodeId, relationship, relatedType, data, params, context) {
+    const theUrl = `${config.MYFT_API_URL}/${node}/${nodeId}/${relatedNode}/${relatedNodeId}/${relationship}/${relatedType}`;
+
+    return _doRelationshipRequest(method, theUrl, data, params, context);
+  }
+
+  /**
+   * Create and trigger the relationshipRequest
+   * @param {String} method -
+   * @param {String} node -
+   * @param {String|undefined} [nodeId] -
+   * @param {String|undefined} [relationship] -
+   * @param {String|undefined} [relatedNode] -
+   * @param {String|undefined} [relatedNodeId] -
+   * @param {Object|undefined} [data] -
+   * @param {Object|undefined} [params] -
+   * @param {Object} [context] - request context, {operation, callOptions}
+   * @returns {Promise} response -
+   * @private
+   */
+  function _createAndTriggerRelationshipRequest(method, node, nodeId, relationship, relatedNode, relatedNodeId, data, params, context) {
+    let theUrl = `${config.MYFT_API_URL}/${node}`;
+
+    if (nodeId !== undefined) {
+      theUrl += `/${nodeId}`;
+    }
+    if (relationship !== undefined) {
+      theUrl += `/${relationship}`;
     }
-  } else {
-    idChunks.push(nodeId);
+    if (relatedNode !== undefined) {
+      theUrl += `/${relatedNode}`;
+    }
+    if (relatedNodeId !== undefined) {
+      theUrl += `/${relatedNodeId}`;
+    }
+
+    return _doRelationshipRequest(method, theUrl, data, params, context);
   }
 
-  const partial = {
-    subjects: relIds.map(item => {
-      return Object.assign(
-        {},
-        item,
-        (relProp !== undefined ? {_rel: relProp} : {})
-      );
-    })
-  };
+  /**
+   * Initiates a relationshipRequest
+   * @param {String} method -
+   * @param {String} theUrl -
+   * @param {Object|undefined} [data] -
+   * @param {Object|undefined} [params] -
+   * @param {Object} [context] - request context, {operation, callOptions}, used by the transport e.g. for the retry policy and timeouts
+   * @returns {Promise} response -
+   * @private
+   */
+  function _doRelationshipRequest(method, theUrl, data, params, context) {
+    const reqOpt = {method, headers: {}};
+    let queryString = helpers.createParams(params, '?');
+
+    if (method !== "GET") {
+
+      // fiddle content length header to appease Fastly
+      if(config.NODE_ENV === 'production') {
+        // Fastly requires that empty requests have an empty object for a body and local API requires that they don't
+        reqOpt.body = JSON.stringify(data || {});
+
+        reqOpt.headers['Content-Length'] = Buffer.byteLength(reqOpt.body);
+
+      } else {
+        reqOpt.body = data ? JSON.stringify(data) : null;
+      }
+    } else {
+
+      if(config.NODE_ENV === 'production') {
+        reqOpt.headers['Content-Length'] = 0;
+      }
 
-  return Promise.map(idChunks, (chunk, i) => {
-    const chunkData = Object.assign({}, partial, { ids: chunk });
+      queryString += helpers.createParams(data, (queryString === "" ? "?" : "&"));
+    }
+
+    theUrl += queryString;
+
+    return fetch(theUrl, request.build(reqOpt), context);
+  }
+
+  /**
+   * Adds a License in myFT
+   * @param {String} uuid -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+   * @throws {Error} statusError -
+   */
+  function addLicence(uuid, callOptions) {
+    return _invalidateOnSuccess(_setNode(myftConst.licenceNodeName, uuid, callOptions), 'myFTClient.getLicence', uuid);
+  }
 
-    return _createAndTriggerRelationshipRequest(method, node, undefined, rel, relType, undefined, chunkData, params)
-      .then(helpers.parseJsonRes)
+  /**
+   * Adds a License in myFT
+   * @param {String} uuid -
+   * @param {Object} data -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+   * @throws {Error} statusError -
+   **/
+  function updateLicence(uuid, data, callOptions) {
+    return _invalidateOnSuccess(_updateNode(myftConst.licenceNodeName, uuid, data, callOptions), 'myFTClient.getLicence', uuid);
+  }
+
+  /**
+   * Gets a License from myFT
+   * @param {String} uuid - of the licence
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - licence data
+   * @throws {Error} statusError - if something goes wrong, e.g. NotFoundError if the licence doesn't exist
+  **/
+  function getLicence(uuid, callOptions) {
+    return cache.wrap('myFTClient.getLicence', [uuid], () => _getNode(myftConst.licenceNodeName, uuid, callOptions), callOptions);
+  }
+
+  /**
+   * Gets the EmailDigestPreference for a user's uuid
+   * @param {String} uuid - of the user
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - EmailDigestPreference json structure
+   * @throws {Error} statusError - if something goes wrong, e.g. NotFoundError the user doesn't exist
+   */
+  function getEmailDigestPreference(uuid, callOptions) {
+    const operation = 'myFTClient.emailDigestPreferences';
+    log.debug({operation, uuid});
+    return _createAndTriggerRelationshipRequest('GET', myftConst.userNodeName, uuid, myftConst.prefRelType, myftConst.prefRelName, myftConst.prefRelId, undefined, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, `${operation} for user ${uuid}`, {operation, method: 'GET'}))
       .then(res => {
-        log.debug({operation, i, node, chunk, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr, res: 'success'});
+        log.debug({operation, uuid, res: 'success'});
         return res;
-      })
-      .catch(err => {
-        log.error({operation, i, node, chunk, rel, relType, relIds: relIdsStr, relProp: propsStr, options: optStr, err: err.message});
-        return err;
       });
-  }, {concurrency: config.BATCH_USER_CONCURRENCY})
-    .then(results => {
-      // check if there are some good results
-      const notAllErrors = results.some(res => ((res instanceof Error) === false));
-      // if there are only errors
-      if (notAllErrors === false) {
-        // if there's only one chunk
-        if (results.length === 1) {
-          throw results[0];
-        }
-        // throw a general error
-        throw new clientErrors.ClientError("An error has occurred while processing your request.");
-      }
+  }
 
-      return results;
-    });
-}
+  /**
+   * Sets a User's EmailDigestPreference for a given uuid
+   * @param {String|Array} uuid - of the user
+   * @param {Object} preference - an object representing the user's preference.
+   *        at a minimum this should be type and timezone. For example:
+   *        {type: "daily", timezone:"Europe/London", byTool: "KAT",
+   *          byUser: "8619e7a0-65b7-446b-9931-4197b3fe0cbf"}
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult of the EmailDigestPreference json structures, see lib/helpers/batchResult.js
+   */
+  function setEmailDigestPreference(uuid, preference, options, callOptions) {
+    return _multiAddRemoveRelationships('POST', myftConst.userNodeName, uuid, myftConst.prefRelType, myftConst.prefRelName, [{uuid: myftConst.prefRelId}], preference, options, callOptions);
+  }
 
-/**
- * Gets nodes following concepts/topics
- * @param {String} licenceId -
- * @param {String} conceptId -
- * @param {String} nodeType - user|group
- * @returns {Promise} response -
- * @private
- */
-function _getNodesFollowingConcept(licenceId, conceptId, nodeType) {
-  const operation = `myFTClient.getNodesFollowingConcept`;
-  log.debug({operation, licenceId, conceptId, nodeType});
-
-  return _createAndTriggerScopedRequest('GET', myftConst.licenceNodeName, licenceId, myftConst.topicNodeName, conceptId, myftConst.followedRelName, nodeType)
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, licenceId, conceptId, nodeType, res: 'success'});
-      return res;
-    });
-}
+  /**
+   * Removes a User's EmailDigestPreference
+   * @param {String} uuid - of the user
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+   */
+  function removeEmailDigestPreference(uuid, options, callOptions) {
+    const operation = 'myFTClient.removeEmailDigestPreference';
+    log.debug({operation, uuid});
+    return _addRemoveRelationships('DELETE', myftConst.userNodeName, uuid, myftConst.prefRelType, myftConst.prefRelName, myftConst.prefRelId, undefined, options, {operation, callOptions})
+      .then(res => clientErrors.parseResponse(res, `${operation} for user ${uuid}`, {operation, method: 'DELETE'}))
+      .then(res => {
+        log.debug({operation, uuid, res: 'success'});
+        return res;
+      });
+  }
 
-/**
- * Creates the url and triggers the request ot get the scoped related nodes
- * @param {String} method -
- * @param {String} node -
- * @param {String} nodeId -
- * @param {String} relatedNode -
- * @param {String} relatedNodeId -
- * @param {String} relationship -
- * @param {String} relatedType -
- * @param {String|undefined} [data] -
- * @param {String|undefined} [params] -
- * @returns {Promise} response -
- * @private
- */
-function _createAndTriggerScopedRequest(method, node, nodeId, relatedNode, relatedNodeId, relationship, relatedType, data, params) {
-  const theUrl = `${config.MYFT_API_URL}/${node}/${nodeId}/${relatedNode}/${relatedNodeId}/${relationship}/${relatedType}`;
+  /**
+   * Gets the Concepts followed by a user
+   * @param {String} uuid - of the user
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of Concepts followed
+   */
+  function getConceptsFollowedByUser(uuid, callOptions) {
+    return cache.wrap('myFTClient.getConceptsFollowedByUser', [uuid], () => _getAllNodeItems(myftConst.userNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName, callOptions), callOptions);
+  }
 
-  return _doRelationshipRequest(method, theUrl, data, params);
-}
+  /**
+   * Gets the Concepts followed by a group
+   * @param {String} uuid - of the group
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of Concepts followed
+   */
+  function getConceptsFollowedByGroup(uuid, callOptions) {
+    return cache.wrap('myFTClient.getConceptsFollowedByGroup', [uuid], () => _getAllNodeItems(myftConst.groupNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName, callOptions), callOptions);
+  }
 
-/**
- * Create and trigger the relationshipRequest
- * @param {String} method -
- * @param {String} node -
- * @param {String|undefined} [nodeId] -
- * @param {String|undefined} [relationship] -
- * @param {String|undefined} [relatedNode] -
- * @param {String|undefined} [relatedNodeId] -
- * @param {Object|undefined} [data] -
- * @param {Object|undefined} [params] -
- * @returns {Promise} response -
- * @private
- */
-function _createAndTriggerRelationshipRequest(method, node, nodeId, relationship, relatedNode, relatedNodeId, data, params) {
-  let theUrl = `${config.MYFT_API_URL}/${node}`;
+  /**
+   * Gets the Groups associated with a licence
+   * @param {String} uuid - of the licence
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of groups
+   */
+  function getGroupsForLicence(uuid, callOptions) {
+    return cache.wrap('myFTClient.getGroupsForLicence', [uuid], () => _getAllNodeItems(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.groupNodeName, callOptions), callOptions);
+  }
 
-  if (nodeId !== undefined) {
-    theUrl += `/${nodeId}`;
+  /**
+   * Gets the Users that are registered with a licence
+   * @param {String} uuid - of the licence
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of users
+   */
+  function getUsersForLicence(uuid, callOptions) {
+    return cache.wrap('myFTClient.getUsersForLicence', [uuid], () => _getAllNodeItems(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, callOptions), callOptions);
   }
-  if (relationship !== undefined) {
-    theUrl += `/${relationship}`;
+
+  /**
+   * Gets the Users who are members of a group
+   * @param {String} uuid - of the group
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of users
+   */
+  function getUsersForGroup(uuid, callOptions) {
+    return cache.wrap('myFTClient.getUsersForGroup', [uuid], () => _getAllNodeItems(myftConst.groupNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, callOptions), callOptions);
   }
-  if (relatedNode !== undefined) {
-    theUrl += `/${relatedNode}`;
+
+  /**
+   * Iterates over the users of a licence, a page at a time, e.g. for await (const item of iterateUsersForLicence(uuid)) {}
+   * @param {String} uuid - of the licence
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} iterator - async iterable, with cursor being the page to resume from (undefined once done)
+   */
+  function iterateUsersForLicence(uuid, options) {
+    return _createNodeItemsIterator(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, options);
   }
-  if (relatedNodeId !== undefined) {
-    theUrl += `/${relatedNodeId}`;
+
+  /**
+   * Streams the users of a licence, a page at a time
+   * @param {String} uuid - of the licence
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} stream - readable, in object mode, with cursor being the page to resume from (undefined once done)
+   */
+  function streamUsersForLicence(uuid, options) {
+    return _createNodeItemsStream(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, options);
   }
 
-  return _doRelationshipRequest(method, theUrl, data, params);
-}
+  /**
+   * Iterates over the users of a group, a page at a time, e.g. for await (const item of iterateUsersForGroup(uuid)) {}
+   * @param {String} uuid - of the group
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} iterator - async iterable, with cursor being the page to resume from (undefined once done)
+   */
+  function iterateUsersForGroup(uuid, options) {
+    return _createNodeItemsIterator(myftConst.groupNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, options);
+  }
 
-/**
- * Initiates a relationshipRequest
- * @param {String} method -
- * @param {String} theUrl -
- * @param {Object|undefined} [data] -
- * @param {Object|undefined} [params] -
- * @returns {Promise} response -
- * @private
- */
-function _doRelationshipRequest(method, theUrl, data, params) {
-  const options = Object.assign({}, fetchOptions, { method: method });
-  let queryString = helpers.createParams(params, '?');
+  /**
+   * Streams the users of a group, a page at a time
+   * @param {String} uuid - of the group
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} stream - readable, in object mode, with cursor being the page to resume from (undefined once done)
+   */
+  function streamUsersForGroup(uuid, options) {
+    return _createNodeItemsStream(myftConst.groupNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName, options);
+  }
 
-  if (method !== "GET") {
+  /**
+   * Iterates over the groups of a licence, a page at a time, e.g. for await (const item of iterateGroupsForLicence(uuid)) {}
+   * @param {String} uuid - of the licence
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} iterator - async iterable, with cursor being the page to resume from (undefined once done)
+   */
+  function iterateGroupsForLicence(uuid, options) {
+    return _createNodeItemsIterator(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.groupNodeName, options);
+  }
 
-    // fiddle content length header to appease Fastly
-    if(config.NODE_ENV === 'production') {
-      // Fastly requires that empty requests have an empty object for a body and local API requires that they don't
-      options.body = JSON.stringify(data || {});
+  /**
+   * Streams the groups of a licence, a page at a time
+   * @param {String} uuid - of the licence
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} stream - readable, in object mode, with cursor being the page to resume from (undefined once done)
+   */
+  function streamGroupsForLicence(uuid, options) {
+    return _createNodeItemsStream(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.groupNodeName, options);
+  }
 
-      options.headers['Content-Length'] = Buffer.byteLength(options.body);
+  /**
+   * Iterates over the concepts followed of a user, a page at a time, e.g. for await (const item of iterateConceptsFollowedByUser(uuid)) {}
+   * @param {String} uuid - of the user
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} iterator - async iterable, with cursor being the page to resume from (undefined once done)
+   */
+  function iterateConceptsFollowedByUser(uuid, options) {
+    return _createNodeItemsIterator(myftConst.userNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName, options);
+  }
 
-    } else {
-      options.body = data ? JSON.stringify(data) : null;
-    }
-  } else {
+  /**
+   * Streams the concepts followed of a user, a page at a time
+   * @param {String} uuid - of the user
+   * @param {Object} [options] - {pageSize, cursor, timeout, signal}, cursor being the page to start from
+   * @return {Object} stream - readable, in object mode, with cursor being the page to resume from (undefined once done)
+   */
+  function streamConceptsFollowedByUser(uuid, options) {
+    return _createNodeItemsStream(myftConst.userNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName, options);
+  }
 
-    if(config.NODE_ENV === 'production') {
-      options.headers['Content-Length'] = 0;
-    }
+  /**
+   * Gets the users that are following a concept/topic
+   * @param {String} licenceId -
+   * @param {String} conceptId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getUsersFollowingConcept(licenceId, conceptId, callOptions) {
+    return _getNodesFollowingConcept(licenceId, conceptId, myftConst.userNodeName, callOptions);
+  }
 
-    queryString += helpers.createParams(data, (queryString === "" ? "?" : "&"));
+  /**
+   * Gets the groups that are following a concept/topic
+   * @param {String} licenceId -
+   * @param {String} conceptId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getGroupsFollowingConcept(licenceId, conceptId, callOptions) {
+    return _getNodesFollowingConcept(licenceId, conceptId, myftConst.groupNodeName, callOptions);
   }
 
-  theUrl += queryString;
+  /**
+   * Gets the users with EmailDigestPreferences for given licence
+   * @param {String} uuid - of the licence
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response - array of user json structures
+   */
+  function getUsersWithEmailDigestPreference(uuid, callOptions) {
+    const operation = 'myFTClient.getUsersWithEmailDigestPreference';
+    log.debug({operation, uuid});
+
+    return _createAndTriggerScopedRequest('GET', myftConst.licenceNodeName, uuid, myftConst.prefRelName, myftConst.prefRelId, myftConst.prefRelType, myftConst.userNodeName, undefined, undefined, {operation, callOptions})
+      .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+      .then(res => {
+        log.debug({operation, uuid, res: 'success'});
+        return res;
+      });
+  }
 
-  return fetch(theUrl, options);
-}
+  /**
+   * Add users to a licence
+   * @param {String} licenceUUID - uuid of the licence
+   * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
+   * @param {Object} [relationshipProperties] - properties to add to the 'member' relationship(s)
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the users written MYFT_MEMBER_CHUNK_SIZE at a time, see lib/helpers/batchResult.js
+  **/
+  function addUsersToLicence(licenceUUID, userUUIDs, relationshipProperties, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveUsers('POST', myftConst.licenceNodeName, licenceUUID, userUUIDs, relationshipProperties, options, undefined, callOptions), 'myFTClient.getUsersForLicence', licenceUUID, [['myFTClient.getLicence', [licenceUUID]]]);
+  }
 
-/**
- * Adds a License in myFT
- * @param {String} uuid -
- * @return {Promise} response -
- * @throws {Error} statusError -
- */
-function addLicence(uuid) {
-  return _setNode(myftConst.licenceNodeName, uuid);
-}
+  /**
+   * Remove users to a licence
+   * @param {String} licenceUUID - uuid of the licence
+   * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the users written MYFT_MEMBER_CHUNK_SIZE at a time, see lib/helpers/batchResult.js
+  **/
+  function removeUsersFromLicence(licenceUUID, userUUIDs, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveUsers('DELETE', myftConst.licenceNodeName, licenceUUID, userUUIDs, undefined, options, true, callOptions), 'myFTClient.getUsersForLicence', licenceUUID, [['myFTClient.getLicence', [licenceUUID]]]);
+  }
 
-/**
- * Adds a License in myFT
- * @param {String} uuid -
- * @param {Object} data -
- * @return {Promise} response -
- * @throws {Error} statusError -
- **/
-function updateLicence(uuid, data) {
-  return _updateNode(myftConst.licenceNodeName, uuid, data);
-}
+  /**
+   * Add users to a group
+   * @param {String} groupUUID - uuid of the licence
+   * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
+   * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the users written MYFT_MEMBER_CHUNK_SIZE at a time, see lib/helpers/batchResult.js
+  **/
+  function addUsersToGroup(groupUUID, userUUIDs, relationshipProperties, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveUsers('POST', myftConst.groupNodeName, groupUUID, userUUIDs, relationshipProperties, options, undefined, callOptions), 'myFTClient.getUsersForGroup', groupUUID);
+  }
 
-/**
- * Gets a License from myFT
- * @param {String} uuid - of the licence
- * @return {Promise} response - licence data
- * @throws {Error} statusError - if something goes wrong, e.g. NotFoundError if the licence doesn't exist
-**/
-function getLicence(uuid) {
-	return _getNode(myftConst.licenceNodeName, uuid);
-}
+  /**
+   * Remove users to a group
+   * @param {String} groupUUID - uuid of the licence
+   * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the users written MYFT_MEMBER_CHUNK_SIZE at a time, see lib/helpers/batchResult.js
+   **/
+  function removeUsersFromGroup(groupUUID, userUUIDs, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveUsers('DELETE', myftConst.groupNodeName, groupUUID, userUUIDs, undefined, options, true, callOptions), 'myFTClient.getUsersForGroup', groupUUID);
+  }
 
-/**
- * Gets the EmailDigestPreference for a user's uuid
- * @param {String} uuid - of the user
- * @return {Promise} response - EmailDigestPreference json structure
- * @throws {Error} statusError - if something goes wrong, e.g. NotFoundError the user doesn't exist
- */
-function getEmailDigestPreference(uuid) {
-	const operation = 'myFTClient.emailDigestPreferences';
-  log.debug({operation, uuid});
-	return _createAndTriggerRelationshipRequest('GET', myftConst.userNodeName, uuid, myftConst.prefRelType, myftConst.prefRelName, myftConst.prefRelId)
-		.then(res => helpers.parseJsonRes(res, `${operation} for user ${uuid}`))
-		.then(res => {
-      log.debug({operation, uuid, res: 'success'});
-      return res;
+  /**
+   * Add groups to a licence
+   * @param {String} licenceUUID - uuid of the licence
+   * @param {String|Array} groupUUIDs - uuid of the group to add, or an array of group uuids
+   * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
+   * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
+   *        default behaviour not to supress event generation and wait for a cache purge
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+  **/
+  function addGroupsToLicence(licenceUUID, groupUUIDs, relationshipProperties, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveGroups('POST', licenceUUID, groupUUIDs, relationshipProperties, options, undefined, callOptions), 'myFTClient.getGroupsForLicence', licenceUUID, [['myFTClient.getLicence', [licenceUUID]]]);
+  }
+
+  /**
+   * Remove groups from a licence
+   * @param {String} licenceUUID -
+   * @param {String|Array} groupUUIDs -
+   * @param {Object} [options] -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function removeGroupsFromLicence(licenceUUID, groupUUIDs, options, callOptions) {
+    return _invalidateOnSuccess(_addRemoveGroups('DELETE', licenceUUID, groupUUIDs, undefined, options, true, callOptions), 'myFTClient.getGroupsForLicence', licenceUUID, [['myFTClient.getLicence', [licenceUUID]]]);
+  }
+
+  /**
+   * Add topics for a user to follow
+   * @param {String|Array} userUUID - uuid of the user
+   * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
+   * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the ids written BATCH_USER_COUNT at a time, see lib/helpers/batchResult.js
+  **/
+  function addConceptsFollowedByUser(userUUID, conceptUUIDs, relationshipProperties, callOptions) {
+    return _invalidateOnSuccess(_addRemoveConceptsFollowed('POST', myftConst.userNodeName, userUUID, conceptUUIDs, relationshipProperties, callOptions), 'myFTClient.getConceptsFollowedByUser', userUUID);
+  }
+
+  /**
+   * Add topics for a group to follow
+   * @param {String|Array} groupUUID - uuid of the user
+   * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
+   * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
+   * @param {Object} [callOptions] - {timeout, signal, strict}, see lib/helpers/cancellation.js, strict failing the write if any chunk fails
+   * @return {Promise} response - a BatchResult, the ids written BATCH_USER_COUNT at a time, see lib/helpers/batchResult.js
+  **/
+  function addConceptsFollowedByGroup(groupUUID, conceptUUIDs, relationshipProperties, callOptions) {
+    return _invalidateOnSuccess(_addRemoveConceptsFollowed('POST', myftConst.groupNodeName, groupUUID, conceptUUIDs, relationshipProperties, callOptions), 'myFTClient.getConceptsFollowedByGroup', groupUUID);
+  }
+
+  /**
+   * Remove topic follows for a group
+   * @param {String} groupUUID - uuid of the user
+   * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+  **/
+  function removeConceptsFollowedByGroup(groupUUID, conceptUUIDs, callOptions) {
+    return _invalidateOnSuccess(_removeConceptsFollowedByNode(myftConst.groupNodeName, groupUUID, conceptUUIDs, true, callOptions), 'myFTClient.getConceptsFollowedByGroup', groupUUID);
+  }
+
+  /**
+   * Remove topic follows for a user
+   * @param {String} userUUID - uuid of the user
+   * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @return {Promise} response -
+  **/
+  function removeConceptsFollowedByUser(userUUID, conceptUUIDs, callOptions) {
+    return _invalidateOnSuccess(_removeConceptsFollowedByNode(myftConst.userNodeName, userUUID, conceptUUIDs, true, callOptions), 'myFTClient.getConceptsFollowedByUser', userUUID);
+  }
+
+  /**
+   * Get user from licence
+   * @param {String} licenceId -
+   * @param {String} userId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getUserFromLicence(licenceId, userId, callOptions) {
+    return _getMemberFromNode(myftConst.licenceNodeName, licenceId, myftConst.userNodeName, userId, callOptions);
+  }
+
+  /**
+   * Get user from group
+   * @param {String} groupId -
+   * @param {String} userId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getUserFromGroup(groupId, userId, callOptions) {
+    return _getMemberFromNode(myftConst.groupNodeName, groupId, myftConst.userNodeName, userId, callOptions);
+  }
+
+  /**
+   * Get group from licence
+   * @param {String} licenceId -
+   * @param {String} groupId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response -
+   */
+  function getGroupFromLicence(licenceId, groupId, callOptions) {
+    return _getMemberFromNode(myftConst.licenceNodeName, licenceId, myftConst.groupNodeName, groupId, callOptions);
+  }
+
+  /**
+   * Gets the concepts followed by a group, none if the group isn't found
+   * @param {String} groupId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} groupConcepts -
+   * @private
+   */
+  function _getGroupConcepts(groupId, operation, deadline) {
+    return getConceptsFollowedByGroup(groupId, deadline)
+      .catch(err => {
+        // if no concepts are found
+        if (err instanceof clientErrors.NotFoundError) {
+          return [];
+        }
+        throw err;
+      })
+      .then(groupConcepts => {
+        if (Array.isArray(groupConcepts)) {
+          return groupConcepts;
+        }
+        const msg = "Group groupConcepts is not an array";
+        log.error({operation, groupConcepts, status: msg});
+        throw new Error(msg);
+      });
+  }
+
+  /**
+   * Makes a user follow the concepts of a group it doesn't follow yet, and sets its email digest preference if it has none
+   * @param {String} groupId -
+   * @param {Array} groupConcepts - not empty
+   * @param {String} userId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} user - {uuid, group, status, reason} or, once synchronised, {uuid, group, status, newConceptsToFollow}
+   * @private
+   */
+  function _followGroupConcepts(groupId, groupConcepts, userId, operation, deadline) {
+    return _getNewConceptsToFollow(groupId, groupConcepts, userId, operation, deadline)
+      .then(newConceptsToFollow => {
+        if (newConceptsToFollow.length === 0) {
+          return {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noNewConceptsToFollow'};
+        }
+
+        const followProps = Object.assign({}, followedProperties);
+        followProps.asMemberOf = groupId;
+        // set the user as being a follower on the new concepts
+        return addConceptsFollowedByUser(userId, newConceptsToFollow, followProps, deadline)
+          .then(() => {
+            log.silly({operation, subOp: 'setEmailDigestPreference', userId});
+            return getEmailDigestPreference(userId, deadline)
+              .catch(err => {
+                // if no preferences are found
+                if (err instanceof clientErrors.NotFoundError) {
+                  return setEmailDigestPreference(userId, digestProperties, undefined, deadline);
+                }
+                throw err;
+              });
+          })
+          .then(() => ({uuid: userId, status: 'synchronisationCompleted', group: groupId, newConceptsToFollow}));
+      });
+  }
+
+  /**
+   * Gets the concepts of a group a user doesn't follow yet
+   * @param {String} groupId -
+   * @param {Array} groupConcepts - not empty
+   * @param {String} userId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} concepts -
+   * @private
+   */
+  function _getNewConceptsToFollow(groupId, groupConcepts, userId, operation, deadline) {
+    log.silly({operation, subOp: 'groupConceptsFollowed', userId, groupId, groupConceptsCount: groupConcepts.length});
+    // get the concepts (topics) followed by the user
+    return getConceptsFollowedByUser(userId, deadline)
+      .catch(err => {
+        // if no concepts are found
+        if (err instanceof clientErrors.NotFoundError) {
+          return [];
+        }
+        throw err;
+      })
+      .then(conceptsResp => {
+        if (!Array.isArray(conceptsResp)) {
+          const msg = "User conceptsResp is not an array";
+          log.error({operation, conceptsResp, status: msg});
+          throw new Error(msg);
+        }
+
+        const userConceptIds = conceptsResp.map(concept => concept.uuid);
+        log.silly({operation, subOp: 'userConceptsFollowed', userId, groupId, userConceptsCount: userConceptIds.length});
+        // get the new concepts to be followed
+        const newConceptsToFollow = groupConcepts.filter((item)=> userConceptIds.indexOf(item.uuid) === -1);
+        if (newConceptsToFollow.length === 0) {
+          log.silly({operation, subOp: 'noNewConceptsToFollow', userId, groupId});
+        } else {
+          log.silly({operation, subOp: 'newConceptsToFollow', userId, group: groupId, newConceptsToFollow});
+        }
+        return newConceptsToFollow;
+      });
+  }
+
+  /**
+   * Makes a user unfollow the concepts it follows as a member of a group, which the group no longer follows
+   * (or which are in conceptIds), leaving the ones it followed itself or as a member of other groups
+   * @param {String} groupId -
+   * @param {Function} isUnfollowed - (conceptId) => Boolean, whether the group's follow of the concept has gone
+   * @param {String} userId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} user - {uuid, group, status, reason} or, once synchronised, {uuid, group, status, conceptsUnfollowed}
+   * @private
+   */
+  function _unfollowGroupConcepts(groupId, isUnfollowed, userId, operation, deadline) {
+    return getConceptsFollowedByUser(userId, deadline)
+      .catch(err => {
+        // if no concepts are found
+        if (err instanceof clientErrors.NotFoundError) {
+          return [];
+        }
+        throw err;
+      })
+      .then(userConcepts => {
+        const conceptsUnfollowed = userConcepts.filter(concept => !!concept._rel && concept._rel.asMemberOf === groupId && isUnfollowed(concept.uuid));
+        if (conceptsUnfollowed.length === 0) {
+          log.silly({operation, subOp: 'noConceptsToUnfollow', userId, groupId});
+          return {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noConceptsToUnfollow'};
+        }
+
+        log.silly({operation, subOp: 'conceptsToUnfollow', userId, groupId, conceptsUnfollowed});
+        const conceptIds = conceptsUnfollowed.map(concept => concept.uuid);
+        return removeConceptsFollowedByUser(userId, conceptIds, deadline)
+          // the removals aren't parsed
+          .then(res => clientErrors.parseResponse(res, `${operation} - user: ${userId}`, {operation, method: 'DELETE'}))
+          .then(() => ({uuid: userId, group: groupId, status: 'synchronisationCompleted', conceptsUnfollowed}));
+      });
+  }
+
+  /**
+   * Removes the relationship properties of concepts, for the events
+   * @param {Array} concepts -
+   * @returns {Array} concepts -
+   * @private
+   */
+  function _cleanConcepts(concepts) {
+    return concepts.map(item => {
+      const newItem = Object.assign({}, item);
+      delete newItem._rel;
+      return newItem;
     });
-}
+  }
 
-/**
- * Sets a User's EmailDigestPreference for a given uuid
- * @param {String|Array} uuid - of the user
- * @param {Object} preference - an object representing the user's preference.
- *        at a minimum this should be type and timezone. For example:
- *        {type: "daily", timezone:"Europe/London", byTool: "KAT",
- *          byUser: "8619e7a0-65b7-446b-9931-4197b3fe0cbf"}
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -  EmailDigestPreference json structure
- */
-function setEmailDigestPreference(uuid, preference, options) {
-  return _multiAddRemoveRelationships('POST', myftConst.userNodeName, uuid, myftConst.prefRelType, myftConst.prefRelName, [{uuid: myftConst.prefRelId}], preference, options);
-}
+  /**
+   * Reads up to count items from an iterator
+   * @param {Object} iterator - see _createNodeItemsIterator
+   * @param {Number} count -
+   * @returns {Promise} items - fewer than count once the iterator is done
+   * @private
+   */
+  function _readItems(iterator, count) {
+    const items = [];
+    const read = () => {
+      if (items.length >= count) {
+        return items;
+      }
+      return iterator.next()
+        .then(result => {
+          if (result.done) {
+            return items;
+          }
+          items.push(result.value);
+          return read();
+        });
+    };
+    return read();
+  }
 
-/**
- * Gets the Concepts followed by a user
- * @param {String} uuid - of the user
- * @return {Promise} response - array of Concepts followed
- */
-function getConceptsFollowedByUser(uuid) {
-  return _getAllNodeItems(myftConst.userNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName);
-}
+  /**
+   * Creates the rejection handler of the synchronisation of a user, failing the user rather than the whole synchronisation
+   * @param {String} groupId -
+   * @param {String} userId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Function} handler - (error) => {uuid, group, status, error}
+   * @private
+   */
+  function _userFailure(groupId, userId, operation, deadline) {
+    return error => {
+      // a timed out or cancelled synchronisation stops, rather than failing each of the users left
+      if (deadline !== undefined && deadline.error() !== undefined) {
+        throw error;
+      }
+      log.warn({operation, userId, groupId, msg: error.message});
+      return {uuid: userId, group: groupId, status: 'synchronisationFailed', error};
+    };
+  }
 
-/**
- * Gets the Concepts followed by a group
- * @param {String} uuid - of the group
- * @return {Promise} response - array of Concepts followed
- */
-function getConceptsFollowedByGroup(uuid) {
-  return _getAllNodeItems(myftConst.groupNodeName, uuid, myftConst.followedRelName, myftConst.topicNodeName);
-}
+  /**
+   * Synchronises all the members of a group, a page of members at a time
+   * @param {String} groupId -
+   * @param {Function} syncMember - (userId) => Promise of the result of the user, e.g. see _followGroupConcepts
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} users - the result of each member, failed ones as {uuid, group, status, error}
+   * @private
+   */
+  function _syncGroupMembers(groupId, syncMember, operation, deadline) {
+    const users = [];
+    const members = _createNodeItemsIterator(myftConst.groupNodeName, groupId, myftConst.memberRelName, myftConst.userNodeName, deadline);
+    const syncOne = member => syncMember(member.uuid)
+      .catch(_userFailure(groupId, member.uuid, operation, deadline));
+    const syncPage = () => _readItems(members, members.pageSize)
+      .then(page => {
+        if (page.length === 0) {
+          return users;
+        }
+        return Promise.map(page, syncOne, {concurrency: config.BATCH_USER_CONCURRENCY})
+          .then(results => {
+            users.push.apply(users, results);
+            return syncPage();
+          });
+      });
 
-/**
- * Gets the Groups associated with a licence
- * @param {String} uuid - of the licence
- * @return {Promise} response - array of groups
- */
-function getGroupsForLicence(uuid) {
-  return _getAllNodeItems(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.groupNodeName);
-}
+    return syncPage()
+      .catch(err => {
+        // a group without members
+        if (err instanceof clientErrors.NotFoundError) {
+          return users;
+        }
+        throw err;
+      });
+  }
 
-/**
- * Gets the Users that are registered with a licence
- * @param {String} uuid - of the licence
- * @return {Promise} response - array of users
- */
-function getUsersForLicence(uuid){
-	return _getAllNodeItems(myftConst.licenceNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName);
-}
+  /**
+   * Makes all the members of a group follow its concepts
+   * @param {String} groupId -
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} result - {group, concepts, users}, concepts being the number of concepts followed by the group,
+   *          users the result of each member (see _syncGroupMembers)
+   * @private
+   */
+  function _syncGroupFollowers(groupId, operation, deadline) {
+    return _getGroupConcepts(groupId, operation, deadline)
+      .then(groupConcepts => {
+        if (groupConcepts.length === 0) {
+          log.silly({operation, subOp: 'noGroupConceptsToFollow', groupId});
+          return {group: groupId, concepts: 0, users: []};
+        }
 
-/**
- * Gets the Users who are members of a group
- * @param {String} uuid - of the group
- * @return {Promise} response - array of users
- */
-function getUsersForGroup(uuid){
-  return _getAllNodeItems(myftConst.groupNodeName, uuid, myftConst.memberRelName, myftConst.userNodeName);
-}
+        return _syncGroupMembers(groupId, userId => _followGroupConcepts(groupId, groupConcepts, userId, operation, deadline), operation, deadline)
+          .then(users => ({group: groupId, concepts: groupConcepts.length, users}));
+      });
+  }
 
-/**
- * Gets the users that are following a concept/topic
- * @param {String} licenceId -
- * @param {String} conceptId -
- * @returns {Promise} response -
- */
-function getUsersFollowingConcept(licenceId, conceptId) {
-  return _getNodesFollowingConcept(licenceId, conceptId, myftConst.userNodeName);
-}
+  /**
+   * Counts the users per status
+   * @param {Array} users -
+   * @returns {Object} summary - {synchronisationCompleted, synchronisationIgnored, synchronisationFailed}
+   * @private
+   */
+  function _summarise(users) {
+    return users.reduce((summary, user) => {
+      summary[user.status] = (summary[user.status] || 0) + 1;
+      return summary;
+    }, {synchronisationCompleted: 0, synchronisationIgnored: 0, synchronisationFailed: 0});
+  }
 
-/**
- * Gets the groups that are following a concept/topic
- * @param {String} licenceId -
- * @param {String} conceptId -
- * @returns {Promise} response -
- */
-function getGroupsFollowingConcept(licenceId, conceptId) {
-  return _getNodesFollowingConcept(licenceId, conceptId, myftConst.groupNodeName);
-}
+  /**
+   * Sends the events of the users whose follows changed in one write, each user's event having the concepts they
+   * (un)followed only, the users who (un)followed the same concepts sharing them (see kinesisClient.write).
+   * The users whose event wasn't delivered have its errorCode and errorMessage as eventUndelivered, the write never failing the sync
+   * @param {Array} users - the results of the users, see _syncGroupMembers
+   * @param {String} event - subscribe or unsubscribe
+   * @param {String} conceptsKey - of the concepts (un)followed in the results of the users, e.g. newConceptsToFollow
+   * @param {String} operation - for the logs
+   * @returns {Promise} users -
+   * @private
+   */
+  function _writeFollowEvents(users, event, conceptsKey, operation) {
+    // the users with the same concepts, in any order, share the event data, and follow each other to share the aggregates
+    const sets = new Map();
+    users.filter(user => user.status === 'synchronisationCompleted' && user[conceptsKey].length > 0)
+      .forEach(user => {
+        const concepts = _cleanConcepts(user[conceptsKey]);
+        const key = concepts.map(concept => concept.uuid).sort().join(',');
+        const set = sets.get(key) || {concepts, users: []};
+        set.users.push(user);
+        sets.set(key, set);
+      });
+    const written = [];
+    const eventData = [];
+    sets.forEach(set => set.users.forEach(user => {
+      written.push(user);
+      eventData.push(set.concepts);
+    }));
+    if (written.length === 0) {
+      return Promise.resolve(users);
+    }
 
-/**
- * Gets the users with EmailDigestPreferences for given licence
- * @param {String} uuid - of the licence
- * @return {Promise} response - array of user json structures
- */
-function getUsersWithEmailDigestPreference(uuid) {
-	const operation = 'myFTClient.getUsersWithEmailDigestPreference';
-  log.debug({operation, uuid});
-
-  return _createAndTriggerScopedRequest('GET', myftConst.licenceNodeName, uuid, myftConst.prefRelName, myftConst.prefRelId, myftConst.prefRelType, myftConst.userNodeName)
-    .then(helpers.parseJsonRes)
-    .then(res => {
-      log.debug({operation, uuid, res: 'success'});
-      return res;
+    log.silly({operation, subOp: 'kinesis.write', event, userCount: written.length, conceptSets: sets.size});
+    return kinesis.write(written.map(user => user.uuid), event, (uuid, index) => eventData[index])
+      .then(result => (result && result.undelivered) || [], err => {
+        log.error({operation, subOp: 'kinesis.write', event, msg: 'Events not delivered', error: err.message});
+        // nothing was written, unless it's a strict write some records of which weren't delivered
+        return err.result ? err.result.undelivered : written.map(user => ({uuid: user.uuid, errorCode: err.name, errorMessage: err.message}));
+      })
+      .then(undelivered => {
+        const failures = new Map(undelivered.map(item => [item.uuid, {errorCode: item.errorCode, errorMessage: item.errorMessage}]));
+        written.filter(user => failures.has(user.uuid)).forEach(user => {
+          user.eventUndelivered = failures.get(user.uuid);
+        });
+        return users;
+      });
+  }
+
+  /**
+   * Builds the steps of syncUserFollowers from what the user has to follow, see lib/saga.js
+   * @param {Object} input - {groupId, userId, newConceptsToFollow, setDigestPreference}
+   * @param {Deadline} [deadline] - for the actions, the compensations having their own, see _compensationDeadline
+   * @returns {Array} steps -
+   * @private
+   */
+  function _followingSteps(input, deadline) {
+    const userId = input.userId;
+    const conceptIds = input.newConceptsToFollow.map(concept => concept.uuid);
+    const steps = [{
+      name: 'addConceptsFollowedByUser',
+      details: {group: input.groupId},
+      action: () => addConceptsFollowedByUser(userId, input.newConceptsToFollow, Object.assign({}, followedProperties, {asMemberOf: input.groupId}), deadline)
+        .then(() => undefined),
+      compensate: () => removeConceptsFollowedByUser(userId, conceptIds, _compensationDeadline())
+    }];
+
+    if (input.setDigestPreference === true) {
+      steps.push({
+        name: 'setEmailDigestPreference',
+        action: () => setEmailDigestPreference(userId, digestProperties, undefined, deadline).then(() => undefined),
+        compensate: () => removeEmailDigestPreference(userId, undefined, _compensationDeadline())
+      });
+    }
+
+    // last, as an event sent can't be taken back
+    steps.push({
+      name: 'writeSubscribeEvent',
+      action: () => kinesis.write([userId], 'subscribe', input.newConceptsToFollow).then(() => undefined)
     });
-}
+    return steps;
+  }
 
-/**
- * Add users to a licence
- * @param {String} licenceUUID - uuid of the licence
- * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
- * @param {Object} [relationshipProperties] - properties to add to the 'member' relationship(s)
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -
-**/
-function addUsersToLicence(licenceUUID, userUUIDs, relationshipProperties, options) {
-  return _addRemoveUsers('POST', myftConst.licenceNodeName, licenceUUID, userUUIDs, relationshipProperties, options);
-}
+  /**
+   * Makes a user follow the concepts of a group it doesn't follow yet, sets its email digest preference if it has none
+   * and sends the subscribe event, as a saga: should a step fail, the ones done are undone, see lib/saga.js and resumeSaga.
+   * A saga left for the user and group (interrupted, or which failed to be rolled back) is reported as sagaPending, with its
+   * {id, status}, rather than run again, until it's resumed or rolled back
+   * @param {String} groupId -
+   * @param {String} userId -
+   * @param {Object} [callOptions] - {timeout, signal}, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {user}, user being {uuid, group, status, reason[, saga]} or, once synchronised, {uuid, group, status, newConceptsToFollow},
+   *          rejected with the error of the failed step, the state of the saga being its saga property
+   */
+  function syncUserFollowers(groupId, userId, callOptions) {
+    const operation = 'myFTClient.syncUserFollowers';
+    // the timeout is for the whole synchronisation
+    const deadline = cancellation.create(callOptions);
+    const following = sagas.syncUserFollowers(deadline);
+    const id = `${groupId}:${userId}`;
+    return following.getState(id)
+      .then(pending => {
+        if (pending !== undefined && pending !== null) {
+          log.warn({operation, subOp: 'sagaPending', userId, groupId, id, status: pending.status});
+          return {user: {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'sagaPending', saga: {id, status: pending.status}}};
+        }
+        return _syncUserFollowers(groupId, userId, following, operation, deadline);
+      });
+  }
 
-/**
- * Remove users to a licence
- * @param {String} licenceUUID - uuid of the licence
- * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -
-**/
-function removeUsersFromLicence(licenceUUID, userUUIDs, options) {
-  return _addRemoveUsers('DELETE', myftConst.licenceNodeName, licenceUUID, userUUIDs, undefined, options, true);
-}
+  /**
+   * See syncUserFollowers
+   * @param {String} groupId -
+   * @param {String} userId -
+   * @param {Object} following - the syncUserFollowers saga
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} response - {user}
+   * @private
+   */
+  function _syncUserFollowers(groupId, userId, following, operation, deadline) {
+    const id = `${groupId}:${userId}`;
+    return _getGroupConcepts(groupId, operation, deadline)
+      .then(groupConcepts => {
+        if (groupConcepts.length === 0) {
+          log.silly({operation, subOp: 'noGroupConceptsToFollow', userId, groupId});
+          return {user: {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noGroupConceptsToFollow'}};
+        }
 
-/**
- * Add users to a group
- * @param {String} groupUUID - uuid of the licence
- * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
- * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -
-**/
-function addUsersToGroup(groupUUID, userUUIDs, relationshipProperties, options) {
-  return _addRemoveUsers('POST', myftConst.groupNodeName, groupUUID, userUUIDs, relationshipProperties, options);
-}
+        return _getNewConceptsToFollow(groupId, groupConcepts, userId, operation, deadline)
+          .then(newConceptsToFollow => {
+            if (newConceptsToFollow.length === 0) {
+              return {user: {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noNewConceptsToFollow'}};
+            }
+
+            return _memberOrNone(getEmailDigestPreference(userId, deadline))
+              .then(digestPreference => {
+                const input = {groupId, userId, newConceptsToFollow: _cleanConcepts(newConceptsToFollow), setDigestPreference: digestPreference === undefined};
+                return _settleSaga(following, id, following.run(id, input));
+              })
+              .then(() => ({user: {uuid: userId, status: 'synchronisationCompleted', group: groupId, newConceptsToFollow}}));
+          });
+      });
+  }
 
-/**
- * Remove users to a group
- * @param {String} groupUUID - uuid of the licence
- * @param {String|Array} userUUIDs - uuid of the user to add, or an array of user uuids
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -
- **/
-function removeUsersFromGroup(groupUUID, userUUIDs, options) {
-  return _addRemoveUsers('DELETE', myftConst.groupNodeName, groupUUID, userUUIDs, undefined, options, true);
-}
+  /**
+   * Makes all the members of a group follow the concepts the group follows, fetching these once
+   * @param {String} groupId -
+   * @param {Object} [callOptions] - {timeout, signal}, for the whole synchronisation, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {group, concepts, users, summary}, users being the result of each member as
+   *          {uuid, group, status, reason|newConceptsToFollow|error}, and summary the number of users per status
+   */
+  function syncGroupFollowers(groupId, callOptions) {
+    const operation = 'myFTClient.syncGroupFollowers';
+    log.debug({operation, groupId});
+    // the timeout is for the whole synchronisation
+    const deadline = cancellation.create(callOptions);
+
+    return _syncGroupFollowers(groupId, operation, deadline)
+      .then(result => _writeFollowEvents(result.users, 'subscribe', 'newConceptsToFollow', operation)
+        .then(() => {
+          result.summary = _summarise(result.users);
+          log.debug({operation, groupId, summary: JSON.stringify(result.summary), res: 'success'});
+          return result;
+        }));
+  }
 
-/**
- * Add groups to a licence
- * @param {String} licenceUUID - uuid of the licence
- * @param {String|Array} groupUUIDs - uuid of the group to add, or an array of group uuids
- * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
- * @param {Object} [options] - additional options {supressEvents: true|false, waitForPurge: true|false }
- *        default behaviour not to supress event generation and wait for a cache purge
- * @return {Promise} response -
-**/
-function addGroupsToLicence(licenceUUID, groupUUIDs, relationshipProperties, options) {
-  return _addRemoveGroups('POST', licenceUUID, groupUUIDs, relationshipProperties, options);
-}
+  /**
+   * Makes the members of every group of a licence follow the concepts their group follows
+   * @param {String} licenceId -
+   * @param {Object} [callOptions] - {timeout, signal}, for the whole synchronisation, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {licence, groups, users, summary}, groups being {group, concepts, summary} for each group,
+   *          users the result of each member of each group (see syncGroupFollowers)
+   */
+  function syncLicenceFollowers(licenceId, callOptions) {
+    const operation = 'myFTClient.syncLicenceFollowers';
+    log.debug({operation, licenceId});
+    // the timeout is for the whole synchronisation
+    const deadline = cancellation.create(callOptions);
+    const groups = _createNodeItemsIterator(myftConst.licenceNodeName, licenceId, myftConst.memberRelName, myftConst.groupNodeName, deadline);
+    const result = {licence: licenceId, groups: [], users: []};
+
+    const syncGroups = () => groups.next()
+      .then(next => {
+        if (next.done) {
+          return result;
+        }
+        // one group at a time, the members of each being synchronised concurrently
+        return _syncGroupFollowers(next.value.uuid, operation, deadline)
+          .then(groupResult => {
+            result.groups.push({group: groupResult.group, concepts: groupResult.concepts, summary: _summarise(groupResult.users)});
+            result.users.push.apply(result.users, groupResult.users);
+            return syncGroups();
+          });
+      });
 
-/**
- * Remove groups from a licence
- * @param {String} licenceUUID -
- * @param {String|Array} groupUUIDs -
- * @param {Object} [options] -
- * @returns {Promise} response -
- */
-function removeGroupsFromLicence(licenceUUID, groupUUIDs, options) {
-  return _addRemoveGroups('DELETE', licenceUUID, groupUUIDs, undefined, options, true);
-}
+    return syncGroups()
+      .catch(err => {
+        // a licence without groups
+        if (err instanceof clientErrors.NotFoundError && result.groups.length === 0) {
+          return result;
+        }
+        throw err;
+      })
+      .then(() => _writeFollowEvents(result.users, 'subscribe', 'newConceptsToFollow', operation))
+      .then(() => {
+        result.summary = _summarise(result.users);
+        log.debug({operation, licenceId, groupCount: result.groups.length, summary: JSON.stringify(result.summary), res: 'success'});
+        return result;
+      });
+  }
 
-/**
- * Add topics for a user to follow
- * @param {String|Array} userUUID - uuid of the user
- * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
- * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
- * @return {Promise} response -
-**/
-function addConceptsFollowedByUser(userUUID, conceptUUIDs, relationshipProperties) {
-  return _addRemoveConceptsFollowed('POST', myftConst.userNodeName, userUUID, conceptUUIDs, relationshipProperties);
-}
+  /**
+   * Makes the members of a group unfollow the concepts they followed as its members, once the group no longer follows them,
+   * e.g. after removeConceptsFollowedByGroup. The concepts users followed themselves are left alone.
+   * @param {String} groupId -
+   * @param {Array} [conceptIds] - the concepts removed from the group, by default all the ones it doesn't follow any more
+   * @param {Object} [callOptions] - {timeout, signal}, for the whole synchronisation, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {group, users, summary}, users being the result of each member as
+   *          {uuid, group, status, reason|conceptsUnfollowed|error}, and summary the number of users per status
+   */
+  function syncGroupUnfollowers(groupId, conceptIds, callOptions) {
+    const operation = 'myFTClient.syncGroupUnfollowers';
+    log.debug({operation, groupId, conceptIds: JSON.stringify(conceptIds)});
+    // the timeout is for the whole synchronisation
+    const deadline = cancellation.create(callOptions);
+    const removed = Array.isArray(conceptIds) ? Promise.resolve(conceptId => conceptIds.indexOf(conceptId) > -1) :
+      _getGroupConcepts(groupId, operation, deadline)
+        .then(groupConcepts => {
+          const followed = new Set(groupConcepts.map(concept => concept.uuid));
+          return conceptId => !followed.has(conceptId);
+        });
+
+    return removed
+      .then(isUnfollowed => _syncGroupMembers(groupId, userId => _unfollowGroupConcepts(groupId, isUnfollowed, userId, operation, deadline), operation, deadline))
+      .then(users => _writeFollowEvents(users, 'unsubscribe', 'conceptsUnfollowed', operation)
+        .then(() => {
+          const result = {group: groupId, users, summary: _summarise(users)};
+          log.debug({operation, groupId, summary: JSON.stringify(result.summary), res: 'success'});
+          return result;
+        }));
+  }
 
-/**
- * Add topics for a group to follow
- * @param {String|Array} groupUUID - uuid of the user
- * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
- * @param {Object} relationshipProperties - properties to add to the 'member' relationship(s)
- * @return {Promise} response -
-**/
-function addConceptsFollowedByGroup(groupUUID, conceptUUIDs, relationshipProperties) {
-  return _addRemoveConceptsFollowed('POST', myftConst.groupNodeName, groupUUID, conceptUUIDs, relationshipProperties);
-}
+  /**
+   * Gets all the groups (or users) of a licence following a concept, a page at a time
+   * @param {String} licenceId -
+   * @param {String} conceptId -
+   * @param {String} nodeType - group or user
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} items - empty if there are none
+   * @private
+   */
+  function _getAllNodesFollowingConcept(licenceId, conceptId, nodeType, operation, deadline) {
+    const limit = config.MYFT_PAGE_SIZE;
+    const items = [];
+    const getPage = page => {
+      if (deadline !== undefined) {
+        deadline.check({operation, method: 'GET'});
+      }
+      return _createAndTriggerScopedRequest('GET', myftConst.licenceNodeName, licenceId, myftConst.topicNodeName, conceptId, myftConst.followedRelName, nodeType, undefined, {page, limit}, {operation, callOptions: deadline})
+        .then(res => helpers.parseJsonRes(res, undefined, {operation, method: 'GET'}))
+        .then(res => {
+          const pageItems = Array.isArray(res.items) ? res.items : [];
+          items.push.apply(items, pageItems);
+          return pageItems.length > 0 && !!res.total && (page * limit) < parseInt(res.total, 10) ? getPage(page + 1) : items;
+        });
+    };
+
+    return getPage(1)
+      .catch(err => {
+        // if nobody follows the concept
+        if (err instanceof clientErrors.NotFoundError) {
+          return items;
+        }
+        throw err;
+      });
+  }
 
-/**
- * Remove topic follows for a group
- * @param {String} groupUUID - uuid of the user
- * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
- * @return {Promise} response -
-**/
-function removeConceptsFollowedByGroup(groupUUID, conceptUUIDs) {
-  return _removeConceptsFollowedByNode(myftConst.groupNodeName, groupUUID, conceptUUIDs, true);
-}
+  /**
+   * Gets the groups of a licence following some concepts
+   * @param {String} licenceId -
+   * @param {Array} conceptIds -
+   * @param {String} excludedGroupId - a group to leave out
+   * @param {String} operation - for the logs
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} groups - [{uuid, concepts}], concepts being a Set of the ids of those the group follows
+   * @private
+   */
+  function _getGroupsFollowing(licenceId, conceptIds, excludedGroupId, operation, deadline) {
+    const groups = new Map();
+    return Promise.map(conceptIds, conceptId => _getAllNodesFollowingConcept(licenceId, conceptId, myftConst.groupNodeName, operation, deadline)
+      .then(items => items.forEach(group => {
+        if (group.uuid !== excludedGroupId) {
+          const entry = groups.get(group.uuid) || {uuid: group.uuid, concepts: new Set()};
+          entry.concepts.add(conceptId);
+          groups.set(group.uuid, entry);
+        }
+      })), {concurrency: config.BATCH_USER_CONCURRENCY})
+      .then(() => {
+        log.silly({operation, subOp: 'groupsFollowing', licenceId, groupCount: groups.size});
+        return Array.from(groups.values());
+      });
+  }
 
-/**
- * Remove topic follows for a user
- * @param {String} userUUID - uuid of the user
- * @param {String|Array} conceptUUIDs - uuid of the topic, or an array of topic uuids, to follow
- * @return {Promise} response -
-**/
-function removeConceptsFollowedByUser(userUUID, conceptUUIDs) {
-  return _removeConceptsFollowedByNode(myftConst.userNodeName, userUUID, conceptUUIDs, true);
-}
+  /**
+   * Gets the groups following some of the concepts a user inherited, which the user is a member of
+   * @param {Array} groups - see _getGroupsFollowing
+   * @param {Array} concepts - the concepts the user inherited
+   * @param {String} userId -
+   * @param {Deadline} [deadline] -
+   * @returns {Promise} groups - those of groups the user is a member of
+   * @private
+   */
+  function _getGroupsOfUser(groups, concepts, userId, deadline) {
+    const candidates = groups.filter(group => concepts.some(concept => group.concepts.has(concept.uuid)));
+    return Promise.mapSeries(candidates, group => _memberOrNone(getUserFromGroup(group.uuid, userId, deadline)))
+      .then(members => candidates.filter((group, i) => members[i] !== undefined));
+  }
 
-/**
- * Get user from licence
- * @param {String} licenceId -
- * @param {String} userId -
- * @returns {Promise} response -
- */
-function getUserFromLicence(licenceId, userId) {
-	return _getMemberFromNode(myftConst.licenceNodeName, licenceId, myftConst.userNodeName, userId);
-}
+  /**
+   * Gives the users of the chunks of a members removal which failed, the others having succeeded
+   * @param {BatchResult} res -
+   * @returns {Map} failures - of the ids of the users which weren't removed to the error
+   * @private
+   */
+  function _removalFailures(res) {
+    const failures = new Map();
+    res.failedChunks.forEach(chunk => chunk.ids.forEach(userId => failures.set(userId, chunk.error)));
+    return failures;
+  }
 
-/**
- * Get user from group
- * @param {String} groupId -
- * @param {String} userId -
- * @returns {Promise} response -
- */
-function getUserFromGroup(groupId, userId) {
-	return _getMemberFromNode(myftConst.groupNodeName, groupId, myftConst.userNodeName, userId);
-}
+  /**
+   * Removes users from a group and, unless keepFollows, the concepts they follow as its members (_rel.asMemberOf).
+   * A concept also followed by another group of the licence a user is still a member of is kept, as a member of that group.
+   * @param {String} groupId -
+   * @param {String|Array} userIds -
+   * @param {Object} [options] -
+   * @param {String} [options.licenceId] - of the group, required unless keepFollows
+   * @param {Boolean} [options.keepFollows] - only removes the users from the group
+   * @param {Object} [callOptions] - {timeout, signal}, for the whole workflow, see lib/helpers/cancellation.js
+   * @returns {Promise} response - {group, users, summary}, users being the result of each user as
+   *          {uuid, group, status, conceptsUnfollowed, conceptsKept|error}, and summary the number of users per status
+   */
+  function leaveGroup(groupId, userIds, options, callOptions) {
+    const operation = 'myFTClient.leaveGroup';
+    const opts = Object.assign({keepFollows: false}, options);
+    const ids = [].concat(userIds);
+    log.debug({operation, groupId, userIds: JSON.stringify(ids), keepFollows: opts.keepFollows});
+
+    if (opts.keepFollows !== true && !opts.licenceId) {
+      const msg = 'A licenceId is required to remove the follows inherited from the group';
+      log.error({operation, groupId, status: msg});
+      return Promise.reject(new Error(msg));
+    }
+    // the timeout is for the whole workflow
+    const deadline = cancellation.create(callOptions);
+    const inherited = new Map();
+
+    return removeUsersFromGroup(groupId, ids, undefined, deadline)
+      .then(_removalFailures)
+      .then(failures => {
+        // the users of the chunks which couldn't be removed keep their follows
+        const notRemoved = userId => {
+          log.warn({operation, userId, groupId, msg: failures.get(userId).message});
+          return {uuid: userId, group: groupId, status: 'synchronisationFailed', error: failures.get(userId)};
+        };
+        if (opts.keepFollows === true) {
+          return ids.map(userId => failures.has(userId) ? notRemoved(userId) :
+            {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'keepFollows'});
+        }
 
-/**
- * Get group from licence
- * @param {String} licenceId -
- * @param {String} groupId -
- * @returns {Promise} response -
- */
-function getGroupFromLicence(licenceId, groupId) {
-  return _getMemberFromNode(myftConst.licenceNodeName, licenceId, myftConst.groupNodeName, groupId);
-}
+        // the concepts each user follows as a member of the group
+        return Promise.map(ids, userId => failures.has(userId) ? notRemoved(userId) : getConceptsFollowedByUser(userId, deadline)
+          .catch(err => {
+            // if no concepts are found
+            if (err instanceof clientErrors.NotFoundError) {
+              return [];
+            }
+            throw err;
+          })
+          .then(concepts => inherited.set(userId, concepts.filter(concept => !!concept._rel && concept._rel.asMemberOf === groupId)))
+          .catch(_userFailure(groupId, userId, operation, deadline)), {concurrency: config.BATCH_USER_CONCURRENCY})
+          // the result of each user, the failure of those whose follows couldn't be read
+          .then(lookups => {
+            const conceptIds = new Set();
+            inherited.forEach(concepts => concepts.forEach(concept => conceptIds.add(concept.uuid)));
+            // failing the users it's needed for, rather than the removals already done
+            const groupsFollowing = conceptIds.size === 0 ? Promise.resolve([]) :
+              _getGroupsFollowing(opts.licenceId, Array.from(conceptIds), groupId, operation, deadline);
+            // handled by each user, later on
+            groupsFollowing.catch(() => undefined);
+
+            return Promise.map(ids, userId => {
+              if (!inherited.has(userId)) {
+                return lookups[ids.indexOf(userId)];
+              }
+
+              return groupsFollowing
+                .then(groups => _getGroupsOfUser(groups, inherited.get(userId), userId, deadline))
+                .then(otherGroups => {
+                  const conceptsUnfollowed = [];
+                  const conceptsKept = [];
+                  // the other groups following the concept the user is a member of
+                  const keptAsMemberOf = {};
+                  inherited.get(userId).forEach(concept => {
+                    const otherGroup = otherGroups.find(group => group.concepts.has(concept.uuid));
+                    if (otherGroup === undefined) {
+                      conceptsUnfollowed.push(concept);
+                    } else {
+                      conceptsKept.push(concept);
+                      keptAsMemberOf[otherGroup.uuid] = (keptAsMemberOf[otherGroup.uuid] || []).concat({uuid: concept.uuid});
+                    }
+                  });
+
+                  const unfollow = conceptsUnfollowed.length === 0 ? Promise.resolve() :
+                    removeConceptsFollowedByUser(userId, conceptsUnfollowed.map(concept => concept.uuid), deadline)
+                      .then(res => clientErrors.parseResponse(res, `${operation} - user: ${userId}`, {operation, method: 'DELETE'}));
+
+                  return unfollow
+                    // the kept concepts are followed as a member of the other group from now on
+                    .then(() => Promise.mapSeries(Object.keys(keptAsMemberOf), otherGroupId => {
+                      return addConceptsFollowedByUser(userId, keptAsMemberOf[otherGroupId], Object.assign({}, followedProperties, {asMemberOf: otherGroupId}), deadline);
+                    }))
+                    .then(() => {
+                      log.silly({operation, subOp: 'conceptsUnfollowed', userId, groupId, unfollowed: conceptsUnfollowed.length, kept: conceptsKept.length});
+                      return conceptsUnfollowed.length === 0 ?
+                        {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noConceptsToUnfollow', conceptsUnfollowed, conceptsKept} :
+                        {uuid: userId, group: groupId, status: 'synchronisationCompleted', conceptsUnfollowed, conceptsKept};
+                    });
+                })
+                .catch(_userFailure(groupId, userId, operation, deadline));
+            }, {concurrency: config.BATCH_USER_CONCURRENCY});
+          })
+          .then(users => _writeFollowEvents(users, 'unsubscribe', 'conceptsUnfollowed', operation)
+            .then(() => users));
+      })
+      .then(users => {
+        const result = {group: groupId, users, summary: _summarise(users)};
+        log.debug({operation, groupId, summary: JSON.stringify(result.summary), res: 'success'});
+        return result;
+      });
+  }
 
-/**
- * Sync user followers
- * @param {String} groupId -
- * @param {String} userId -
- * @returns {Promise} response -
- */
-function syncUserFollowers(groupId, userId) {
-	const operation = 'myFTClient.syncUserFollowers';
-	return getConceptsFollowedByGroup(groupId)
-		.catch(err => {
-			// if no concepts are found
-			if (err instanceof clientErrors.NotFoundError) {
-				return [];
-			}
-			throw err;
-		})
-		.then(groupConcepts => {
-			if (Array.isArray(groupConcepts)) {
-				return groupConcepts;
-			}
-			const msg = "Group groupConcepts is not an array";
-			log.error({operation, groupConcepts, status: msg});
-			throw new Error(msg);
-		})
-		.then(groupConcepts => {
-			const conceptCount = groupConcepts.length;
-			if (conceptCount > 0) {
-				log.silly({operation, subOp: 'groupConceptsFollowed', userId, groupId, groupConceptsCount: conceptCount});
-				// get the concepts (topics) followed by the user
-				return getConceptsFollowedByUser(userId)
-					.catch(err => {
-						// if no concepts are found
-						if (err instanceof clientErrors.NotFoundError) {
-							return [];
-						}
-						throw err;
-					})
-					.then(conceptsResp => {
-						if (Array.isArray(conceptsResp)) {
-							const userConceptIds = conceptsResp.map(concept => concept.uuid);
-							log.silly({operation, subOp: 'userConceptsFollowed', userId, groupId, userConceptsCount: userConceptIds.length});
-							// get the new concepts to be followed
-							const newConceptsToFollow = groupConcepts.filter((item)=> userConceptIds.indexOf(item.uuid) === -1);
-							if (newConceptsToFollow.length === 0) {
-								log.silly({operation, subOp: 'noNewConceptsToFollow', userId, groupId});
-								return {user: {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noNewConceptsToFollow'}};
-							}
-
-							log.silly({operation, subOp: 'newConceptsToFollow', userId, group: groupId, newConceptsToFollow});
-							const followProps = Object.assign({}, followedProperties);
-							followProps.asMemberOf = groupId;
-							// set the user as being a follower on the new concepts
-							return addConceptsFollowedByUser(userId, newConceptsToFollow, followProps)
-								.then(() => {
-									log.silly({operation, subOp: 'setEmailDigestPreference', userId});
-									return getEmailDigestPreference(userId)
-										.catch(err => {
-											// if no preferences are found
-											if (err instanceof clientErrors.NotFoundError) {
-												return setEmailDigestPreference(userId, digestProperties);
-											}
-											throw err;
-										});
-								})
-								.then(() => {
-									const cleanConcepts = newConceptsToFollow.map(item => {
-										const newItem = Object.assign({}, item);
-										delete newItem._rel;
-										return newItem;
-									});
-
-									log.silly({operation, subOp: 'kinesis.write', userId});
-									return kinesis.write(userId, 'subscribe', cleanConcepts);
-								})
-								.then(()=> ({user: {uuid: userId, status: 'synchronisationCompleted', group: groupId, newConceptsToFollow}}));
-						}
-						const msg = "User conceptsResp is not an array";
-						log.error({operation, conceptsResp, status: msg});
-						throw new Error(msg);
-					});
-
-			}
-			log.silly({operation, subOp: 'noGroupConceptsToFollow', userId, groupId});
-			return {user: {uuid: userId, group: groupId, status: 'synchronisationIgnored', reason: 'noGroupConceptsToFollow'}};
-		});
+  /**
+   * Gets the relationship properties set by the client, without the ones set by myFT, to recreate a relationship
+   * @param {Object} [rel] - e.g. the _rel of a member
+   * @returns {Object} properties -
+   * @private
+   */
+  function _ownRelProperties(rel) {
+    const properties = Object.assign({}, rel);
+    ['created', 'updated', 'count'].forEach(key => delete properties[key]);
+    return properties;
+  }
+
+  /**
+   * Gets a member of a node, undefined if it isn't one
+   * @param {Promise} lookup - e.g. of getUserFromGroup
+   * @returns {Promise} member -
+   * @private
+   */
+  function _memberOrNone(lookup) {
+    return lookup.catch(err => {
+      if (err instanceof clientErrors.NotFoundError) {
+        return undefined;
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Forgets a saga once it has completed or been rolled back, so it can be run again with the same id, keeping the ones
+   * left half done (e.g. by a Lambda timing out) or not fully rolled back, see resumeSaga and rollbackSaga
+   * @param {Object} theSaga - see lib/saga.js
+   * @param {String} id -
+   * @param {Promise} progress - of run, resume or rollback
+   * @returns {Promise} state - rejected with the error of the failed step, the state being its saga property
+   * @private
+   */
+  function _settleSaga(theSaga, id, progress) {
+    const settle = state => {
+      const done = state.status === saga.STATUSES.completed || state.status === saga.STATUSES.rolledBack;
+      return done ? theSaga.forget(id) : Promise.resolve();
+    };
+
+    return progress
+      .then(state => settle(state).then(() => state), err => {
+        const settled = err.saga !== undefined ? settle(err.saga) : Promise.resolve();
+        return settled.then(() => {
+          throw err;
+        });
+      });
+  }
+
+  /**
+   * Carries on with a saga a client left half done, e.g. by a Lambda timing out, see lib/saga.js
+   * @param {String} name - of the workflow: offboardUser or syncUserFollowers
+   * @param {String} id - of the saga: licenceId:userId for offboardUser, groupId:userId for syncUserFollowers
+   * @param {Object} [callOptions] - {timeout, signal}, for the steps, see lib/helpers/cancellation.js
+   * @returns {Promise} state - see lib/saga.js, rejected with the error of the failed step, the state being its saga property
+   */
+  function resumeSaga(name, id, callOptions) {
+    log.debug({operation: 'myFTClient.resumeSaga', name, id});
+    if (!Object.prototype.hasOwnProperty.call(sagas, name)) {
+      return Promise.reject(new Error(`There's no ${name} saga`));
+    }
+    const theSaga = sagas[name](cancellation.create(callOptions));
+    return _settleSaga(theSaga, id, theSaga.resume(id));
+  }
+
+  /**
+   * Undoes the steps of a saga a client left half done, or which failed to be rolled back, see lib/saga.js
+   * @param {String} name - of the workflow, see resumeSaga
+   * @param {String} id - of the saga, see resumeSaga
+   * @returns {Promise} state - with the status rolledBack or rollbackFailed
+   */
+  function rollbackSaga(name, id) {
+    log.debug({operation: 'myFTClient.rollbackSaga', name, id});
+    if (!Object.prototype.hasOwnProperty.call(sagas, name)) {
+      return Promise.reject(new Error(`There's no ${name} saga`));
+    }
+    const theSaga = sagas[name]();
+    return _settleSaga(theSaga, id, theSaga.rollback(id));
+  }
+
+  /**
+   * Builds the steps of offboardUser from what's to be removed, so a resumed offboarding has the same steps
+   * @param {Object} input - {licenceId, userId, licenceMember, memberships, digestPreference}, licenceMember and
+   *        digestPreference being the properties of the relationships (null if there's none), and memberships the groups
+   *        of the user as {group, member}, member being the properties of its membership
+   * @param {Deadline} [deadline] - for the actions, the compensations having their own, see _compensationDeadline
+   * @returns {Array} steps - see lib/saga.js
+   * @private
+   */
+  function _offboardingSteps(input, deadline) {
+    const licenceId = input.licenceId;
+    const userId = input.userId;
+    const steps = [];
+
+    if (input.licenceMember !== null) {
+      steps.push({
+        name: 'removeUserFromLicence',
+        details: {licence: licenceId},
+        action: () => removeUsersFromLicence(licenceId, userId, undefined, deadline).then(() => undefined),
+        compensate: () => addUsersToLicence(licenceId, userId, input.licenceMember, undefined, _compensationDeadline())
+      });
+    }
+
+    input.memberships.forEach(membership => {
+      steps.push({
+        name: 'leaveGroup',
+        details: {group: membership.group},
+        action: () => leaveGroup(membership.group, userId, {licenceId}, deadline)
+          .then(res => {
+            const left = res.users[0];
+            if (left.status === 'synchronisationFailed') {
+              throw left.error;
+            }
+            return {conceptsUnfollowed: left.conceptsUnfollowed.map(concept => concept.uuid), conceptsKept: left.conceptsKept.map(concept => concept.uuid)};
+          }),
+        compensate: (context, output) => {
+          const compensationDeadline = _compensationDeadline();
+          return addUsersToGroup(membership.group, userId, membership.member, undefined, compensationDeadline)
+            .then(() => {
+              // the concepts followed as a member of the group, including the ones which were moved to another group
+              const conceptIds = output ? output.conceptsUnfollowed.concat(output.conceptsKept) : [];
+              if (conceptIds.length === 0) {
+                return undefined;
+              }
+              const concepts = conceptIds.map(uuid => ({uuid}));
+              return addConceptsFollowedByUser(userId, concepts, Object.assign({}, followedProperties, {asMemberOf: membership.group}), compensationDeadline)
+                .then(() => output.conceptsUnfollowed.length > 0 ? kinesis.write([userId], 'subscribe', output.conceptsUnfollowed.map(uuid => ({uuid}))) : undefined);
+            });
+        }
+      });
+    });
+
+    if (input.digestPreference !== null) {
+      steps.push({
+        name: 'removeEmailDigestPreference',
+        details: {},
+        action: () => removeEmailDigestPreference(userId, undefined, deadline).then(() => undefined),
+        compensate: () => setEmailDigestPreference(userId, input.digestPreference, undefined, _compensationDeadline())
+      });
+    }
+    return steps;
+  }
+
+  /**
+   * @param {Object} state - of the offboardUser saga
+   * @returns {Object} audit - {licence, user, status, steps}, with the steps begun
+   * @private
+   */
+  function _toOffboardingAudit(state) {
+    return {
+      licence: state.input.licenceId,
+      user: state.input.userId,
+      status: state.status,
+      steps: state.steps.filter(record => record.status !== 'pending')
+    };
+  }
+
+  /**
+   * Removes a user from a licence, from all the groups of the licence it's a member of (with the follows inherited
+   * from them, see leaveGroup) and, if asked, its email digest preference. Should a step fail, the ones done are undone.
+   * It runs as a saga with the id licenceId:userId, see lib/saga.js, so an offboarding left half done can be carried on
+   * by resumeSaga('offboardUser', id), or undone by rollbackSaga, given a store shared by the processes (config.saga.store)
+   * @param {String} licenceId -
+   * @param {String} userId -
+   * @param {Object} [options] -
+   * @param {Boolean} [options.removeDigestPreference] - also removes the email digest preference
+   * @param {Object} [callOptions] - {timeout, signal}, for the steps (not the rollback), see lib/helpers/cancellation.js
+   * @returns {Promise} audit - {licence, user, status, steps}, steps being {step, details, status, startedAt, finishedAt, output|error},
+   *          rejected with the error of the failed step, the audit (with the status rolledBack or rollbackFailed) being its audit property
+   */
+  function offboardUser(licenceId, userId, options, callOptions) {
+    const operation = 'myFTClient.offboardUser';
+    const opts = Object.assign({removeDigestPreference: false}, options);
+    log.debug({operation, licenceId, userId, removeDigestPreference: opts.removeDigestPreference});
+    // the timeout is for the steps, the rollback having to be done regardless
+    const deadline = cancellation.create(callOptions);
+    const ownProperties = member => member === undefined ? null : _ownRelProperties(member._rel);
+
+    // what's about to be removed, to put it back on failure
+    const groupsOfUser = getGroupsForLicence(licenceId, deadline)
+      .catch(err => {
+        // a licence without groups
+        if (err instanceof clientErrors.NotFoundError) {
+          return [];
+        }
+        throw err;
+      })
+      .then(groups => Promise.map(groups, group => _memberOrNone(getUserFromGroup(group.uuid, userId, deadline))
+        .then(member => member && {group: group.uuid, member: ownProperties(member)}), {concurrency: config.BATCH_USER_CONCURRENCY}))
+      .then(memberships => memberships.filter(membership => !!membership));
+
+    return Promise.all([
+      _memberOrNone(getUserFromLicence(licenceId, userId, deadline)),
+      groupsOfUser,
+      opts.removeDigestPreference === true ? _memberOrNone(getEmailDigestPreference(userId, deadline)) : undefined
+    ])
+      .then(results => {
+        const offboarding = sagas.offboardUser(deadline);
+        const id = `${licenceId}:${userId}`;
+        const input = {licenceId, userId, licenceMember: ownProperties(results[0]), memberships: results[1], digestPreference: ownProperties(results[2])};
+        return _settleSaga(offboarding, id, offboarding.run(id, input))
+          .catch(err => {
+            if (err.saga !== undefined) {
+              err.audit = _toOffboardingAudit(err.saga);
+            }
+            throw err;
+          });
+      })
+      .then(state => {
+        log.debug({operation, licenceId, userId, steps: state.steps.length, res: 'success'});
+        return _toOffboardingAudit(state);
+      });
+  }
+
+  return {
+    addLicence,
+    updateLicence,
+    getLicence,
+    getUserFromLicence,
+    getUserFromGroup,
+    getGroupFromLicence,
+    getEmailDigestPreference,
+    setEmailDigestPreference,
+    removeEmailDigestPreference,
+    getUsersWithEmailDigestPreference,
+    getConceptsFollowedByUser,
+    getConceptsFollowedByGroup,
+    getUsersForLicence,
+    getUsersForGroup,
+    getGroupsForLicence,
+    iterateUsersForLicence,
+    iterateUsersForGroup,
+    iterateGroupsForLicence,
+    iterateConceptsFollowedByUser,
+    streamUsersForLicence,
+    streamUsersForGroup,
+    streamGroupsForLicence,
+    streamConceptsFollowedByUser,
+    addUsersToLicence,
+    removeUsersFromLicence,
+    addUsersToGroup,
+    removeUsersFromGroup,
+    addGroupsToLicence,
+    removeGroupsFromLicence,
+    addConceptsFollowedByUser,
+    addConceptsFollowedByGroup,
+    removeConceptsFollowedByUser,
+    removeConceptsFollowedByGroup,
+    getUsersFollowingConcept,
+    getGroupsFollowingConcept,
+    syncUserFollowers,
+    syncGroupFollowers,
+    syncLicenceFollowers,
+    syncGroupUnfollowers,
+    leaveGroup,
+    offboardUser,
+    resumeSaga,
+    rollbackSaga,
+    relationshipProperties,
+    followedProperties,
+    digestProperties
+    //entityProperties
+  };
 }
 
-module.exports = {
-  addLicence,
-  updateLicence,
-  getLicence,
-  getUserFromLicence,
-  getUserFromGroup,
-  getGroupFromLicence,
-  getEmailDigestPreference,
-  setEmailDigestPreference,
-  getUsersWithEmailDigestPreference,
-  getConceptsFollowedByUser,
-  getConceptsFollowedByGroup,
-  getUsersForLicence,
-  getUsersForGroup,
-  getGroupsForLicence,
-  addUsersToLicence,
-  removeUsersFromLicence,
-  addUsersToGroup,
-  removeUsersFromGroup,
-  addGroupsToLicence,
-  removeGroupsFromLicence,
-  addConceptsFollowedByUser,
-  addConceptsFollowedByGroup,
-  removeConceptsFollowedByUser,
-  removeConceptsFollowedByGroup,
-  getUsersFollowingConcept,
-  getGroupsFollowingConcept,
-  syncUserFollowers,
-  relationshipProperties,
-  followedProperties,
-  digestProperties
-  //entityProperties
-};
+module.exports = Object.assign(create(defaultConfig, kinesisClient), {create});
@@ -0,0 +1,344 @@
+'use strict';
+
+/**
+ * Saga runner
+ * Runs the steps of a multi-step operation one after the other, each with an action and a compensation undoing it.
+ * Should a step fail, the compensations of the steps done (and of the failed one, which may have partly succeeded)
+ * are run, the last one first, so the compensations must cope with nothing to undo.
+ *
+ * The progress is saved in a store before and after each step, so a saga interrupted (e.g. by a Lambda timing out)
+ * can be resumed or rolled back by another process, given the same id. The steps are told apart by their position, and
+ * a resumed saga must have the steps it was run with (checked by name), so steps depending on the data (e.g. one per group
+ * of a user) are built from the input, looked up beforehand, rather than from lookups made on the way. The actions of a resumed saga may be run again,
+ * so they should be idempotent. The store is pluggable, anything with these (sync or Promise returning) functions will do:
+ * get(key) - the state, undefined if there's none
+ * set(key, state) - the state being JSON serialisable
+ * delete(key) -
+ */
+const log = require('@financial-times/n-logger').default;
+const Promise = require('bluebird');
+
+const STATUSES = {
+  running: 'running',
+  compensating: 'compensating',
+  completed: 'completed',
+  rolledBack: 'rolledBack',
+  rollbackFailed: 'rollbackFailed'
+};
+
+const DEFAULT_OPTIONS = {
+  // prefixed to the keys of the store, e.g. to share a table between apps
+  prefix: 'kat:saga:'
+};
+
+/**
+ * Creates an in memory store, the progress being lost with the process
+ * @returns {Object} store -
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    get: key => Promise.resolve(entries.has(key) ? JSON.parse(entries.get(key)) : undefined),
+    set: (key, state) => {
+      entries.set(key, JSON.stringify(state));
+      return Promise.resolve();
+    },
+    delete: key => {
+      entries.delete(key);
+      return Promise.resolve();
+    },
+    size: () => entries.size
+  };
+}
+
+/**
+ * Creates a saga
+ * @param {Object} definition - {name, steps}, steps being {name, action, compensate, details}, or (input) => steps:
+ *        action - (context) => Promise of the output of the step, context being {id, input, outputs}, outputs those of the
+ *        steps done by step name (the last one done for the steps sharing a name)
+ *        [compensate] - (context, output) => Promise, undoes the action, nothing needs undoing without it
+ *        [details] - added to the record of the step
+ * @param {Object} [options] - see DEFAULT_OPTIONS, plus store, defaulting to an in memory one
+ * @returns {Object} saga - {name, run, resume, rollback, getState}
+ */
+function create(definition, options) {
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  const store = opts.store || createMemoryStore();
+  const name = definition.name;
+
+  /**
+   * @param {Array} steps -
+   * @returns {Array} steps - thrown if one has no name or action
+   * @private
+   */
+  function _validate(steps) {
+    if (!Array.isArray(steps) || steps.some(step => !step.name || typeof step.action !== 'function')) {
+      throw new Error(`The steps of the ${name} saga need a name and an action`);
+    }
+    return steps;
+  }
+
+  if (!name) {
+    throw new Error('A saga needs a name');
+  }
+  if (typeof definition.steps !== 'function') {
+    _validate(definition.steps || []);
+  }
+
+  /**
+   * @param {*} input - of the saga
+   * @returns {Array} steps -
+   * @private
+   */
+  function _stepsFor(input) {
+    return typeof definition.steps === 'function' ? _validate(definition.steps(input)) : (definition.steps || []);
+  }
+
+  /**
+   * Gets the steps of a saga which was saved, checking they're the ones it was run with
+   * @param {Object} state -
+   * @returns {Array} steps - thrown if their names differ from the saved ones
+   * @private
+   */
+  function _stepsOf(state) {
+    const steps = _stepsFor(state.input);
+    if (steps.length !== state.steps.length || steps.some((step, index) => step.name !== state.steps[index].step)) {
+      throw new Error(`The ${name} saga ${state.id} was run with other steps`);
+    }
+    return steps;
+  }
+
+  /**
+   * @param {String} id -
+   * @returns {String} key -
+   * @private
+   */
+  function _key(id) {
+    return `${opts.prefix}${name}:${id}`;
+  }
+
+  /**
+   * @param {Object} state -
+   * @returns {Promise} state -
+   * @private
+   */
+  function _save(state) {
+    state.updatedAt = new Date().toISOString();
+    return Promise.resolve()
+      .then(() => store.set(_key(state.id), state))
+      .then(() => state);
+  }
+
+  /**
+   * @param {String} id -
+   * @returns {Promise} state - rejected if there's none
+   * @private
+   */
+  function _load(id) {
+    return Promise.resolve()
+      .then(() => store.get(_key(id)))
+      .then(state => {
+        if (state === undefined || state === null) {
+          throw new Error(`There's no ${name} saga ${id}`);
+        }
+        return state;
+      });
+  }
+
+  /**
+   * @param {Object} state -
+   * @returns {Object} context - {id, input, outputs}
+   * @private
+   */
+  function _context(state) {
+    const outputs = {};
+    state.steps.filter(record => record.status === 'completed').forEach(record => {
+      outputs[record.step] = record.output;
+    });
+    return {id: state.id, input: state.input, outputs};
+  }
+
+  /**
+   * Runs the compensations of the steps begun, the last one first
+   * @param {Object} state -
+   * @param {Array} steps - of the saga
+   * @returns {Promise} state - with the status rolledBack or rollbackFailed
+   * @private
+   */
+  function _compensate(state, steps) {
+    const operation = 'saga.compensate';
+    const context = _context(state);
+    const toUndo = state.steps.map((record, index) => index)
+      .filter(index => state.steps[index].status !== 'pending' && state.steps[index].compensated !== true)
+      .reverse();
+    state.status = STATUSES.compensating;
+
+    return _save(state)
+      .then(() => Promise.mapSeries(toUndo, index => {
+        const record = state.steps[index];
+        const step = steps[index];
+        return Promise.resolve()
+          .then(() => step.compensate ? step.compensate(context, record.output) : undefined)
+          .then(() => {
+            record.compensated = true;
+            delete record.compensationError;
+            log.debug({operation, saga: name, id: state.id, step: record.step, res: 'success'});
+          }, error => {
+            record.compensated = false;
+            record.compensationError = error.message;
+            log.error({operation, saga: name, id: state.id, step: record.step, msg: 'Compensation FAILED', error: error.message});
+          })
+          .then(() => _save(state));
+      }))
+      .then(() => {
+        state.status = state.steps.every(record => record.status === 'pending' || record.compensated === true) ? STATUSES.rolledBack : STATUSES.rollbackFailed;
+        return _save(state);
+      });
+  }
+
+  /**
+   * Runs the steps not done yet, compensating them all if one fails
+   * @param {Object} state -
+   * @param {Array} steps - of the saga
+   * @returns {Promise} state - rejected with the error of the failed step, once compensated, the state being its saga property
+   * @private
+   */
+  function _runSteps(state, steps) {
+    const operation = 'saga.run';
+    const runStep = index => {
+      if (index === steps.length) {
+        state.status = STATUSES.completed;
+        return _save(state);
+      }
+      const record = state.steps[index];
+      if (record.status === 'completed') {
+        return runStep(index + 1);
+      }
+
+      // started, but not finished, steps of a resumed saga are run again
+      record.status = 'started';
+      record.startedAt = new Date().toISOString();
+      return _save(state)
+        .then(() => steps[index].action(_context(state)))
+        .then(output => {
+          record.status = 'completed';
+          record.output = output;
+          record.finishedAt = new Date().toISOString();
+          log.debug({operation, saga: name, id: state.id, step: record.step, res: 'success'});
+          return _save(state).then(() => runStep(index + 1));
+        }, error => {
+          record.status = 'failed';
+          record.error = error.message;
+          record.finishedAt = new Date().toISOString();
+          log.warn({operation, saga: name, id: state.id, step: record.step, msg: 'Rolling back', error: error.message});
+          return _compensate(state, steps)
+            .then(() => {
+              error.saga = state;
+              throw error;
+            });
+        });
+    };
+
+    return runStep(0);
+  }
+
+  /**
+   * Runs a saga
+   * @param {String} id - unique to the saga, e.g. the ids of the entities it changes
+   * @param {*} [input] - JSON serialisable, given to the steps as context.input
+   * @returns {Promise} state - {id, saga, status, input, steps, startedAt, updatedAt}, steps being
+   *          {step, details, status, startedAt, finishedAt, output|error, compensated, compensationError},
+   *          rejected with the error of the failed step, once compensated, the state being its saga property
+   */
+  function run(id, input) {
+    log.debug({operation: 'saga.run', saga: name, id});
+
+    return Promise.resolve()
+      .then(() => store.get(_key(id)))
+      .then(existing => {
+        if (existing !== undefined && existing !== null) {
+          throw new Error(`The ${name} saga ${id} has already been run, it can be resumed or rolled back`);
+        }
+        const steps = _stepsFor(input);
+        const now = new Date().toISOString();
+        const state = {
+          id,
+          saga: name,
+          status: STATUSES.running,
+          input,
+          steps: steps.map(step => Object.assign({step: step.name, status: 'pending'}, step.details !== undefined ? {details: step.details} : {})),
+          startedAt: now
+        };
+        return _save(state)
+          .then(() => _runSteps(state, steps));
+      });
+  }
+
+  /**
+   * Carries on with an interrupted saga, running the steps left or, if it was being rolled back, the compensations left
+   * @param {String} id -
+   * @returns {Promise} state - as for run, a saga already completed or rolled back being left as it is
+   */
+  function resume(id) {
+    log.debug({operation: 'saga.resume', saga: name, id});
+
+    return _load(id)
+      .then(state => {
+        if (state.status === STATUSES.running) {
+          return _runSteps(state, _stepsOf(state));
+        }
+        if (state.status === STATUSES.compensating || state.status === STATUSES.rollbackFailed) {
+          return _compensate(state, _stepsOf(state));
+        }
+        return state;
+      });
+  }
+
+  /**
+   * Undoes the steps of a saga, e.g. one which was interrupted, or which completed but has to be undone
+   * @param {String} id -
+   * @returns {Promise} state - with the status rolledBack or rollbackFailed
+   */
+  function rollback(id) {
+    log.debug({operation: 'saga.rollback', saga: name, id});
+
+    return _load(id)
+      .then(state => state.status === STATUSES.rolledBack ? state : _compensate(state, _stepsOf(state)));
+  }
+
+  /**
+   * @param {String} id -
+   * @returns {Promise} state - undefined if there's none
+   */
+  function getState(id) {
+    return Promise.resolve()
+      .then(() => store.get(_key(id)));
+  }
+
+  /**
+   * Removes the state of a saga from the store, e.g. once it's completed
+   * @param {String} id -
+   * @returns {Promise} done -
+   */
+  function forget(id) {
+    return Promise.resolve()
+      .then(() => store.delete(_key(id)));
+  }
+
+  return {
+    name,
+    run,
+    resume,
+    rollback,
+    getState,
+    forget
+  };
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_OPTIONS,
+  createMemoryStore,
+  create
+};
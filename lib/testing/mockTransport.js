@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * In-memory fake of the apis behind the clients (myFT, ALS, ACS, user profile, session and licence seat holders),
+ * answering with the fixtures from test/mocks/fixtures. It can be given to the clients as their transport
+ * so apps can run integration tests without any network, e.g.
+ *   const transport = require('kat-client-proxies/testing').mockTransport.create();
+ *   const clients = proxies.createClients({transport});
+ */
+const path = require('path');
+const url = require('url');
+const qs = require('querystring');
+const STATUS_CODES = require('http').STATUS_CODES;
+const defaultConfig = require('../helpers/config');
+const helpers = require('../helpers/helpers');
+
+const fixturesPath = path.join(__dirname, '..', '..', 'test', 'mocks', 'fixtures');
+
+/**
+ * Minimal fetch Response look alike
+ */
+class MockResponse {
+  /**
+   * @param {String} resUrl -
+   * @param {Number} status -
+   * @param {*} [body] - serialised as JSON unless it's a string
+   * @param {Object} [headers] -
+   */
+  constructor(resUrl, status, body, headers) {
+    const resHeaders = {};
+    Object.keys(headers || {}).forEach(name => {
+      resHeaders[name.toLowerCase()] = String(headers[name]);
+    });
+
+    this.url = resUrl;
+    this.status = status;
+    this.statusText = STATUS_CODES[status] || '';
+    this.ok = status >= 200 && status < 300;
+    this.headers = {
+      get: name => (resHeaders[name.toLowerCase()] !== undefined ? resHeaders[name.toLowerCase()] : null),
+      has: name => resHeaders[name.toLowerCase()] !== undefined
+    };
+    this._body = (body === undefined || body === null || typeof body === 'string') ? (body || '') : JSON.stringify(body);
+    this.bodyUsed = false;
+  }
+
+  /**
+   * @returns {Promise} text -
+   */
+  text() {
+    this.bodyUsed = true;
+    return Promise.resolve(this._body);
+  }
+
+  /**
+   * @returns {Promise} json -
+   */
+  json() {
+    return this.text().then(text => JSON.parse(text));
+  }
+}
+
+/**
+ * Gets a fixture, as a fresh copy so the callers can't alter it for the other requests
+ * @param {String} name - file name, without the extension
+ * @returns {Object} fixture -
+ * @private
+ */
+function _fixture(name) {
+  return JSON.parse(JSON.stringify(require(path.join(fixturesPath, `${name}.json`))));
+}
+
+/**
+ * Builds a route handler replying with a fixture
+ * @param {String} name -
+ * @returns {Function} handler -
+ * @private
+ */
+function _withFixture(name) {
+  return () => ({status: 200, body: _fixture(name)});
+}
+
+/**
+ * Creates the default routes, answering on the urls from the config
+ * @param {Object} config -
+ * @returns {Array} routes -
+ * @private
+ */
+function _defaultRoutes(config) {
+  const myFT = config.MYFT_API_URL;
+  const gateway = config.API_GATEWAY_HOST;
+  const nodeItems = {
+    'license/member/user': 'getLicenceMembers',
+    'license/member/group': 'getLicenceGroupMembers',
+    'group/member/user': 'getLicenceMembers',
+    'user/followed/concept': 'userFollowedConcept',
+    'group/followed/concept': 'groupFollowedConcept'
+  };
+
+  return [
+    // myFT
+    {method: 'GET', baseUrl: myFT, pattern: /^\/user\/[^/]+\/preferred\/preference\/email-digest$/, handler: _withFixture('emailDigestPreference')},
+    {method: 'GET', baseUrl: myFT, pattern: /^\/(license|group)\/[^/]+\/member\/(user|group)\/[^/]+$/, handler: req => {
+      return {status: 200, body: _fixture(req.params[1] === 'group' ? 'getGroupFromLicence' : 'getUserFromLicence')};
+    }},
+    {method: 'GET', baseUrl: myFT, pattern: /^\/(license|user|group)\/[^/]+\/(member|followed)\/(user|group|concept)$/, handler: req => {
+      const fixture = nodeItems[`${req.params[0]}/${req.params[1]}/${req.params[2]}`];
+      return fixture ? {status: 200, body: _fixture(fixture)} : {status: 404};
+    }},
+    {method: 'GET', baseUrl: myFT, pattern: /^\/license\/[^/]+\/preference\/email-digest\/preferred\/user$/, handler: () => ({status: 200, body: {items: []}})},
+    {method: 'GET', baseUrl: myFT, pattern: /^\/license\/[^/]+\/concept\/[^/]+\/followed\/(user|group)$/, handler: () => ({status: 200, body: {items: []}})},
+    {method: 'GET', baseUrl: myFT, pattern: /^\/license\/[^/]+$/, handler: _withFixture('getLicence')},
+    {method: 'POST', baseUrl: myFT, pattern: /^\/license$/, handler: () => ({status: 200, body: {}})},
+    {method: 'PUT', baseUrl: myFT, pattern: /^\/license\/[^/]+$/, handler: () => ({status: 200, body: {}})},
+    {method: 'POST', baseUrl: myFT, pattern: /^\/(license|group|user)(\/[^/]+)?\/(member|followed|preferred)\/(user|group|concept|preference)$/, handler: () => ({status: 200, body: []})},
+    {method: 'DELETE', baseUrl: myFT, pattern: /^\/(license|group|user)(\/[^/]+)?\/(member|followed)\/(user|group|concept)$/, handler: () => ({status: 204})},
+    // Access Licence Service
+    {method: 'GET', baseUrl: config.ALS_API_URL, pattern: /^\/licences$/, handler: _withFixture('accessLicenceGetLicence')},
+    {method: 'GET', baseUrl: config.ALS_API_URL, pattern: /^\/licences\/[^/]+\/seats$/, handler: _withFixture('accessLicenceGetSeats')},
+    {method: 'GET', baseUrl: config.ALS_API_URL, pattern: /^\/licences\/[^/]+\/administrators$/, handler: _withFixture('accessLicenceAdmins')},
+    {method: 'GET', baseUrl: config.ALS_API_URL, pattern: /^\/licences\/[^/]+$/, handler: _withFixture('accessLicenceInfo')},
+    // Acquisition Context Service
+    {method: 'GET', baseUrl: config.ACS_API_URL, pattern: /^\/?$/, handler: _withFixture('acquisitionContext')},
+    // User Profile Service
+    {method: 'GET', baseUrl: config.USER_PROFILE_API_URL, pattern: /^\/?$/, handler: _withFixture('userProfile')},
+    {method: 'HEAD', baseUrl: config.USER_PROFILE_API_URL, pattern: /^\/?$/, handler: () => ({status: 200})},
+    // licence seat holders
+    {method: 'GET', baseUrl: `${gateway}/licence-seat-holders`, pattern: /^\/[^/]+\/admins$/, handler: _withFixture('licenceDataAdmins')},
+    {method: 'GET', baseUrl: `${gateway}/licence-seat-holders`, pattern: /^\/[^/]+$/, handler: _withFixture('licenceSeatHolders')},
+    // session & api auth
+    {method: 'GET', baseUrl: gateway, pattern: /^\/sessions\/[^/]+$/, handler: _withFixture('sessionVerify')},
+    {method: 'GET', baseUrl: gateway, pattern: /^\/authorize$/, handler: req => {
+      return {status: 200, body: {}, url: `${req.query.redirect_uri}#${qs.stringify({access_token: 'mock-api-auth-token', scope: req.query.scope})}`};
+    }}
+  ];
+}
+
+/**
+ * Creates a mock transport
+ * @param {Object} [configOverrides] - the same overrides given to createClients, so the mock answers on the same urls
+ * @returns {Function} transport - fetch compatible function, with:
+ *          transport.calls - the requests made so far, as {method, url, body}
+ *          transport.route(method, baseUrl, pattern, handler) - adds a route that takes precedence over the existing ones,
+ *            handler gets {method, url, path, params, query, headers, body} and returns {status, body, headers, url}
+ */
+function create(configOverrides) {
+  const config = helpers.mergeConfig(defaultConfig, configOverrides);
+  const routes = _defaultRoutes(config);
+  const calls = [];
+
+  const transport = (reqUrl, options) => {
+    const opt = options || {};
+    const method = (opt.method || 'GET').toUpperCase();
+    let body = opt.body;
+    calls.push({method, url: reqUrl, body});
+
+    try {
+      body = body ? JSON.parse(body) : undefined;
+    } catch (err) {
+      // not JSON, leave it as it is
+    }
+
+    for (let i = 0; i < routes.length; i++) {
+      const route = routes[i];
+      if (route.method !== method || typeof route.baseUrl !== 'string' || reqUrl.indexOf(route.baseUrl) !== 0) {
+        continue;
+      }
+      const parsed = url.parse(reqUrl.slice(route.baseUrl.length) || '/', true);
+      const match = route.pattern.exec(parsed.pathname || '/');
+      if (match) {
+        const req = {method, url: reqUrl, path: parsed.pathname, params: match.slice(1), query: parsed.query, headers: opt.headers || {}, body};
+        return Promise.resolve()
+          .then(() => route.handler(req))
+          .then(res => new MockResponse(res.url || reqUrl, res.status, res.body, res.headers));
+      }
+    }
+
+    return Promise.resolve(new MockResponse(reqUrl, 404));
+  };
+
+  transport.calls = calls;
+  transport.route = (method, baseUrl, pattern, handler) => {
+    routes.unshift({method: method.toUpperCase(), baseUrl, pattern, handler});
+    return transport;
+  };
+
+  return transport;
+}
+
+module.exports = {
+  create,
+  MockResponse
+};
@@ -0,0 +1,406 @@
+/*global Buffer*/
+'use strict';
+
+/**
+ * Local stand-in for the myFT API (v3), backed by an in-memory graph.
+ * Implements the routes used by the myFTClient so flows like syncUserFollowers or the bulk membership updates
+ * can be tested end to end. Can be started on its own: PORT=3001 node lib/testing/myFTServer.js
+ */
+const http = require('http');
+const url = require('url');
+const log = require('@financial-times/n-logger').default;
+
+const DEFAULT_PAGE_LIMIT = 100;
+
+/**
+ * Creates an empty graph
+ * @returns {Object} graph -
+ */
+function createGraph() {
+  const nodes = {};
+  const relationships = {};
+
+  const nodeKey = (type, uuid) => `${type}:${uuid}`;
+  const relKey = (rel, relType) => `${rel}:${relType}`;
+
+  /**
+   * Gets a node
+   * @param {String} type - e.g. user|group|license|concept
+   * @param {String} uuid -
+   * @returns {Object|undefined} node -
+   */
+  function getNode(type, uuid) {
+    return nodes[nodeKey(type, uuid)];
+  }
+
+  /**
+   * Adds (or updates) a node
+   * @param {String} type -
+   * @param {String} uuid -
+   * @param {Object} [properties] -
+   * @returns {Object} node -
+   */
+  function setNode(type, uuid, properties) {
+    const key = nodeKey(type, uuid);
+    nodes[key] = Object.assign({}, nodes[key], properties, {uuid});
+    return nodes[key];
+  }
+
+  /**
+   * Adds (or updates) a relationship, creating the nodes if they don't exist
+   * @param {String} type -
+   * @param {String} uuid -
+   * @param {String} rel - e.g. member|followed|preferred
+   * @param {String} relType - the type of the related node
+   * @param {String} relId -
+   * @param {Object} [relProps] -
+   * @param {Object} [relNodeProps] - properties of the related node
+   * @returns {Object} relationship properties -
+   */
+  function addRelationship(type, uuid, rel, relType, relId, relProps, relNodeProps) {
+    if (getNode(type, uuid) === undefined) {
+      setNode(type, uuid);
+    }
+    setNode(relType, relId, relNodeProps);
+
+    const key = nodeKey(type, uuid);
+    relationships[key] = relationships[key] || {};
+    const rels = relationships[key][relKey(rel, relType)] = relationships[key][relKey(rel, relType)] || {};
+    const now = Date.now();
+    const existing = rels[relId];
+    rels[relId] = Object.assign({}, existing, relProps, {
+      created: existing ? existing.created : now,
+      updated: now,
+      count: existing ? existing.count + 1 : 1
+    });
+    return rels[relId];
+  }
+
+  /**
+   * Removes a relationship
+   * @param {String} type -
+   * @param {String} uuid -
+   * @param {String} rel -
+   * @param {String} relType -
+   * @param {String} relId -
+   * @returns {Boolean} removed -
+   */
+  function removeRelationship(type, uuid, rel, relType, relId) {
+    const rels = (relationships[nodeKey(type, uuid)] || {})[relKey(rel, relType)] || {};
+    const removed = rels[relId] !== undefined;
+    delete rels[relId];
+    return removed;
+  }
+
+  /**
+   * Gets the related nodes, as myFT lists them: the node properties plus the relationship ones in _rel
+   * @param {String} type -
+   * @param {String} uuid -
+   * @param {String} rel -
+   * @param {String} relType -
+   * @returns {Array} items -
+   */
+  function getRelated(type, uuid, rel, relType) {
+    const rels = (relationships[nodeKey(type, uuid)] || {})[relKey(rel, relType)] || {};
+    return Object.keys(rels).map(relId => Object.assign({}, getNode(relType, relId), {uuid: relId, _rel: Object.assign({}, rels[relId])}));
+  }
+
+  /**
+   * Gets a single related node
+   * @param {String} type -
+   * @param {String} uuid -
+   * @param {String} rel -
+   * @param {String} relType -
+   * @param {String} relId -
+   * @returns {Object|undefined} item -
+   */
+  function getRelationship(type, uuid, rel, relType, relId) {
+    return getRelated(type, uuid, rel, relType).filter(item => item.uuid === relId)[0];
+  }
+
+  /**
+   * Counts the relationships of a node, per relationship and related type, e.g. {member: {user: {total: 2}}}
+   * @param {String} type -
+   * @param {String} uuid -
+   * @returns {Object} summary -
+   */
+  function summary(type, uuid) {
+    const rels = relationships[nodeKey(type, uuid)] || {};
+    const result = {};
+    Object.keys(rels).forEach(key => {
+      const parts = key.split(':');
+      const total = Object.keys(rels[key]).length;
+      if (total > 0) {
+        result[parts[0]] = result[parts[0]] || {};
+        result[parts[0]][parts[1]] = {total};
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Empties the graph
+   * @returns {undefined}
+   */
+  function clear() {
+    Object.keys(nodes).forEach(key => delete nodes[key]);
+    Object.keys(relationships).forEach(key => delete relationships[key]);
+  }
+
+  return {
+    getNode,
+    setNode,
+    addRelationship,
+    removeRelationship,
+    getRelated,
+    getRelationship,
+    summary,
+    clear
+  };
+}
+
+/**
+ * Gets one page of items, in the myFT list format
+ * @param {String} type -
+ * @param {Object} node -
+ * @param {Array} items -
+ * @param {Object} query - the page & limit query params
+ * @returns {Object} body -
+ * @private
+ */
+function _page(type, node, items, query) {
+  const page = Math.max(parseInt(query.page || 1, 10) || 1, 1);
+  const limit = Math.max(parseInt(query.limit || DEFAULT_PAGE_LIMIT, 10) || DEFAULT_PAGE_LIMIT, 1);
+  const body = {
+    total: items.length,
+    page,
+    limit,
+    items: items.slice((page - 1) * limit, page * limit)
+  };
+  body[type] = {properties: node};
+  return body;
+}
+
+/**
+ * Normalises a relationship request body, either a single subject, an array of subjects or a multi-id {ids, subjects} batch
+ * @param {String|undefined} nodeId - the node in the url
+ * @param {*} body -
+ * @returns {Object} request - {ids, subjects}
+ * @private
+ */
+function _relationshipBody(nodeId, body) {
+  if (body && body.subjects !== undefined) {
+    return {
+      ids: [].concat(body.ids === undefined ? [] : body.ids),
+      subjects: [].concat(body.subjects)
+    };
+  }
+  return {
+    ids: nodeId === undefined ? [] : [nodeId],
+    subjects: body === undefined || body === null ? [] : [].concat(body)
+  };
+}
+
+/**
+ * Creates a myFT API server
+ * @param {Object} [options] -
+ * @param {String} [options.apiKey] - if set, requests without a matching X-API-KEY header get a 401
+ * @param {Object} [options.graph] - an existing graph to serve
+ * @returns {Object} myFTServer - {graph, events, purges, server, listen, close}
+ */
+function create(options) {
+  const opts = options || {};
+  const graph = opts.graph || createGraph();
+  // the events myFT would have emitted (i.e. for requests without noEvent=true)
+  const events = [];
+  // the writes for which a cache purge was waited for (waitForPurge=true)
+  const purges = [];
+
+  /**
+   * Records the events and purges for a write request
+   * @param {String} method -
+   * @param {String} path -
+   * @param {Object} query -
+   * @returns {undefined}
+   * @private
+   */
+  function _recordWrite(method, path, query) {
+    if (query.noEvent !== 'true') {
+      events.push({method, path, time: Date.now()});
+    }
+    if (query.waitForPurge === 'true') {
+      purges.push({method, path, time: Date.now()});
+    }
+  }
+
+  /**
+   * Handles a request against the graph
+   * @param {String} method -
+   * @param {Array} parts - the url path parts
+   * @param {Object} query -
+   * @param {*} body -
+   * @returns {Object} response - {status, body}
+   * @private
+   */
+  function _route(method, parts, query, body) {
+    const type = parts[0];
+
+    // /{type}
+    if (parts.length === 1) {
+      if (method === 'POST' && body && body.uuid) {
+        _recordWrite(method, parts.join('/'), query);
+        return {status: 200, body: graph.setNode(type, body.uuid, body)};
+      }
+      return {status: 400, body: {message: 'A uuid is required'}};
+    }
+
+    // /{type}/{id}
+    if (parts.length === 2) {
+      const node = graph.getNode(type, parts[1]);
+      if (node === undefined) {
+        return {status: 404};
+      }
+      if (method === 'GET') {
+        return {status: 200, body: Object.assign({}, node, {_rel: graph.summary(type, parts[1])})};
+      }
+      if (method === 'PUT') {
+        _recordWrite(method, parts.join('/'), query);
+        return {status: 200, body: graph.setNode(type, parts[1], body)};
+      }
+      return {status: 405};
+    }
+
+    // /{type}/{rel}/{relType} - multi-id batch
+    // /{type}/{id}/{rel}/{relType}
+    if (parts.length === 3 || parts.length === 4) {
+      const nodeId = parts.length === 4 ? parts[1] : undefined;
+      const rel = parts[parts.length - 2];
+      const relType = parts[parts.length - 1];
+
+      if (method === 'GET') {
+        const node = nodeId !== undefined && graph.getNode(type, nodeId);
+        if (!node) {
+          return {status: 404};
+        }
+        return {status: 200, body: _page(type, node, graph.getRelated(type, nodeId, rel, relType), query)};
+      }
+
+      if (method === 'POST' || method === 'DELETE') {
+        const req = _relationshipBody(nodeId, body);
+        if (req.ids.length === 0 || req.subjects.some(subject => !subject || !subject.uuid)) {
+          return {status: 400, body: {message: 'ids and subjects with a uuid are required'}};
+        }
+        if (method === 'DELETE' && req.ids.some(id => graph.getNode(type, id) === undefined)) {
+          return {status: 404};
+        }
+
+        _recordWrite(method, parts.join('/'), query);
+        const results = [];
+        req.ids.forEach(id => {
+          req.subjects.forEach(subject => {
+            if (method === 'POST') {
+              const nodeProps = Object.assign({}, subject);
+              delete nodeProps._rel;
+              graph.addRelationship(type, id, rel, relType, subject.uuid, subject._rel, nodeProps);
+              results.push({id, uuid: subject.uuid});
+            } else {
+              graph.removeRelationship(type, id, rel, relType, subject.uuid);
+            }
+          });
+        });
+        return method === 'POST' ? {status: 200, body: results} : {status: 204};
+      }
+      return {status: 405};
+    }
+
+    // /{type}/{id}/{rel}/{relType}/{relId}
+    if (parts.length === 5 && method === 'GET') {
+      const item = graph.getRelationship(type, parts[1], parts[2], parts[3], parts[4]);
+      return item === undefined ? {status: 404} : {status: 200, body: item};
+    }
+
+    // scoped: /license/{id}/{relatedNode}/{relatedNodeId}/{relationship}/{relatedType}
+    // e.g. the licence members following a concept, or having an email digest preference
+    if (parts.length === 6 && method === 'GET') {
+      const node = graph.getNode(type, parts[1]);
+      if (node === undefined) {
+        return {status: 404};
+      }
+      const members = graph.getRelated(type, parts[1], 'member', parts[5])
+        .filter(member => graph.getRelationship(parts[5], member.uuid, parts[4], parts[2], parts[3]) !== undefined);
+      return {status: 200, body: _page(type, node, members, query)};
+    }
+
+    return {status: 404};
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const parsed = url.parse(req.url, true);
+      const parts = parsed.pathname.split('/').filter(part => part !== '');
+      const raw = Buffer.concat(chunks).toString();
+      let result;
+
+      if (opts.apiKey !== undefined && req.headers['x-api-key'] !== opts.apiKey) {
+        result = {status: 401};
+      } else if (['noEvent', 'waitForPurge'].some(param => parsed.query[param] !== undefined && ['true', 'false'].indexOf(parsed.query[param]) === -1)) {
+        result = {status: 400, body: {message: 'noEvent and waitForPurge must be true or false'}};
+      } else {
+        try {
+          result = parts.length === 0 ? {status: 404} : _route(req.method, parts, parsed.query, raw ? JSON.parse(raw) : undefined);
+        } catch (err) {
+          result = {status: err instanceof SyntaxError ? 400 : 500, body: {message: err.message}};
+        }
+      }
+
+      log.debug({operation: 'myFTServer.request', method: req.method, url: req.url, status: result.status});
+      res.writeHead(result.status, {'Content-Type': 'application/json'});
+      res.end(result.body === undefined ? '' : JSON.stringify(result.body));
+    });
+  });
+
+  /**
+   * Starts listening
+   * @param {Number} [port] - a random free port is used if not given
+   * @returns {Promise} url - the base url of the server
+   */
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port || 0, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stops listening
+   * @returns {Promise} closed -
+   */
+  function close() {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return {
+    graph,
+    events,
+    purges,
+    server,
+    listen,
+    close
+  };
+}
+
+if (require.main === module) {
+  const myFTServer = create({apiKey: process.env.MYFT_API_KEY});
+  myFTServer.listen(parseInt(process.env.PORT || 3001, 10))
+    .then(baseUrl => log.info({operation: 'myFTServer.listen', url: baseUrl}));
+}
+
+module.exports = {
+  create,
+  createGraph
+};
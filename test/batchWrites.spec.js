@@ -0,0 +1,252 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('myFT batched writes', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    BATCH_USER_COUNT: 2,
+    fetchOptions: {maxRetries: 0, retryDelay: 1}
+  };
+  const userIds = ['user-1', 'user-2', 'user-3', 'user-4', 'user-5'];
+  const concepts = [{uuid: 'concept-1'}];
+  let failing;
+  let transport;
+  let myFT;
+
+  const followCalls = () => transport.calls.filter(call => call.method === 'POST' && call.url.indexOf('/user/followed/concept') > -1);
+  const idsOf = (call) => JSON.parse(call.body).ids;
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    // the chunks with any of these users fail
+    failing = ['user-3'];
+    transport = mockTransport.create(overrides);
+    transport.route('POST', overrides.MYFT_API_URL, /^\/user\/followed\/concept$/, req => [].concat(req.body.ids).some(id => failing.indexOf(id) > -1) ?
+      {status: 500} :
+      {status: 200, body: [].concat(req.body.ids).map(uuid => ({uuid}))});
+    myFT = proxies.createClients(Object.assign({transport}, overrides)).myFTClient;
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should list the ids which succeeded and failed', () => {
+    return myFT.addConceptsFollowedByUser(userIds, concepts)
+      .then(result => {
+        // still the array of the chunk responses
+        expect(result).to.be.an('array').with.lengthOf(3);
+        expect(result[1]).to.be.an.instanceof(clientErrors.InternalServerError);
+        expect(result.succeeded).to.deep.equal(['user-1', 'user-2', 'user-5']);
+        expect(result.failed).to.deep.equal(['user-3', 'user-4']);
+        expect(result.hasFailures).to.be.true;
+        expect(result.chunks.map(chunk => chunk.ids)).to.deep.equal([['user-1', 'user-2'], ['user-3', 'user-4'], ['user-5']]);
+        expect(result.failedChunks).to.have.lengthOf(1);
+        expect(result.failedChunks[0].chunk).to.equal(1);
+        expect(result.failedChunks[0].error).to.equal(result[1]);
+        expect(result.map(res => res)).to.not.have.property('succeeded');
+      });
+  });
+
+  it('Should retry the ids which failed only', () => {
+    return myFT.addConceptsFollowedByUser(userIds, concepts)
+      .then(result => {
+        failing = [];
+
+        return result.retryFailed();
+      })
+      .then(result => {
+        expect(result.hasFailures).to.be.false;
+        expect(result.succeeded).to.deep.equal(['user-3', 'user-4']);
+        expect(followCalls().map(idsOf)).to.deep.equal([['user-1', 'user-2'], ['user-3', 'user-4'], ['user-5'], ['user-3', 'user-4']]);
+        expect(JSON.parse(followCalls()[3].body).subjects[0].uuid).to.equal('concept-1');
+
+        return result.retryFailed();
+      })
+      .then(result => {
+        expect(result).to.have.lengthOf(0);
+        expect(followCalls()).to.have.lengthOf(4);
+      });
+  });
+
+  it('Should fail on any failed chunk when strict', () => {
+    return myFT.addConceptsFollowedByUser(userIds, concepts, undefined, {strict: true})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.BatchPartialFailureError);
+        expect(err.result.succeeded).to.deep.equal(['user-1', 'user-2', 'user-5']);
+        expect(err.result.failed).to.deep.equal(['user-3', 'user-4']);
+        failing = [];
+
+        return err.result.retryFailed();
+      })
+      .then(result => {
+        expect(result.succeeded).to.deep.equal(['user-3', 'user-4']);
+      });
+  });
+
+  it('Should be strict as per MYFT_BATCH_STRICT', () => {
+    myFT = proxies.createClients(Object.assign({transport, MYFT_BATCH_STRICT: true}, overrides)).myFTClient;
+
+    return myFT.addConceptsFollowedByUser(userIds, concepts)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.BatchPartialFailureError);
+
+        return myFT.addConceptsFollowedByUser(userIds, concepts, undefined, {strict: false});
+      })
+      .then(result => {
+        expect(result.failed).to.deep.equal(['user-3', 'user-4']);
+      });
+  });
+
+  it('Should fail when all the chunks fail', () => {
+    failing = userIds;
+
+    return myFT.addConceptsFollowedByUser(userIds, concepts)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.BatchPartialFailureError);
+        expect(err).to.be.an.instanceof(clientErrors.ClientError);
+        expect(err.result.failed).to.deep.equal(userIds);
+        expect(err.result.failedChunks.every(chunk => chunk.error instanceof clientErrors.InternalServerError)).to.be.true;
+      });
+  });
+
+  it('Should fail with the error of a single chunk', () => {
+    return myFT.addConceptsFollowedByUser('user-3', concepts)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.InternalServerError);
+        expect(err.result.failed).to.deep.equal(['user-3']);
+      });
+  });
+
+  describe('members', () => {
+    const memberCalls = (method) => transport.calls.filter(call => call.method === method && call.url.indexOf('/member/user') > -1);
+    const uuidsOf = (call) => JSON.parse(call.body).map(item => item.uuid);
+
+    beforeEach(() => {
+      transport.route('POST', overrides.MYFT_API_URL, /^\/(license|group)\/[^/]+\/member\/user$/, req => [].concat(req.body).some(item => failing.indexOf(item.uuid) > -1) ?
+        {status: 500} :
+        {status: 200, body: req.body});
+      transport.route('DELETE', overrides.MYFT_API_URL, /^\/(license|group)\/[^/]+\/member\/user$/, req => ({status: [].concat(req.body).some(item => failing.indexOf(item.uuid) > -1) ? 500 : 204}));
+      myFT = proxies.createClients(Object.assign({transport, MYFT_MEMBER_CHUNK_SIZE: 2, MYFT_MEMBER_CHUNK_CONCURRENCY: 2}, overrides)).myFTClient;
+    });
+
+    it('Should add the users in chunks', () => {
+      failing = [];
+
+      return myFT.addUsersToLicence('licence-1', userIds)
+        .then(result => {
+          expect(result.succeeded).to.deep.equal(userIds);
+          expect(result[0].map(item => item.uuid)).to.deep.equal(['user-1', 'user-2']);
+          expect(memberCalls('POST').map(uuidsOf)).to.deep.equal([['user-1', 'user-2'], ['user-3', 'user-4'], ['user-5']]);
+        });
+    });
+
+    it('Should not chunk the users below the chunk size', () => {
+      return myFT.removeUsersFromGroup('group-1', ['user-1', 'user-2'])
+        .then(res => {
+          expect(res.succeeded).to.deep.equal(['user-1', 'user-2']);
+          expect(res[0].status).to.equal(204);
+          expect(memberCalls('DELETE')).to.have.lengthOf(1);
+        });
+    });
+
+    it('Should give the writes below the chunk size a BatchResult too', () => {
+      return myFT.addUsersToGroup('group-1', ['user-3', 'user-4'], undefined, undefined, {strict: true})
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.InternalServerError);
+          expect(err.result.failed).to.deep.equal(['user-3', 'user-4']);
+          failing = [];
+
+          return err.result.retryFailed();
+        })
+        .then(result => {
+          expect(result.succeeded).to.deep.equal(['user-3', 'user-4']);
+          expect(result[0].map(item => item.uuid)).to.deep.equal(['user-3', 'user-4']);
+          expect(memberCalls('POST')).to.have.lengthOf(2);
+
+          return myFT.removeUsersFromLicence('licence-1', 'user-5');
+        })
+        .then(result => {
+          expect(result.succeeded).to.deep.equal(['user-5']);
+          // a single user is sent on its own
+          expect(JSON.parse(memberCalls('DELETE')[0].body)).to.deep.equal({uuid: 'user-5'});
+        });
+    });
+
+    it('Should list the users which couldn\'t be removed', () => {
+      return myFT.removeUsersFromGroup('group-1', userIds)
+        .then(result => {
+          expect(result.succeeded).to.deep.equal(['user-1', 'user-2', 'user-5']);
+          expect(result.failedChunks[0].ids).to.deep.equal(['user-3', 'user-4']);
+          expect(result.failedChunks[0].error).to.be.an.instanceof(clientErrors.InternalServerError);
+          failing = [];
+
+          return result.retryFailed();
+        })
+        .then(result => {
+          expect(result.succeeded).to.deep.equal(['user-3', 'user-4']);
+          expect(memberCalls('DELETE').map(uuidsOf)).to.deep.equal([['user-1', 'user-2'], ['user-3', 'user-4'], ['user-5'], ['user-3', 'user-4']]);
+        });
+    });
+
+    it('Should fail on any failed chunk when strict', () => {
+      return myFT.addUsersToGroup('group-1', userIds, undefined, undefined, {strict: true})
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.BatchPartialFailureError);
+          expect(err.result.failed).to.deep.equal(['user-3', 'user-4']);
+        });
+    });
+
+    it('Should leave the users of the failed chunks in the group', () => {
+      return myFT.leaveGroup('group-1', userIds, {keepFollows: true})
+        .then(result => {
+          expect(result.users.map(user => user.status)).to.deep.equal(['synchronisationIgnored', 'synchronisationIgnored', 'synchronisationFailed', 'synchronisationFailed', 'synchronisationIgnored']);
+          expect(result.users[2].error).to.be.an.instanceof(clientErrors.InternalServerError);
+          expect(result.summary.synchronisationFailed).to.equal(2);
+        });
+    });
+
+    it('Should report the users of the failed chunks when syncing a licence', () => {
+      transport.route('GET', 'http://als.mock', /^\/licences\/[^/]+\/seats$/, () => ({status: 200, body: {seats: [], allocatedSeatCount: 0}}));
+      transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, () => ({status: 200, body: {items: userIds.map(uuid => ({uuid})), total: userIds.length}}));
+      const licenceSync = proxies.createClients(Object.assign({transport, ALS_API_URL: 'http://als.mock', MYFT_MEMBER_CHUNK_SIZE: 2}, overrides)).licenceSync;
+
+      return licenceSync.sync('licence-1', {batchSize: 10})
+        .then(report => {
+          expect(report.removed).to.deep.equal(['user-1', 'user-2', 'user-5']);
+          expect(report.failed).to.have.lengthOf(1);
+          expect(report.failed[0].userIds).to.deep.equal(['user-3', 'user-4']);
+        });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+const responseCache = require('./../lib/helpers/cache');
+
+describe('Response cache', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    ALS_API_URL: 'http://als.mock',
+    USER_PROFILE_API_URL: 'http://user-profile.mock/users',
+    fetchOptions: {maxRetries: 0, retryDelay: 1},
+    cache: {enabled: true}
+  };
+  let transport;
+  let clients;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const callsTo = (path) => transport.calls.filter(call => call.url.indexOf(path) > -1);
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    transport = mockTransport.create(overrides);
+    clients = proxies.createClients(Object.assign({transport}, overrides));
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should be off unless enabled', () => {
+    clients = proxies.createClients(Object.assign({transport}, overrides, {cache: {enabled: false}}));
+
+    return clients.accessLicenceClient.getLicenceInfo(uuids.validLicence)
+      .then(() => clients.accessLicenceClient.getLicenceInfo(uuids.validLicence))
+      .then(() => {
+        expect(callsTo('/licences/')).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should answer the same lookups from the cache', () => {
+    return clients.accessLicenceClient.getLicenceInfo(uuids.validLicence)
+      .then(info => {
+        info.changed = true;
+
+        return clients.accessLicenceClient.getLicenceInfo(uuids.validLicence);
+      })
+      .then(info => {
+        expect(info.changed).to.be.undefined;
+        expect(callsTo('/licences/')).to.have.lengthOf(1);
+
+        return clients.accessLicenceClient.getLicenceInfo(uuids.invalidLicence);
+      })
+      .then(() => {
+        expect(callsTo('/licences/')).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should coalesce identical calls in flight', () => {
+    transport.route('GET', overrides.USER_PROFILE_API_URL, /^\/?$/, () => wait(20).then(() => ({status: 200, body: {items: [{id: uuids.validUser}]}})));
+
+    return Promise.all([
+      clients.userProfileClient.getUUID('someone@ft.com'),
+      clients.userProfileClient.getUUID('someone@ft.com'),
+      clients.userProfileClient.getUUID('someone.else@ft.com')
+    ])
+      .then(results => {
+        expect(results[0]).to.deep.equal({id: uuids.validUser});
+        expect(results[1]).to.deep.equal(results[0]);
+        expect(results[1]).to.not.equal(results[0]);
+        expect(transport.calls).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should not coalesce the calls which can be cancelled', () => {
+    transport.route('GET', overrides.USER_PROFILE_API_URL, /^\/?$/, () => wait(30).then(() => ({status: 200, body: {items: [{id: uuids.validUser}]}})));
+
+    return Promise.all([
+      clients.userProfileClient.getUUID('someone@ft.com', {timeout: 5}).then(() => {
+        throw new Error('Nothing thrown');
+      }, err => err),
+      clients.userProfileClient.getUUID('someone@ft.com')
+    ])
+      .then(results => {
+        expect(results[0]).to.be.an.instanceof(clientErrors.TimeoutError);
+        expect(results[1]).to.deep.equal({id: uuids.validUser});
+        expect(transport.calls).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should apply the per operation TTLs', () => {
+    clients = proxies.createClients(Object.assign({transport}, overrides, {cache: {enabled: true, ttls: {
+      'accessLicenceClient.getAdministrators': 20,
+      'accessLicenceClient.getLicenceInfo': 0
+    }}}));
+
+    return clients.accessLicenceClient.getAdministrators(uuids.validLicence)
+      .then(() => clients.accessLicenceClient.getAdministrators(uuids.validLicence))
+      .then(() => {
+        expect(callsTo('/administrators')).to.have.lengthOf(1);
+
+        return wait(30);
+      })
+      .then(() => clients.accessLicenceClient.getAdministrators(uuids.validLicence))
+      .then(() => clients.accessLicenceClient.getLicenceInfo(uuids.validLicence))
+      .then(() => clients.accessLicenceClient.getLicenceInfo(uuids.validLicence))
+      .then(() => {
+        expect(callsTo('/administrators')).to.have.lengthOf(2);
+        expect(transport.calls).to.have.lengthOf(4);
+      });
+  });
+
+  it('Should not cache the failures', () => {
+    let status = 404;
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/group$/, () => ({status, body: {items: []}}));
+
+    return clients.myFTClient.getGroupsForLicence(uuids.validLicence)
+      .catch(err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+        status = 200;
+
+        return clients.myFTClient.getGroupsForLicence(uuids.validLicence);
+      })
+      .then(groups => {
+        expect(groups).to.deep.equal([]);
+        expect(transport.calls).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should be invalidated by the matching myFT writes', () => {
+    const groupId = uuids.validLicence;
+    const membersCalls = () => callsTo(`/group/${groupId}/member/user`).filter(call => call.method === 'GET');
+
+    return clients.myFTClient.getUsersForGroup(groupId)
+      .then(() => clients.myFTClient.getUsersForGroup(groupId))
+      .then(() => {
+        expect(membersCalls()).to.have.lengthOf(1);
+
+        return clients.myFTClient.addUsersToGroup(groupId, [uuids.validUser], clients.myFTClient.relationshipProperties);
+      })
+      .then(() => clients.myFTClient.getUsersForGroup(groupId))
+      .then(() => {
+        expect(membersCalls()).to.have.lengthOf(2);
+
+        return clients.myFTClient.removeUsersFromGroup(groupId, uuids.validUser);
+      })
+      .then(res => {
+        expect(res[0].status).to.equal(204);
+
+        return clients.myFTClient.getUsersForGroup(groupId);
+      })
+      .then(() => {
+        expect(membersCalls()).to.have.lengthOf(3);
+      });
+  });
+
+  it('Should not be invalidated by a failed write', () => {
+    const groupId = uuids.validLicence;
+    transport.route('DELETE', overrides.MYFT_API_URL, /^\/group\/[^/]+\/member\/user$/, () => ({status: 500}));
+
+    return clients.myFTClient.getUsersForGroup(groupId)
+      .then(() => clients.myFTClient.removeUsersFromGroup(groupId, uuids.validUser))
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.status).to.equal(500);
+
+        return clients.myFTClient.getUsersForGroup(groupId);
+      })
+      .then(() => {
+        expect(transport.calls.filter(call => call.method === 'GET')).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should use the store given', () => {
+    const entries = {};
+    const store = {
+      get: key => entries[key] && entries[key].value,
+      set: (key, value, ttl) => {
+        entries[key] = {value, ttl};
+      },
+      delete: key => {
+        delete entries[key];
+      }
+    };
+    clients = proxies.createClients(Object.assign({transport}, overrides, {cache: {enabled: true, store, prefix: 'test:'}}));
+
+    return clients.userProfileClient.getUUID('someone@ft.com')
+      .then(() => clients.userProfileClient.getUUID('someone@ft.com'))
+      .then(() => {
+        expect(entries['test:userProfileClient.getUUID:someone@ft.com'].ttl).to.equal(3600000);
+        expect(transport.calls).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should carry on without a working store', () => {
+    const failing = () => Promise.reject(new Error('store down'));
+    const store = {get: failing, set: failing, delete: failing};
+    clients = proxies.createClients(Object.assign({transport}, overrides, {cache: {enabled: true, store}}));
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(licence => {
+        expect(licence).to.be.an('object');
+
+        return clients.myFTClient.updateLicence(uuids.validLicence, {name: 'new name'});
+      })
+      .then(() => clients.myFTClient.getLicence(uuids.validLicence))
+      .then(() => {
+        expect(transport.calls.filter(call => call.method === 'GET')).to.have.lengthOf(2);
+      });
+  });
+
+  describe('memory store', () => {
+    it('Should evict the least recently used entries', () => {
+      const store = responseCache.createMemoryStore({maxEntries: 2});
+
+      return store.set('a', 1, 1000)
+        .then(() => store.set('b', 2, 1000))
+        .then(() => store.get('a'))
+        .then(() => store.set('c', 3, 1000))
+        .then(() => Promise.all([store.get('a'), store.get('b'), store.get('c')]))
+        .then(values => {
+          expect(values).to.deep.equal([1, undefined, 3]);
+          expect(store.size()).to.equal(2);
+        });
+    });
+
+    it('Should expire the entries', () => {
+      const store = responseCache.createMemoryStore();
+
+      return store.set('a', {value: 1}, 10)
+        .then(() => wait(20))
+        .then(() => store.get('a'))
+        .then(value => {
+          expect(value).to.be.undefined;
+        });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('Timeouts and cancellation', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    ALS_API_URL: 'http://als.mock',
+    API_GATEWAY_HOST: 'http://gateway.mock',
+    DEFAULT_REDIRECT_URL: 'http://redirect.mock/',
+    fetchOptions: {maxRetries: 2, retryDelay: 1}
+  };
+  let transport;
+  let clients;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const slowly = (ms, res) => () => wait(ms).then(() => res);
+  // Node doesn't have AbortController (before v15), anything with the same interface will do
+  const createAbortController = () => {
+    let listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: (type, listener) => {
+        listeners = listeners.filter(item => item !== listener);
+      }
+    };
+    return {
+      signal,
+      abort: () => {
+        signal.aborted = true;
+        listeners.forEach(listener => listener());
+      },
+      listenerCount: () => listeners.length
+    };
+  };
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    transport = mockTransport.create(overrides);
+    clients = proxies.createClients(Object.assign({transport}, overrides));
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should time out a call as per its timeout', () => {
+    const started = Date.now();
+    transport.route('GET', overrides.ALS_API_URL, /^\/licences$/, slowly(200, {status: 200, body: {accessLicences: []}}));
+
+    return clients.accessLicenceClient.getLicences({userid: uuids.validUser}, {timeout: 20})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.TimeoutError);
+        expect(err.retryable).to.be.false;
+        expect(err.operation).to.equal('accessLicenceClient.getLicences');
+        expect(Date.now() - started).to.be.below(150);
+        expect(transport.calls).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should time out a call as per the client default', () => {
+    clients = proxies.createClients(Object.assign({transport, timeouts: {accessLicenceClient: 20}}, overrides));
+    transport.route('GET', overrides.ALS_API_URL, /^\/licences\/[^/]+\/seats$/, slowly(100, {status: 200, body: {seats: []}}));
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, slowly(50, {status: 200, body: {uuid: uuids.validLicence}}));
+
+    return Promise.all([
+      clients.accessLicenceClient.getSeats(uuids.validLicence).catch(err => err),
+      clients.myFTClient.getLicence(uuids.validLicence)
+    ])
+      .then(results => {
+        expect(results[0]).to.be.an.instanceof(clientErrors.TimeoutError);
+        expect(results[1].uuid).to.equal(uuids.validLicence);
+      });
+  });
+
+  it('Should cancel a call through its signal', () => {
+    const controller = createAbortController();
+    transport.route('GET', overrides.API_GATEWAY_HOST, /^\/authorize$/, slowly(200, {status: 200, body: {}}));
+    setTimeout(controller.abort, 10);
+
+    return clients.sessionClient.getAuthToken(uuids.validFTSessionSecure, undefined, undefined, {signal: controller.signal})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.AbortError);
+        expect(err.operation).to.equal('sessionClient.getAuthToken');
+        expect(controller.listenerCount()).to.equal(0);
+      });
+  });
+
+  it('Should not make the request of a call already cancelled', () => {
+    const controller = createAbortController();
+    controller.abort();
+
+    return clients.myFTClient.getLicence(uuids.validLicence, {signal: controller.signal})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.AbortError);
+        expect(transport.calls).to.have.lengthOf(0);
+      });
+  });
+
+  it('Should not retry once timed out', () => {
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, slowly(30, {status: 503}));
+
+    return clients.myFTClient.getLicence(uuids.validLicence, {timeout: 40})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.TimeoutError);
+        const callCount = transport.calls.length;
+
+        return wait(100)
+          .then(() => {
+            expect(transport.calls).to.have.lengthOf(callCount);
+          });
+      });
+  });
+
+  it('Should stop paginating once the call times out', () => {
+    const page = [];
+    for (let i = 0; i < 500; i++) {
+      page.push({uuid: `user-${i}`});
+    }
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, slowly(30, {status: 200, body: {items: page, total: 5000}}));
+
+    return clients.myFTClient.getUsersForLicence(uuids.validLicence, {timeout: 80})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.TimeoutError);
+        expect(transport.calls.length).to.be.within(2, 3);
+        const callCount = transport.calls.length;
+
+        return wait(100)
+          .then(() => {
+            expect(transport.calls).to.have.lengthOf(callCount);
+          });
+      });
+  });
+
+  it('Should stop paginating once the call is cancelled', () => {
+    const controller = createAbortController();
+    const page = [];
+    for (let i = 0; i < 500; i++) {
+      page.push({uuid: `user-${i}`});
+    }
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, () => {
+      // cancel while the first page is on its way
+      controller.abort();
+      return {status: 200, body: {items: page, total: 5000}};
+    });
+
+    return clients.myFTClient.getUsersForLicence(uuids.validLicence, {signal: controller.signal})
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.AbortError);
+        expect(transport.calls).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should pass the remaining time on to the fetch', () => {
+    const options = [];
+    const recordingTransport = (url, opt) => {
+      options.push(opt);
+      return transport(url, opt);
+    };
+    clients = proxies.createClients(Object.assign({transport: recordingTransport}, overrides));
+
+    return clients.myFTClient.getLicence(uuids.validLicence, {timeout: 1000})
+      .then(() => {
+        expect(options[0].timeout).to.be.within(1, 1000);
+        expect(options[0].method).to.equal('GET');
+      });
+  });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('Circuit breakers', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    ALS_API_URL: 'http://als.mock',
+    API_GATEWAY_HOST: 'http://gateway.mock',
+    fetchOptions: {maxRetries: 0, retryDelay: 1},
+    circuitBreaker: {failureThreshold: 2, resetTimeout: 50}
+  };
+  let transport;
+  let clients;
+
+  const callsTo = (baseUrl) => transport.calls.filter(call => call.url.indexOf(baseUrl) === 0);
+  const failLicenceGets = () => transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, () => ({status: 503}));
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    transport = mockTransport.create(overrides);
+    clients = proxies.createClients(Object.assign({transport}, overrides));
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should open after consecutive failures and fail fast', () => {
+    failLicenceGets();
+    const getLicence = () => clients.myFTClient.getLicence(uuids.validLicence).catch(err => err);
+
+    return getLicence()
+      .then(getLicence)
+      .then(getLicence)
+      .then(err => {
+        expect(err).to.be.an.instanceof(clientErrors.CircuitOpenError);
+        expect(err.upstream).to.equal('myFT');
+        expect(err.retryable).to.be.false;
+        expect(err.retryAfter).to.be.within(0, 50);
+        expect(callsTo(overrides.MYFT_API_URL)).to.have.lengthOf(2);
+
+        const states = clients.circuitBreakers.states();
+        expect(states.myFT.state).to.equal('open');
+        expect(states.myFT.failures).to.equal(2);
+        expect(states.accessLicence.state).to.equal('closed');
+      });
+  });
+
+  it('Should not count client errors as failures', () => {
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, () => ({status: 404}));
+    const getLicence = () => clients.myFTClient.getLicence(uuids.validLicence).catch(err => err);
+
+    return getLicence()
+      .then(getLicence)
+      .then(getLicence)
+      .then(err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('closed');
+      });
+  });
+
+  it('Should stop the retries once open', () => {
+    clients = proxies.createClients(Object.assign({transport}, overrides, {fetchOptions: {maxRetries: 5, retryDelay: 1}}));
+    failLicenceGets();
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.CircuitOpenError);
+        expect(callsTo(overrides.MYFT_API_URL)).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should close again after a successful trial request', () => {
+    let failing = true;
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, () => failing ? {status: 500} : {status: 200, body: {uuid: uuids.validLicence}});
+    const getLicence = () => clients.myFTClient.getLicence(uuids.validLicence).catch(err => err);
+
+    return getLicence()
+      .then(getLicence)
+      .then(() => {
+        failing = false;
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('open');
+
+        return wait(60);
+      })
+      .then(() => {
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('half-open');
+
+        return getLicence();
+      })
+      .then(licence => {
+        expect(licence.uuid).to.equal(uuids.validLicence);
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('closed');
+      });
+  });
+
+  it('Should open again if the trial request fails', () => {
+    failLicenceGets();
+    const getLicence = () => clients.myFTClient.getLicence(uuids.validLicence).catch(err => err);
+
+    return getLicence()
+      .then(getLicence)
+      .then(() => wait(60))
+      .then(getLicence)
+      .then(err => {
+        expect(err).to.be.an.instanceof(clientErrors.ServiceUnavailableError);
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('open');
+        expect(callsTo(overrides.MYFT_API_URL)).to.have.lengthOf(3);
+      });
+  });
+
+  it('Should share a breaker between the clients of the same upstream', () => {
+    transport.route('GET', overrides.API_GATEWAY_HOST, /^\/sessions\/[^/]+$/, () => ({status: 502}));
+    const verify = () => clients.sessionClient.verify('session-key').catch(err => err);
+
+    return verify()
+      .then(verify)
+      .then(() => clients.licenceDataClient.getAdminUserList(uuids.validLicence, 'token').catch(err => err))
+      .then(err => {
+        expect(err).to.be.an.instanceof(clientErrors.CircuitOpenError);
+        expect(err.upstream).to.equal('apiGateway');
+
+        return clients.accessLicenceClient.getSeats(uuids.validLicence);
+      })
+      .then(seats => {
+        expect(seats).to.be.an('array');
+      });
+  });
+
+  it('Should report the upstreams not called yet as closed', () => {
+    const circuitBreaker = require('./../lib/helpers/circuitBreaker');
+    const states = circuitBreaker.createRegistry(overrides.circuitBreaker).states();
+
+    expect(Object.keys(states)).to.have.members(['myFT', 'accessLicence', 'acquisitionContext', 'userProfile', 'apiGateway', 'elasticSearch', 'facets']);
+    Object.keys(states).forEach(upstream => {
+      expect(states[upstream].state).to.equal('closed');
+      expect(states[upstream].failures).to.equal(0);
+    });
+    expect(Object.keys(clients.circuitBreakers.states())).to.include.members(circuitBreaker.UPSTREAMS);
+  });
+
+  it('Should not share breakers between independently created clients', () => {
+    failLicenceGets();
+    const others = proxies.createClients(Object.assign({transport}, overrides));
+    const getLicence = () => clients.myFTClient.getLicence(uuids.validLicence).catch(err => err);
+
+    return getLicence()
+      .then(getLicence)
+      .then(() => {
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('open');
+        expect(others.circuitBreakers.states().myFT.state).to.equal('closed');
+
+        clients.circuitBreakers.reset();
+        expect(clients.circuitBreakers.states().myFT.state).to.equal('closed');
+      });
+  });
+});
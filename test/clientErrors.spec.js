@@ -309,5 +309,189 @@ describe('Status Error Parser', () => {
           .catch(done);
       });
     });
+
+    describe('parseResponse', () => {
+      it('Should add the request and response details to the error', done => {
+        nock(baseUrl)
+          .get('/badRequestDetails')
+          .reply(400, () => ({message: 'invalid uuid'}));
+
+        fetch(`${baseUrl}/badRequestDetails`, fetchOpt)
+          .then(res => clientErrors.parseResponse(res, undefined, {operation: 'test.badRequest', method: 'GET'}))
+          .then(() => {
+            done(new Error('Should have thrown an exception'));
+          })
+          .catch(err => {
+            expect(err).to.be.an.instanceof(clientErrors.BadRequestError);
+            expect(err.status).to.equal(400);
+            expect(err.url).to.equal(`${baseUrl}/badRequestDetails`);
+            expect(err.method).to.equal('GET');
+            expect(err.operation).to.equal('test.badRequest');
+            expect(err.body).to.deep.equal({message: 'invalid uuid'});
+            expect(err.retryable).to.be.false;
+
+            done();
+          })
+          .catch(done);
+      });
+
+      it('Should keep a capped text body and flag retryable statuses', done => {
+        const longText = new Array(5000).join('x');
+        nock(baseUrl)
+          .get('/unavailableDetails')
+          .reply(503, () => longText);
+
+        let response;
+        fetch(`${baseUrl}/unavailableDetails`, fetchOpt)
+          .then(res => {
+            response = res;
+            return clientErrors.parseResponse(res);
+          })
+          .then(() => {
+            done(new Error('Should have thrown an exception'));
+          })
+          .catch(err => {
+            expect(err).to.be.an.instanceof(clientErrors.ServiceUnavailableError);
+            expect(err.body).to.be.a('string');
+            expect(err.body.length).to.equal(4096);
+            expect(err.retryable).to.be.true;
+            expect(response.bodyUsed).to.be.true;
+
+            done();
+          })
+          .catch(done);
+      });
+
+      it('Should resolve with the response when ok', done => {
+        nock(baseUrl)
+          .get('/okDetails')
+          .reply(200, () => ({}));
+
+        fetch(`${baseUrl}/okDetails`, fetchOpt)
+          .then(res => clientErrors.parseResponse(res).then(parsed => {
+            expect(parsed).to.equal(res);
+            expect(res.bodyUsed).to.be.false;
+
+            done();
+          }))
+          .catch(done);
+      });
+    });
+
+    [
+      {status: 403, errorClass: 'ForbiddenError'},
+      {status: 409, errorClass: 'ConflictError'},
+      {status: 422, errorClass: 'UnprocessableEntityError'},
+      {status: 504, errorClass: 'GatewayTimeoutError'}
+    ].forEach(test => {
+      describe(test.errorClass, () => {
+        it(`Should throw an ${test.errorClass}`, done => {
+          nock(baseUrl)
+            .get(`/status${test.status}`)
+            .reply(test.status, () => null);
+
+          fetch(`${baseUrl}/status${test.status}`, fetchOpt)
+            .then(res => {
+              clientErrors.parse(res);
+
+              done(new Error('Should have thrown an exception'));
+            })
+            .catch(err => {
+              expect(err).to.be.an.instanceof(clientErrors[test.errorClass]);
+              expect(err).to.be.an.instanceof(clientErrors.StatusError);
+              expect(err.status).to.equal(test.status);
+
+              done();
+            })
+            .catch(done);
+        });
+      });
+    });
+
+    describe('TooManyRequestsError', () => {
+      it('Should throw a TooManyRequestsError with the Retry-After in milliseconds', done => {
+        nock(baseUrl)
+          .get('/tooManyRequests')
+          .reply(429, () => null, {'Retry-After': '120'});
+
+        fetch(`${baseUrl}/tooManyRequests`, fetchOpt)
+          .then(res => {
+            clientErrors.parse(res);
+
+            done(new Error('Should have thrown an exception'));
+          })
+          .catch(err => {
+            expect(err).to.be.an.instanceof(clientErrors.TooManyRequestsError);
+            expect(err.retryAfter).to.equal(120000);
+            expect(err.retryable).to.be.true;
+
+            done();
+          })
+          .catch(done);
+      });
+
+      it('Should parse a Retry-After date', done => {
+        nock(baseUrl)
+          .get('/tooManyRequestsDate')
+          .reply(429, () => null, {'Retry-After': new Date(Date.now() + 60000).toUTCString()});
+
+        fetch(`${baseUrl}/tooManyRequestsDate`, fetchOpt)
+          .then(res => {
+            clientErrors.parse(res);
+
+            done(new Error('Should have thrown an exception'));
+          })
+          .catch(err => {
+            expect(err.retryAfter).to.be.within(55000, 60000);
+
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe('fromFetchError', () => {
+      it('Should turn network errors into TimeoutError and ConnectionError', () => {
+        const timeout = Object.assign(new Error('network timeout'), {type: 'request-timeout'});
+        const refused = Object.assign(new Error('connect ECONNREFUSED'), {type: 'system', code: 'ECONNREFUSED'});
+        const details = {url: baseUrl, method: 'POST'};
+
+        const timeoutError = clientErrors.fromFetchError(timeout, details);
+        const connectionError = clientErrors.fromFetchError(refused, details);
+
+        expect(timeoutError).to.be.an.instanceof(clientErrors.TimeoutError);
+        expect(timeoutError.cause).to.equal(timeout);
+        expect(timeoutError.method).to.equal('POST');
+        expect(connectionError).to.be.an.instanceof(clientErrors.ConnectionError);
+        expect(connectionError.retryable).to.be.true;
+      });
+
+      it('Should leave other errors alone', () => {
+        const err = new TypeError('oops');
+
+        expect(clientErrors.fromFetchError(err)).to.equal(err);
+      });
+
+      it('Should not retry a conflict', done => {
+        const clients = proxies.createClients({MYFT_API_URL: 'http://myft-conflict.example.com', fetchOptions: {maxRetries: 1, retryDelay: 1}});
+        const scope = nock('http://myft-conflict.example.com')
+          .post('/license')
+          .reply(409, () => null);
+
+        clients.myFTClient.addLicence(uuids.validLicence)
+          .then(() => {
+            done(new Error('Should have thrown an exception'));
+          })
+          .catch(err => {
+            expect(err).to.be.an.instanceof(clientErrors.ConflictError);
+            expect(err.method).to.equal('POST');
+            expect(err.url).to.equal('http://myft-conflict.example.com/license');
+            expect(scope.isDone()).to.be.true;
+
+            done();
+          })
+          .catch(done);
+      });
+    });
   }
 });
@@ -0,0 +1,73 @@
+'use strict';
+
+const proxies = require('./../index');
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const nock = require('nock');
+const logger = require('@financial-times/n-logger').default;
+const config = require('./../lib/helpers/config');
+
+describe('createClients', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const envA = {MYFT_API_URL: 'http://myft-a.example.com', MYFT_API_KEY: 'key-a', FT_TOOL_ID: 'toolA'};
+  const envB = {MYFT_API_URL: 'http://myft-b.example.com', MYFT_API_KEY: 'key-b', FT_TOOL_ID: 'toolB', fetchOptions: {maxRetries: 1}};
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  after(done => {
+    nock.cleanAll();
+
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should keep the module exports as the default instances', () => {
+    expect(proxies.myFTClient.create).to.be.a('function');
+    expect(proxies.myFTClient.relationshipProperties.byTool).to.equal(config.FT_TOOL_ID);
+    expect(proxies.accessLicenceClient.getLicences).to.be.a('function');
+  });
+
+  it('Should create independently configured clients', () => {
+    const clientsA = proxies.createClients(envA);
+    const clientsB = proxies.createClients(envB);
+
+    expect(clientsA.myFTClient).to.not.equal(clientsB.myFTClient);
+    expect(clientsA.myFTClient.relationshipProperties.byTool).to.equal('toolA');
+    expect(clientsB.myFTClient.relationshipProperties.byTool).to.equal('toolB');
+    expect(clientsB.config.fetchOptions.maxRetries).to.equal(1);
+    expect(clientsB.config.fetchOptions.headers).to.deep.equal(config.fetchOptions.headers);
+    expect(config.MYFT_API_URL).to.not.equal(envA.MYFT_API_URL);
+  });
+
+  it('Should send the requests of each instance to its own environment', done => {
+    const clientsA = proxies.createClients(envA);
+    const clientsB = proxies.createClients(envB);
+
+    const scopeA = nock(envA.MYFT_API_URL, {reqheaders: {'X-API-KEY': 'key-a'}})
+      .get(`/license/${uuids.validLicence}`)
+      .reply(200, () => ({uuid: 'a'}));
+    const scopeB = nock(envB.MYFT_API_URL, {reqheaders: {'X-API-KEY': 'key-b'}})
+      .get(`/license/${uuids.validLicence}`)
+      .reply(200, () => ({uuid: 'b'}));
+
+    Promise.all([clientsA.myFTClient.getLicence(uuids.validLicence), clientsB.myFTClient.getLicence(uuids.validLicence)])
+      .then(results => {
+        expect(results[0].uuid).to.equal('a');
+        expect(results[1].uuid).to.equal('b');
+        expect(scopeA.isDone()).to.be.true;
+        expect(scopeB.isDone()).to.be.true;
+
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,510 @@
+'use strict';
+
+const proxies = require('./../index');
+const kinesisEvents = proxies.kinesisEvents;
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('kinesisClient', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    FT_TOOL_ID: 'kinesisTool',
+    FT_TOOL_ADMIN_ID: 'kinesisAdmin',
+    DONT_WRITE_TO_KINESIS: false,
+    fetchOptions: {maxRetries: 0, retryDelay: 1}
+  };
+  const concepts = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+  let kinesis;
+  let client;
+
+  const records = () => kinesis.putRecords.args.reduce((all, args) => all.concat(args[0].Records), []);
+  const envelopes = () => records().map(record => JSON.parse(record.Data));
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    kinesis = {
+      putRecords: sinon.stub().callsFake(params => ({promise: () => Promise.resolve({FailedRecordCount: 0, Records: params.Records.map(() => ({}))})}))
+    };
+    client = proxies.createClients(Object.assign({kinesis}, overrides)).kinesisClient;
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  describe('write', () => {
+
+    it('Should write an envelope per user', () => {
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts)
+        .then(() => {
+          const written = envelopes();
+          expect(written).to.have.lengthOf(2);
+          expect(written[0]).to.include.keys(['id', 'version', 'event', 'uuid', 'eventData', 'timestamp', 'source', 'actor', 'correlationId']);
+          expect(written.map(envelope => envelope.uuid)).to.deep.equal(['user-1', 'user-2']);
+          expect(written[0].version).to.equal(kinesisEvents.SCHEMA_VERSION);
+          expect(written[0].event).to.equal('subscribe');
+          expect(written[0].eventData).to.deep.equal(concepts);
+          expect(written[0].source).to.equal('kinesisTool');
+          expect(written[0].actor).to.equal('kinesisAdmin');
+          expect(written[0].id).to.not.equal(written[1].id);
+          // the records of a write share their correlation id
+          expect(written[0].correlationId).to.equal(written[1].correlationId);
+        });
+    });
+
+    it('Should use the correlation id given', () => {
+      return client.write(['user-1'], 'membership-added', {licence: 'licence-1', group: 'group-1'}, {correlationId: 'request-1'})
+        .then(() => {
+          expect(envelopes()[0].correlationId).to.equal('request-1');
+        });
+    });
+
+    it('Should not write an invalid event', () => {
+      return client.write(['user-1'], 'subscribe', [{id: 'concept-1'}])
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.EventValidationError);
+          expect(err.event).to.equal('subscribe');
+          expect(err.errors).to.deep.equal(['eventData[0] must be a concept with a uuid']);
+          expect(kinesis.putRecords.called).to.be.false;
+        });
+    });
+
+    it('Should not write an unknown event', () => {
+      return client.write(['user-1'], 'subscribed', concepts)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.EventValidationError);
+          expect(kinesis.putRecords.called).to.be.false;
+        });
+    });
+  });
+
+  describe('delivery', () => {
+    // the records of these users fail, as many times as given
+    let failures;
+
+    beforeEach(() => {
+      failures = {};
+      kinesis.putRecords = sinon.stub().callsFake(params => ({promise: () => Promise.resolve({
+        FailedRecordCount: params.Records.filter(record => failures[record.PartitionKey] > 0).length,
+        Records: params.Records.map((record, i) => {
+          if (failures[record.PartitionKey] > 0) {
+            failures[record.PartitionKey]--;
+            return {ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Rate exceeded for shard'};
+          }
+          return {ShardId: 'shardId-000000000000', SequenceNumber: `${i}`};
+        })
+      })}));
+      client = proxies.createClients(Object.assign({kinesis}, overrides, {fetchOptions: {maxRetries: 2, retryDelay: 1}})).kinesisClient;
+    });
+
+    it('Should retry the records which failed only', () => {
+      failures = {'user-2': 2};
+
+      return client.write(['user-1', 'user-2', 'user-3'], 'subscribe', concepts)
+        .then(result => {
+          expect(kinesis.putRecords.callCount).to.equal(3);
+          expect(kinesis.putRecords.args.map(args => args[0].Records.map(record => record.PartitionKey))).to.deep.equal([
+            ['user-1', 'user-2', 'user-3'],
+            ['user-2'],
+            ['user-2']
+          ]);
+          expect(result.delivered.map(record => record.uuid)).to.have.members(['user-1', 'user-2', 'user-3']);
+          expect(result.delivered[0]).to.include.keys(['uuid', 'id', 'partitionKey', 'shardId', 'sequenceNumber']);
+          expect(result.undelivered).to.deep.equal([]);
+        });
+    });
+
+    it('Should send the records with the partition key of one which failed again, in order', () => {
+      const sent = () => kinesis.putRecords.args.map(args => args[0].Records.map(record => JSON.parse(record.Data).uuid));
+      failures = {'licence-1': 1};
+      const partitionKey = envelope => envelope.uuid === 'user-3' ? 'licence-2' : 'licence-1';
+
+      return client.write(['user-1', 'user-2', 'user-3'], 'subscribe', concepts, {partitionKey})
+        .then(result => {
+          // user-2 was put, but lands again behind user-1
+          expect(sent()).to.deep.equal([
+            ['user-1', 'user-2', 'user-3'],
+            ['user-1', 'user-2']
+          ]);
+          expect(result.delivered.map(record => [record.uuid, record.sequenceNumber])).to.have.deep.members([
+            ['user-1', '0'], ['user-2', '1'], ['user-3', '2']
+          ]);
+          expect(result.undelivered).to.deep.equal([]);
+        });
+    });
+
+    it('Should send the chunks one after the other', () => {
+      const sent = () => kinesis.putRecords.args.map(args => args[0].Records.map(record => JSON.parse(record.Data).uuid));
+      failures = {'licence-1': 1};
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_CHUNK_SIZE: 2}, overrides, {fetchOptions: {maxRetries: 2, retryDelay: 1}})).kinesisClient;
+
+      return client.write(['user-1', 'user-2', 'user-3', 'user-4'], 'subscribe', concepts, {partitionKey: 'licence', licenceId: 'licence-1'})
+        .then(result => {
+          // the second chunk waits for the first one to be delivered
+          expect(sent()).to.deep.equal([
+            ['user-1', 'user-2'],
+            ['user-1', 'user-2'],
+            ['user-3', 'user-4']
+          ]);
+          expect(result.delivered).to.have.lengthOf(4);
+        });
+    });
+
+    it('Should list the records not delivered once retried', () => {
+      failures = {'user-2': 5};
+
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts)
+        .then(result => {
+          expect(kinesis.putRecords.callCount).to.equal(3);
+          expect(result.delivered.map(record => record.uuid)).to.deep.equal(['user-1']);
+          expect(result.undelivered).to.have.lengthOf(1);
+          expect(result.undelivered[0].uuid).to.equal('user-2');
+          expect(result.undelivered[0].errorCode).to.equal('ProvisionedThroughputExceededException');
+          expect(result.undelivered[0].errorMessage).to.equal('Rate exceeded for shard');
+        });
+    });
+
+    it('Should list the records of a failed request', () => {
+      const error = Object.assign(new Error('The security token included in the request is invalid'), {code: 'UnrecognizedClientException', retryable: false});
+      kinesis.putRecords = sinon.stub().returns({promise: () => Promise.reject(error)});
+
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts)
+        .then(result => {
+          // not worth a retry
+          expect(kinesis.putRecords.callCount).to.equal(1);
+          expect(result.delivered).to.deep.equal([]);
+          expect(result.undelivered.map(record => [record.uuid, record.errorCode])).to.deep.equal([
+            ['user-1', 'UnrecognizedClientException'],
+            ['user-2', 'UnrecognizedClientException']
+          ]);
+        });
+    });
+
+    it('Should fail when strict and some records weren\'t delivered', () => {
+      failures = {'user-2': 5};
+
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts, {strict: true})
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.KinesisDeliveryError);
+          expect(err.result.delivered.map(record => record.uuid)).to.deep.equal(['user-1']);
+          expect(err.result.undelivered.map(record => record.uuid)).to.deep.equal(['user-2']);
+        });
+    });
+
+    it('Should be strict as per KINESIS_STRICT', () => {
+      failures = {'user-1': 5};
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_STRICT: true}, overrides)).kinesisClient;
+
+      return client.write(['user-1'], 'subscribe', concepts)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.KinesisDeliveryError);
+        });
+    });
+  });
+
+  describe('partition keys', () => {
+    const keys = () => records().map(record => record.PartitionKey);
+
+    it('Should partition the events by user by default', () => {
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts)
+        .then(() => client.write(['user-1'], 'unsubscribe', concepts))
+        .then(() => {
+          expect(keys()).to.deep.equal(['user-1', 'user-2', 'user-1']);
+        });
+    });
+
+    it('Should partition the events by licence', () => {
+      return client.write(['user-1', 'user-2'], 'subscribe', concepts, {partitionKey: 'licence', licenceId: 'licence-1'})
+        .then(() => client.write(['user-3'], 'membership-added', {licence: 'licence-2'}, {partitionKey: 'licence'}))
+        .then(() => {
+          expect(keys()).to.deep.equal(['licence-1', 'licence-1', 'licence-2']);
+        });
+    });
+
+    it('Should partition the events as per KINESIS_PARTITION_KEY', () => {
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_PARTITION_KEY: 'random'}, overrides)).kinesisClient;
+
+      return client.write(['user-1'], 'subscribe', concepts)
+        .then(() => {
+          expect(keys()[0]).to.match(/^kat-\d+$/);
+        });
+    });
+
+    it('Should partition the events with the function given', () => {
+      const partitionKey = (envelope, options) => `${options.prefix}-${envelope.event}-${envelope.uuid}`;
+
+      return client.write(['user-1'], 'subscribe', concepts, {partitionKey, prefix: 'myft'})
+        .then(() => {
+          expect(keys()).to.deep.equal(['myft-subscribe-user-1']);
+        });
+    });
+
+    it('Should not write without a partition key', () => {
+      return client.write(['user-1'], 'subscribe', concepts, {partitionKey: 'group'})
+        .catch(err => {
+          expect(err.message).to.contain('Unknown partition key strategy group');
+
+          return client.write(['user-1'], 'subscribe', concepts, {partitionKey: () => undefined});
+        })
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err.message).to.contain('must be a non empty string');
+          expect(kinesis.putRecords.called).to.be.false;
+        });
+    });
+  });
+
+  describe('size', () => {
+    // a digest preference of about 400KB, well compressed
+    const largeDigest = {type: 'daily', note: 'x'.repeat(400 * 1024)};
+    const userIds = ['user-1', 'user-2', 'user-3', 'user-4', 'user-5', 'user-6', 'user-7', 'user-8', 'user-9', 'user-10', 'user-11', 'user-12', 'user-13', 'user-14'];
+    const requestBytes = (args) => args[0].Records.reduce((bytes, record) => bytes + Buffer.byteLength(record.Data) + Buffer.byteLength(record.PartitionKey), 0);
+
+    it('Should keep the requests under the Kinesis limits', () => {
+      return client.write(userIds, 'digest-changed', largeDigest)
+        .then(result => {
+          expect(result.delivered).to.have.lengthOf(userIds.length);
+          expect(kinesis.putRecords.callCount).to.equal(2);
+          expect(kinesis.putRecords.args.every(args => requestBytes(args) <= proxies.kinesisClient.LIMITS.requestBytes)).to.be.true;
+          expect(envelopes().map(envelope => envelope.uuid)).to.deep.equal(userIds);
+
+          kinesis.putRecords.reset();
+          client = proxies.createClients(Object.assign({kinesis, KINESIS_CHUNK_SIZE: 1000}, overrides)).kinesisClient;
+          return client.write(Array.from({length: 501}, (item, i) => `user-${i}`), 'subscribe', concepts);
+        })
+        .then(() => {
+          expect(kinesis.putRecords.args.map(args => args[0].Records.length)).to.deep.equal([500, 1]);
+        });
+    });
+
+    it('Should compress the large payloads', () => {
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_COMPRESS_ABOVE: 100 * 1024}, overrides)).kinesisClient;
+
+      return client.write(userIds, 'digest-changed', largeDigest)
+        .then(() => {
+          expect(kinesis.putRecords.callCount).to.equal(1);
+          expect(envelopes()[0].compression).to.equal(kinesisEvents.COMPRESSION);
+          expect(typeof envelopes()[0].eventData).to.equal('string');
+
+          const envelope = kinesisEvents.decode(records()[0].Data, {validate: true});
+          expect(envelope.eventData).to.deep.equal(largeDigest);
+          expect(envelope).to.not.have.property('compression');
+
+          return client.write(['user-1'], 'subscribe', concepts);
+        })
+        .then(() => {
+          expect(envelopes()[userIds.length]).to.not.have.property('compression');
+          expect(envelopes()[userIds.length].eventData).to.deep.equal(concepts);
+        });
+    });
+
+    it('Should fail, writing nothing, when a record can\'t fit', () => {
+      // random, so it can't be compressed under the limit
+      const digest = {type: 'daily', note: require('crypto').randomBytes(1024 * 1024).toString('base64')};
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_COMPRESS_ABOVE: 100 * 1024}, overrides)).kinesisClient;
+
+      return client.write(['user-1', 'user-2'], 'digest-changed', digest)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.KinesisRecordTooLargeError);
+          expect(err.retryable).to.be.false;
+          expect(err.uuid).to.equal('user-1');
+          expect(err.size).to.be.above(proxies.kinesisClient.LIMITS.recordBytes);
+          expect(err.limit).to.equal(proxies.kinesisClient.LIMITS.recordBytes);
+          expect(kinesis.putRecords.called).to.be.false;
+        });
+    });
+  });
+
+  describe('aggregation', () => {
+    const userIds = ['user-1', 'user-2', 'user-3', 'user-4'];
+
+    it('Should write the events with the same partition key in a record', () => {
+      return client.write(userIds, 'subscribe', concepts, {aggregate: true, partitionKey: 'licence', licenceId: 'licence-1', correlationId: 'request-1'})
+        .then(result => {
+          expect(records()).to.have.lengthOf(1);
+          expect(records()[0].PartitionKey).to.equal('licence-1');
+          const aggregate = envelopes()[0];
+          expect(aggregate.aggregation).to.equal(kinesisEvents.AGGREGATION);
+          expect(aggregate.events.map(item => item.uuid)).to.deep.equal(userIds);
+          expect(aggregate.eventData).to.deep.equal(concepts);
+
+          expect(result.delivered.map(item => item.uuid)).to.deep.equal(userIds);
+          expect(result.delivered.every(item => item.aggregateId === aggregate.id)).to.be.true;
+          expect(result.delivered.map(item => item.id)).to.deep.equal(aggregate.events.map(item => item.id));
+
+          const userEnvelopes = kinesisEvents.deaggregate([{kinesis: {data: Buffer.from(records()[0].Data).toString('base64')}}], {validate: true});
+          expect(userEnvelopes.map(envelope => envelope.uuid)).to.deep.equal(userIds);
+          expect(userEnvelopes[1]).to.deep.equal({
+            id: aggregate.events[1].id,
+            version: kinesisEvents.SCHEMA_VERSION,
+            event: 'subscribe',
+            uuid: 'user-2',
+            eventData: concepts,
+            timestamp: aggregate.timestamp,
+            source: 'kinesisTool',
+            actor: 'kinesisAdmin',
+            correlationId: 'request-1'
+          });
+        });
+    });
+
+    it('Should write the event data of each user, aggregating the users who have the same', () => {
+      const both = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+      const second = [{uuid: 'concept-2'}];
+      const eventData = (uuid, index) => index === 2 ? second : both;
+
+      return client.write(userIds, 'subscribe', eventData, {partitionKey: 'licence', licenceId: 'licence-1'})
+        .then(() => {
+          expect(envelopes().map(envelope => [envelope.uuid, envelope.eventData])).to.deep.equal([
+            ['user-1', both], ['user-2', both], ['user-3', second], ['user-4', both]
+          ]);
+          kinesis.putRecords.resetHistory();
+
+          return client.write(userIds, 'subscribe', eventData, {aggregate: true, partitionKey: 'licence', licenceId: 'licence-1'});
+        })
+        .then(result => {
+          // in order, within the partition key
+          expect(envelopes().map(aggregate => [aggregate.events.map(item => item.uuid), aggregate.eventData])).to.deep.equal([
+            [['user-1', 'user-2'], both],
+            [['user-3'], second],
+            [['user-4'], both]
+          ]);
+          expect(result.delivered).to.have.lengthOf(4);
+        });
+    });
+
+    it('Should validate the event data of each user', () => {
+      return client.write(userIds, 'subscribe', uuid => uuid === 'user-4' ? [{id: 'concept-1'}] : concepts)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.EventValidationError);
+          expect(kinesis.putRecords.called).to.be.false;
+        });
+    });
+
+    it('Should aggregate as per KINESIS_AGGREGATE, a record per partition key', () => {
+      client = proxies.createClients(Object.assign({kinesis, KINESIS_AGGREGATE: true}, overrides)).kinesisClient;
+
+      return client.write(userIds, 'subscribe', concepts, {partitionKey: envelope => envelope.uuid === 'user-3' ? 'odd' : 'even'})
+        .then(() => {
+          expect(records().map(record => record.PartitionKey)).to.deep.equal(['even', 'odd']);
+          expect(envelopes()[0].events.map(item => item.uuid)).to.deep.equal(['user-1', 'user-2', 'user-4']);
+
+          return client.write(['user-5'], 'subscribe', concepts, {aggregate: false});
+        })
+        .then(() => {
+          expect(envelopes()[2]).to.not.have.property('aggregation');
+          expect(kinesisEvents.deaggregate(records().map(record => record.Data)).map(envelope => envelope.uuid)).to.deep.equal(['user-1', 'user-2', 'user-4', 'user-3', 'user-5']);
+        });
+    });
+
+    it('Should split the aggregates over the record limit', () => {
+      // a digest preference of about 900KB, with the events of 3000 users over the record limit
+      const largeDigest = {type: 'daily', note: 'x'.repeat(900 * 1024)};
+      const largeIds = Array.from({length: 3000}, (item, i) => `user-${i}`);
+
+      return client.write(largeIds, 'digest-changed', largeDigest, {aggregate: true, partitionKey: () => 'all', strict: true})
+        .then(result => {
+          expect(result.delivered).to.have.lengthOf(largeIds.length);
+          expect(records()).to.have.lengthOf(2);
+          expect(kinesis.putRecords.callCount).to.equal(1);
+          expect(records().every(record => Buffer.byteLength(record.Data) + Buffer.byteLength(record.PartitionKey) <= proxies.kinesisClient.LIMITS.recordBytes)).to.be.true;
+          expect(kinesisEvents.deaggregate(records().map(record => record.Data)).map(envelope => envelope.uuid)).to.deep.equal(largeIds);
+        });
+    });
+
+    it('Should list the events of the aggregates not delivered', () => {
+      kinesis.putRecords = sinon.stub().callsFake(params => ({promise: () => Promise.resolve({
+        FailedRecordCount: 1,
+        Records: params.Records.map(record => record.PartitionKey === 'odd' ? {ErrorCode: 'InternalFailure', ErrorMessage: 'Failed'} : {ShardId: 'shard-1', SequenceNumber: '1'})
+      })}));
+
+      return client.write(userIds, 'subscribe', concepts, {aggregate: true, partitionKey: envelope => envelope.uuid === 'user-3' ? 'odd' : 'even'})
+        .then(result => {
+          expect(result.delivered.map(item => item.uuid)).to.deep.equal(['user-1', 'user-2', 'user-4']);
+          expect(result.delivered[0].shardId).to.equal('shard-1');
+          expect(result.undelivered).to.have.lengthOf(1);
+          expect(result.undelivered[0]).to.include({uuid: 'user-3', partitionKey: 'odd', errorCode: 'InternalFailure'});
+          expect(result.undelivered[0].aggregateId).to.be.a('string');
+        });
+    });
+
+    it('Should fail to deaggregate an unknown aggregation', () => {
+      const record = JSON.stringify({version: 1, event: 'subscribe', aggregation: 'kpl', eventData: concepts});
+
+      expect(() => kinesisEvents.deaggregate(record)).to.throw(clientErrors.EventValidationError);
+    });
+  });
+
+  describe('events', () => {
+
+    it('Should validate the payload of each event type', () => {
+      expect(() => kinesisEvents.validate('unsubscribe', concepts)).to.not.throw();
+      expect(() => kinesisEvents.validate('unsubscribe', [])).to.throw(clientErrors.EventValidationError);
+      expect(() => kinesisEvents.validate('membership-removed', {group: 'group-1'})).to.not.throw();
+      expect(() => kinesisEvents.validate('membership-removed', {user: 'user-1'})).to.throw(clientErrors.EventValidationError);
+      expect(() => kinesisEvents.validate('digest-changed', {type: 'daily', timezone: 'Europe/London'})).to.not.throw();
+      expect(() => kinesisEvents.validate('digest-changed', null)).to.not.throw();
+      expect(() => kinesisEvents.validate('digest-changed', {timezone: 'Europe/London'})).to.throw(clientErrors.EventValidationError);
+    });
+
+    it('Should decode the records of a Lambda event', () => {
+      return client.write(['user-1'], 'subscribe', concepts, {correlationId: 'request-1'})
+        .then(() => {
+          const record = {kinesis: {data: Buffer.from(records()[0].Data).toString('base64')}};
+          const envelope = kinesisEvents.decode(record, {validate: true});
+
+          expect(envelope).to.deep.equal(envelopes()[0]);
+          expect(kinesisEvents.decode(records()[0].Data)).to.deep.equal(envelope);
+        });
+    });
+
+    it('Should decode the records written before the envelope as version 0', () => {
+      const envelope = kinesisEvents.decode(JSON.stringify({uuid: 'user-1', event: 'subscribe', eventData: concepts}));
+
+      expect(envelope).to.deep.equal({version: 0, uuid: 'user-1', event: 'subscribe', eventData: concepts});
+    });
+
+    it('Should fail to decode what isn\'t an event', () => {
+      expect(() => kinesisEvents.decode('not base64 json')).to.throw(clientErrors.EventValidationError);
+      expect(() => kinesisEvents.decode('{"uuid": "user-1"}')).to.throw(clientErrors.EventValidationError);
+      expect(() => kinesisEvents.decode(JSON.stringify({version: 1, uuid: 'user-1', event: 'subscribe', eventData: []}), {validate: true})).to.throw(clientErrors.EventValidationError);
+    });
+
+    it('Should take new event types', () => {
+      kinesisEvents.register('group-renamed', eventData => eventData && eventData.name ? [] : ['eventData must have the name']);
+
+      return client.write(['user-1'], 'group-renamed', {name: 'Group'})
+        .then(() => {
+          expect(envelopes()[0].event).to.equal('group-renamed');
+          expect(() => kinesisEvents.validate('group-renamed', {})).to.throw(clientErrors.EventValidationError);
+
+          delete kinesisEvents.EVENT_TYPES['group-renamed'];
+        });
+    });
+  });
+});
@@ -95,6 +95,36 @@ describe('Licence Data Client', () => {
 
   });
 
+  if (mockAPI) {
+    describe('request options', () => {
+
+      it('Should send the bearer token of each call with that call only', done => {
+        const tokens = ['token-one', 'token-two'];
+        tokens.forEach(token => {
+          nock(baseUrl, {reqheaders: {authorization: `Bearer ${token}`}})
+            .get(`/${uuids.validLicence}/admins`)
+            .reply(200, () => ({administrators: [], token}));
+        });
+        nock(baseUrl, {badheaders: ['authorization']})
+          .get(`/${uuids.validLicence}/admins`)
+          .reply(200, () => ({administrators: [], token: null}));
+
+        Promise.all([
+          ldc.getAdminUserList(uuids.validLicence, tokens[0]),
+          ldc.getAdminUserList(uuids.validLicence),
+          ldc.getAdminUserList(uuids.validLicence, tokens[1])
+        ])
+          .then(responses => {
+            expect(responses.map(res => res.token)).to.have.members([tokens[0], null, tokens[1]]);
+
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+  }
+
   describe('getAdminUserList', () => {
 
     it('Should get the licence admin list for a valid licence uuid and a valid api auth token', done => {
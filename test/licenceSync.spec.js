@@ -0,0 +1,179 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('licenceSync', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    ALS_API_URL: 'http://als.mock',
+    FT_TOOL_ID: 'syncTool',
+    FT_TOOL_ADMIN_ID: 'syncAdmin',
+    fetchOptions: {maxRetries: 0, retryDelay: 1}
+  };
+  const licenceId = uuids.validLicence;
+  let seats;
+  let members;
+  let transport;
+  let licenceSync;
+
+  const writes = (method) => transport.calls.filter(call => call.method === method && call.url.indexOf('/member/user') > -1);
+  const uuidsOf = (call) => JSON.parse(call.body).map(item => item.uuid);
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    seats = [
+      {userId: 'user-1', seatExpiryDate: null},
+      {userId: 'user-2', seatExpiryDate: null},
+      {userId: 'user-3', seatExpiryDate: null},
+      {userId: 'user-4', seatExpiryDate: '2000-01-01T00:00:00.000Z'}
+    ];
+    members = ['user-1', 'user-4', 'user-5'];
+    transport = mockTransport.create(overrides);
+    transport.route('GET', overrides.ALS_API_URL, /^\/licences\/[^/]+\/seats$/, () => ({status: 200, body: {seats, allocatedSeatCount: seats.length}}));
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, () => ({status: 200, body: {items: members.map(uuid => ({uuid})), total: members.length}}));
+    licenceSync = proxies.createClients(Object.assign({transport}, overrides)).licenceSync;
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should plan the changes', () => {
+    return licenceSync.plan(licenceId)
+      .then(plan => {
+        expect(plan).to.deep.equal({
+          licenceId,
+          add: ['user-2', 'user-3'],
+          remove: ['user-4', 'user-5'],
+          unchanged: ['user-1']
+        });
+        expect(writes('POST')).to.have.lengthOf(0);
+        expect(writes('DELETE')).to.have.lengthOf(0);
+      });
+  });
+
+  it('Should not change anything on a dry run', () => {
+    return licenceSync.sync(licenceId, {dryRun: true})
+      .then(report => {
+        expect(report.dryRun).to.be.true;
+        expect(report.plan.add).to.deep.equal(['user-2', 'user-3']);
+        expect(report.added).to.deep.equal([]);
+        expect(report.removed).to.deep.equal([]);
+        expect(writes('POST')).to.have.lengthOf(0);
+        expect(writes('DELETE')).to.have.lengthOf(0);
+      });
+  });
+
+  it('Should apply the plan in batches', () => {
+    return licenceSync.sync(licenceId, {batchSize: 1})
+      .then(report => {
+        expect(report.dryRun).to.be.false;
+        expect(report.added).to.deep.equal(['user-2', 'user-3']);
+        expect(report.removed).to.deep.equal(['user-4', 'user-5']);
+        expect(report.failed).to.deep.equal([]);
+        expect(report.startedAt).to.be.a('string');
+        expect(report.duration).to.be.a('number');
+
+        expect(writes('POST').map(uuidsOf)).to.deep.equal([['user-2'], ['user-3']]);
+        expect(writes('DELETE').map(uuidsOf)).to.deep.equal([['user-4'], ['user-5']]);
+        expect(JSON.parse(writes('POST')[0].body)[0]._rel).to.deep.equal({byTool: 'syncTool', byUser: 'syncAdmin'});
+      });
+  });
+
+  it('Should report the batches which failed', () => {
+    transport.route('DELETE', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, req => ({status: req.body[0].uuid === 'user-5' ? 500 : 204}));
+
+    return licenceSync.sync(licenceId, {batchSize: 1})
+      .then(report => {
+        expect(report.added).to.deep.equal(['user-2', 'user-3']);
+        expect(report.removed).to.deep.equal(['user-4']);
+        expect(report.failed).to.have.lengthOf(1);
+        expect(report.failed[0].action).to.equal('remove');
+        expect(report.failed[0].userIds).to.deep.equal(['user-5']);
+        expect(report.failed[0].error).to.be.an.instanceof(clientErrors.InternalServerError);
+      });
+  });
+
+  it('Should read the members afresh with the cache on', () => {
+    const clients = proxies.createClients(Object.assign({transport, cache: {enabled: true}}, overrides));
+    licenceSync = clients.licenceSync;
+    const memberReads = () => transport.calls.filter(call => call.method === 'GET' && call.url.indexOf('/member/user') > -1);
+
+    return clients.myFTClient.getUsersForLicence(licenceId)
+      .then(() => licenceSync.plan(licenceId))
+      .then(() => {
+        members = ['user-1', 'user-2', 'user-3'];
+
+        return licenceSync.plan(licenceId);
+      })
+      .then(plan => {
+        expect(plan.add).to.deep.equal([]);
+        expect(plan.remove).to.deep.equal([]);
+        expect(plan.unchanged).to.deep.equal(['user-1', 'user-2', 'user-3']);
+        expect(memberReads()).to.have.lengthOf(3);
+
+        // the cached list is left to the other callers
+        return clients.myFTClient.getUsersForLicence(licenceId);
+      })
+      .then(cached => {
+        expect(cached.map(member => member.uuid)).to.not.include('user-3');
+        expect(memberReads()).to.have.lengthOf(3);
+      });
+  });
+
+  it('Should fail, removing nobody, when ALS doesn\'t give the seats', () => {
+    transport.route('GET', overrides.ALS_API_URL, /^\/licences\/[^/]+\/seats$/, () => ({status: 200, body: {allocatedSeatCount: 0}}));
+
+    return licenceSync.sync(licenceId)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.UnexpectedResponseError);
+        expect(err.retryable).to.be.false;
+        expect(writes('DELETE')).to.have.lengthOf(0);
+        expect(writes('POST')).to.have.lengthOf(0);
+      });
+  });
+
+  it('Should add all the seat holders of a licence which isn\'t in myFT yet', () => {
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, () => ({status: 404}));
+
+    return licenceSync.sync(licenceId)
+      .then(report => {
+        expect(report.plan).to.deep.equal({licenceId, add: ['user-1', 'user-2', 'user-3'], remove: [], unchanged: []});
+        expect(report.added).to.deep.equal(['user-1', 'user-2', 'user-3']);
+        expect(report.failed).to.deep.equal([]);
+        expect(writes('DELETE')).to.have.lengthOf(0);
+      });
+  });
+
+  it('Should fail when either side can\'t be read', () => {
+    transport.route('GET', overrides.ALS_API_URL, /^\/licences\/[^/]+\/seats$/, () => ({status: 404}));
+
+    return licenceSync.sync(licenceId)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+        expect(writes('POST')).to.have.lengthOf(0);
+      });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+const expectOwnProperties = require('./helpers/expectExtensions').expectOwnProperties;
+
+describe('Mock transport', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    ALS_API_URL: 'http://als.mock',
+    ACS_API_URL: 'http://acs.mock/acquisition-contexts',
+    USER_PROFILE_API_URL: 'http://user-profile.mock/users',
+    API_GATEWAY_HOST: 'http://gateway.mock',
+    DEFAULT_REDIRECT_URL: 'http://redirect.mock/'
+  };
+  let transport;
+  let clients;
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    transport = mockTransport.create(overrides);
+    clients = proxies.createClients(Object.assign({transport}, overrides));
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should only be loaded from the testing entry point', () => {
+    expect(proxies).to.not.have.property('mockTransport');
+    expect(proxies).to.not.have.property('myFTServer');
+    expect(testing.mockTransport.create).to.be.a('function');
+    expect(testing.myFTServer.create).to.be.a('function');
+  });
+
+  it('Should serve the myFT routes', done => {
+    clients.myFTClient.getUsersForLicence(uuids.validLicence)
+      .then(users => {
+        expect(users).to.be.an('array');
+        expectOwnProperties(users, ['uuid']);
+
+        return clients.myFTClient.addUsersToGroup(uuids.validLicence, uuids.validUser, clients.myFTClient.relationshipProperties);
+      })
+      .then(res => {
+        expect(res).to.be.an('array');
+
+        return clients.myFTClient.getEmailDigestPreference(uuids.validUser);
+      })
+      .then(edp => {
+        expect(edp.uuid).to.equal('email-digest');
+        expect(transport.calls.map(call => call.method)).to.deep.equal(['GET', 'POST', 'GET']);
+        expect(transport.calls[1].body).to.be.a('string');
+
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should serve the ALS, ACS and user profile routes', done => {
+    Promise.all([
+      clients.accessLicenceClient.getSeats(uuids.validLicence),
+      clients.accessLicenceClient.getLicenceInfo(uuids.validLicence),
+      clients.acquisitionCtxClient.getContexts({'access-licence-id': uuids.validLicence}),
+      clients.userProfileClient.getUUID(uuids.validUserEmail),
+      clients.userProfileClient.exists(uuids.validUser)
+    ])
+      .then(results => {
+        expectOwnProperties(results[0], ['userId', 'accessLicenceId']);
+        expectOwnProperties(results[1], ['id', 'seatLimit']);
+        expect(results[2]).to.be.an('array');
+        expectOwnProperties(results[3], ['id']);
+        expect(results[4]).to.be.true;
+
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should serve the session and licence seat holder routes', done => {
+    Promise.all([
+      clients.sessionClient.verify(uuids.validFTSession),
+      clients.sessionClient.getAuthToken(uuids.validFTSessionSecure),
+      clients.licenceDataClient.getFilteredUserList(uuids.validLicence, uuids.validApiAuthToken),
+      clients.licenceDataClient.getAdminUserList(uuids.validLicence, uuids.validApiAuthToken)
+    ])
+      .then(results => {
+        expectOwnProperties(results[0], ['uuid', 'creationTime']);
+        expect(results[1]).to.equal('mock-api-auth-token');
+        expectOwnProperties(results[2], ['seatHolders']);
+        expectOwnProperties(results[3], ['administrators']);
+
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should let routes be overridden', done => {
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, () => ({status: 404}));
+
+    clients.myFTClient.getLicence(uuids.invalidLicence)
+      .then(() => {
+        done(new Error('Nothing thrown'));
+      })
+      .catch(err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -120,8 +120,8 @@ describe('myFT Client proxy', () => {
 
       myFT.removeUsersFromLicence(uuids.validLicence, uuids.validUser)
         .then(res => {
-          expect(res).to.be.an('object');
-          expect(res.status).to.equal(204);
+          expect(res).to.be.an('array');
+          expect(res[0].status).to.equal(204);
 
           return myFT.getUserFromLicence(uuids.validLicence, uuids.validUser);
         })
@@ -177,8 +177,8 @@ describe('myFT Client proxy', () => {
 
       myFT.removeUsersFromGroup(uuids.validLicence, uuids.validUser)
         .then(res => {
-          expect(res).to.be.an('object');
-          expect(res.status).to.equal(204);
+          expect(res).to.be.an('array');
+          expect(res[0].status).to.equal(204);
 
           return myFT.getUserFromGroup(uuids.validLicence, uuids.validUser);
         })
@@ -365,6 +365,10 @@ describe('myFT Client proxy', () => {
         })
         .catch(err => {
           expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+          expect(err.status).to.equal(404);
+          expect(err.method).to.equal('GET');
+          expect(err.operation).to.equal('myFTClient.getNode - license');
+          expect(err.url).to.equal(`${baseUrl}/license/${uuids.invalidLicence}`);
 
           done();
         });
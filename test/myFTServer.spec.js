@@ -0,0 +1,747 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+const expectOwnProperties = require('./helpers/expectExtensions').expectOwnProperties;
+const groupConcepts = require('./mocks/fixtures/groupFollowedConcept').items;
+const fetch = require('isomorphic-fetch');
+
+describe('myFT API server', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const myFTServer = testing.myFTServer.create({apiKey: 'local-key'});
+  const groupId = uuids.validLicence;
+  let myFT;
+  let clientConfig;
+
+  // the events written, as [uuid, event, concept uuids], the event data being given for all the users or per user
+  const eventsOf = kinesis => kinesis.write.args.reduce((all, args) => all.concat(args[0].map((uuid, index) => {
+    const eventData = typeof args[2] === 'function' ? args[2](uuid, index) : args[2];
+    return [uuid, args[1], eventData.map(concept => concept.uuid)];
+  })), []);
+
+  before(() => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    return myFTServer.listen()
+      .then(baseUrl => {
+        const clients = proxies.createClients({
+          MYFT_API_URL: baseUrl,
+          MYFT_API_KEY: 'local-key',
+          DONT_WRITE_TO_KINESIS: true,
+          BATCH_USER_CONCURRENCY: 2
+        });
+        myFT = clients.myFTClient;
+        clientConfig = clients.config;
+      });
+  });
+
+  beforeEach(() => {
+    myFTServer.graph.clear();
+  });
+
+  after(() => {
+    logMessageStub.restore();
+
+    return myFTServer.close();
+  });
+
+  it('Should add, get and page through licence members', () => {
+    const userIds = [];
+    for (let i = 0; i < 1100; i++) {
+      userIds.push(`user-${i}`);
+    }
+
+    return myFT.addLicence(uuids.validLicence)
+      .then(() => myFT.addUsersToLicence(uuids.validLicence, userIds, myFT.relationshipProperties))
+      .then(() => myFT.getUsersForLicence(uuids.validLicence))
+      .then(users => {
+        expect(users).to.have.lengthOf(1100);
+        expectOwnProperties(users, ['uuid', '_rel']);
+        expect(users[0]._rel.byTool).to.equal(myFT.relationshipProperties.byTool);
+
+        return myFT.getLicence(uuids.validLicence);
+      })
+      .then(licence => {
+        expect(licence._rel.member.user.total).to.equal(1100);
+        // only addLicence is sent without noEvent=true
+        expect(myFTServer.events.map(event => event.path)).to.deep.equal(['license']);
+      });
+  });
+
+  it('Should honour the 404 semantics of myFT', () => {
+    return myFT.getUserFromLicence(uuids.invalidLicence, uuids.validUser)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+      });
+  });
+
+  it('Should synchronise the followers of a group end to end', () => {
+    myFTServer.graph.addRelationship('group', groupId, 'member', 'user', uuids.validUser);
+
+    return myFT.addConceptsFollowedByGroup(groupId, groupConcepts, myFT.followedProperties)
+      .then(() => myFT.syncUserFollowers(groupId, uuids.validUser))
+      .then(res => {
+        expect(res.user.status).to.equal('synchronisationCompleted');
+
+        return Promise.all([myFT.getConceptsFollowedByUser(uuids.validUser), myFT.getEmailDigestPreference(uuids.validUser)]);
+      })
+      .then(results => {
+        expect(results[0].map(concept => concept.uuid)).to.deep.equal(groupConcepts.map(concept => concept.uuid));
+        expect(results[0][0]._rel.asMemberOf).to.equal(groupId);
+        expect(results[1]._rel.type).to.equal('daily');
+
+        return myFT.syncUserFollowers(groupId, uuids.validUser);
+      })
+      .then(res => {
+        expect(res.user.reason).to.equal('noNewConceptsToFollow');
+      });
+  });
+
+  it('Should undo the synchronisation of a user whose event fails to be sent', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.reject(new Error('Kinesis is down')))};
+    const failingMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    myFTServer.graph.addRelationship('group', groupId, 'member', 'user', uuids.validUser);
+    myFTServer.graph.addRelationship('user', uuids.validUser, 'followed', 'concept', 'concept-0');
+
+    return myFT.addConceptsFollowedByGroup(groupId, groupConcepts, myFT.followedProperties)
+      .then(() => failingMyFT.syncUserFollowers(groupId, uuids.validUser))
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.message).to.equal('Kinesis is down');
+        expect(err.saga.status).to.equal('rolledBack');
+        expect(err.saga.steps.map(step => [step.step, step.status, step.compensated])).to.deep.equal([
+          ['addConceptsFollowedByUser', 'completed', true],
+          ['setEmailDigestPreference', 'completed', true],
+          ['writeSubscribeEvent', 'failed', true]
+        ]);
+        expect(kinesis.write.firstCall.args[2].map(concept => concept.uuid)).to.deep.equal(groupConcepts.map(concept => concept.uuid));
+
+        // only the concept the user followed beforehand is left
+        expect(myFTServer.graph.getRelated('user', uuids.validUser, 'followed', 'concept').map(concept => concept.uuid)).to.deep.equal(['concept-0']);
+        expect(myFTServer.graph.getRelated('user', uuids.validUser, 'preferred', 'preference')).to.have.lengthOf(0);
+
+        // rolled back, so it can be run again
+        kinesis.write = sinon.stub().callsFake(() => Promise.resolve([]));
+        return failingMyFT.syncUserFollowers(groupId, uuids.validUser);
+      })
+      .then(res => {
+        expect(res.user.status).to.equal('synchronisationCompleted');
+      });
+  });
+
+  describe('syncUserFollowers left half done', () => {
+    const id = `${groupId}:${uuids.validUser}`;
+    let store;
+    let kinesis;
+    let sagaMyFT;
+
+    beforeEach(() => {
+      store = proxies.saga.createMemoryStore();
+      kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+      sagaMyFT = proxies.myFTClient.create(Object.assign({}, clientConfig, {saga: {store}}), kinesis);
+      myFTServer.graph.addRelationship('group', groupId, 'member', 'user', uuids.validUser);
+      return myFT.addConceptsFollowedByGroup(groupId, groupConcepts, myFT.followedProperties);
+    });
+
+    it('Should report a synchronisation which failed to be rolled back as pending, rather than run it again', () => {
+      // the user is gone by the time the event fails, so its follows can't be removed
+      kinesis.write = sinon.stub().callsFake(() => {
+        myFTServer.graph.clear();
+        return Promise.reject(new Error('Kinesis is down'));
+      });
+
+      return sagaMyFT.syncUserFollowers(groupId, uuids.validUser)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err.message).to.equal('Kinesis is down');
+          expect(err.saga.status).to.equal('rollbackFailed');
+
+          myFTServer.graph.addRelationship('group', groupId, 'member', 'user', uuids.validUser);
+          return myFT.addConceptsFollowedByGroup(groupId, groupConcepts, myFT.followedProperties);
+        })
+        .then(() => sagaMyFT.syncUserFollowers(groupId, uuids.validUser))
+        .then(res => {
+          expect(res.user).to.deep.equal({uuid: uuids.validUser, group: groupId, status: 'synchronisationIgnored', reason: 'sagaPending', saga: {id, status: 'rollbackFailed'}});
+          expect(kinesis.write.callCount).to.equal(1);
+
+          return sagaMyFT.rollbackSaga('syncUserFollowers', id);
+        })
+        .then(state => {
+          expect(state.status).to.equal('rolledBack');
+          kinesis.write = sinon.stub().callsFake(() => Promise.resolve([]));
+          return sagaMyFT.syncUserFollowers(groupId, uuids.validUser);
+        })
+        .then(res => {
+          expect(res.user.status).to.equal('synchronisationCompleted');
+          expect(store.size()).to.equal(0);
+        });
+    });
+
+    it('Should report an interrupted synchronisation as pending until it\'s resumed', () => {
+      // the process dies as it starts sending the event, the progress saved until then being kept
+      let crashing = true;
+      let crashed = false;
+      const memory = store;
+      store = {
+        get: key => memory.get(key),
+        delete: key => memory.delete(key),
+        set: (key, state) => {
+          crashed = crashed || (crashing && state.steps.some(step => step.step === 'writeSubscribeEvent' && step.status === 'started'));
+          return crashed ? Promise.reject(new Error('Task timed out')) : memory.set(key, state);
+        }
+      };
+      sagaMyFT = proxies.myFTClient.create(Object.assign({}, clientConfig, {saga: {store}}), kinesis);
+
+      return sagaMyFT.syncUserFollowers(groupId, uuids.validUser)
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err.message).to.equal('Task timed out');
+          crashing = false;
+          crashed = false;
+
+          return sagaMyFT.syncUserFollowers(groupId, uuids.validUser);
+        })
+        .then(res => {
+          expect(res.user.reason).to.equal('sagaPending');
+          expect(res.user.saga).to.deep.equal({id, status: 'running'});
+          expect(kinesis.write.callCount).to.equal(0);
+
+          return sagaMyFT.resumeSaga('syncUserFollowers', id);
+        })
+        .then(state => {
+          expect(state.status).to.equal('completed');
+          expect(kinesis.write.callCount).to.equal(1);
+          expect(memory.size()).to.equal(0);
+
+          return sagaMyFT.syncUserFollowers(groupId, uuids.validUser);
+        })
+        .then(res => {
+          expect(res.user.reason).to.equal('noNewConceptsToFollow');
+        });
+    });
+  });
+
+  it('Should synchronise the followers of a whole group', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    ['user-1', 'user-2', 'user-3'].forEach(userId => myFTServer.graph.addRelationship('group', groupId, 'member', 'user', userId));
+    groupConcepts.forEach(concept => myFTServer.graph.addRelationship('user', 'user-3', 'followed', 'concept', concept.uuid));
+
+    return myFT.addConceptsFollowedByGroup(groupId, groupConcepts, myFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(res => {
+        expect(res.group).to.equal(groupId);
+        expect(res.concepts).to.equal(groupConcepts.length);
+        expect(res.summary).to.deep.equal({synchronisationCompleted: 2, synchronisationIgnored: 1, synchronisationFailed: 0});
+        expect(res.users.filter(user => user.status === 'synchronisationIgnored').map(user => user.uuid)).to.deep.equal(['user-3']);
+        expect(kinesis.write.callCount).to.equal(1);
+        expect(eventsOf(kinesis)).to.have.deep.members(['user-1', 'user-2'].map(uuid => [uuid, 'subscribe', groupConcepts.map(concept => concept.uuid)]));
+        expect(kinesis.write.firstCall.args[2]('user-1', 0)[0]._rel).to.be.undefined;
+        expect(res.users.every(user => user.eventUndelivered === undefined)).to.be.true;
+
+        return bulkMyFT.getConceptsFollowedByUser('user-2');
+      })
+      .then(concepts => {
+        expect(concepts.map(concept => concept.uuid)).to.deep.equal(groupConcepts.map(concept => concept.uuid));
+        expect(concepts[0]._rel.asMemberOf).to.equal(groupId);
+        expect(myFTServer.graph.getRelated('user', 'user-1', 'preferred', 'preference')).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should send the users who followed different concepts their own event', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    const concepts = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+    ['user-1', 'user-2', 'user-3'].forEach(userId => myFTServer.graph.addRelationship('group', groupId, 'member', 'user', userId));
+    // already followed by user-3
+    myFTServer.graph.addRelationship('user', 'user-3', 'followed', 'concept', 'concept-1', {byTool: 'myFT'});
+
+    return bulkMyFT.addConceptsFollowedByGroup(groupId, concepts, bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(res => {
+        expect(res.summary.synchronisationCompleted).to.equal(3);
+        // a write for all, each user's event having the concepts they followed
+        expect(kinesis.write.callCount).to.equal(1);
+        expect(eventsOf(kinesis)).to.have.deep.members([
+          ['user-1', 'subscribe', ['concept-1', 'concept-2']],
+          ['user-2', 'subscribe', ['concept-1', 'concept-2']],
+          ['user-3', 'subscribe', ['concept-2']]
+        ]);
+        // the users with the same concepts share them
+        const args = kinesis.write.firstCall.args;
+        const indexOf = uuid => args[0].indexOf(uuid);
+        expect(args[2]('user-1', indexOf('user-1'))).to.equal(args[2]('user-2', indexOf('user-2')));
+      });
+  });
+
+  it('Should report the users whose event wasn\'t delivered, rather than failing the synchronisation', () => {
+    const undelivered = {uuid: 'user-2', errorCode: 'ProvisionedThroughputExceededException', errorMessage: 'Rate exceeded'};
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve({delivered: [{uuid: 'user-1'}], undelivered: [undelivered]}))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    ['user-1', 'user-2'].forEach(userId => myFTServer.graph.addRelationship('group', groupId, 'member', 'user', userId));
+
+    return bulkMyFT.addConceptsFollowedByGroup(groupId, [{uuid: 'concept-1'}], bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(res => {
+        expect(res.summary.synchronisationCompleted).to.equal(2);
+        const byUuid = new Map(res.users.map(user => [user.uuid, user]));
+        expect(byUuid.get('user-1').eventUndelivered).to.be.undefined;
+        expect(byUuid.get('user-2').eventUndelivered).to.deep.equal({errorCode: undelivered.errorCode, errorMessage: undelivered.errorMessage});
+        kinesis.write = sinon.stub().callsFake(() => Promise.reject(new Error('Stream not found')));
+        myFTServer.graph.addRelationship('group', groupId, 'member', 'user', 'user-3');
+        return bulkMyFT.syncGroupFollowers(groupId);
+      })
+      .then(res => {
+        const user = res.users.find(user => user.uuid === 'user-3');
+        expect(user.status).to.equal('synchronisationCompleted');
+        expect(user.eventUndelivered).to.deep.equal({errorCode: 'Error', errorMessage: 'Stream not found'});
+      });
+  });
+
+  it('Should send the members of different groups of a licence their own events', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    ['group-1', 'group-2'].forEach(group => myFTServer.graph.addRelationship('license', uuids.validLicence, 'member', 'group', group));
+    ['user-1', 'user-2'].forEach(userId => myFTServer.graph.addRelationship('group', 'group-1', 'member', 'user', userId));
+    ['user-1', 'user-3'].forEach(userId => myFTServer.graph.addRelationship('group', 'group-2', 'member', 'user', userId));
+
+    return bulkMyFT.addConceptsFollowedByGroup('group-1', [{uuid: 'concept-1'}], bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.addConceptsFollowedByGroup('group-2', [{uuid: 'concept-2'}], bulkMyFT.followedProperties))
+      .then(() => bulkMyFT.syncLicenceFollowers(uuids.validLicence))
+      .then(() => {
+        expect(kinesis.write.callCount).to.equal(1);
+        expect(eventsOf(kinesis)).to.have.deep.members([
+          ['user-1', 'subscribe', ['concept-1']],
+          ['user-2', 'subscribe', ['concept-1']],
+          ['user-1', 'subscribe', ['concept-2']],
+          ['user-3', 'subscribe', ['concept-2']]
+        ]);
+      });
+  });
+
+  it('Should synchronise the followers of all the groups of a licence', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    myFTServer.graph.addRelationship('license', uuids.validLicence, 'member', 'group', 'group-1');
+    myFTServer.graph.addRelationship('license', uuids.validLicence, 'member', 'group', 'group-2');
+    myFTServer.graph.addRelationship('group', 'group-1', 'member', 'user', 'user-1');
+    myFTServer.graph.addRelationship('group', 'group-2', 'member', 'user', 'user-2');
+
+    return myFT.addConceptsFollowedByGroup('group-1', groupConcepts, myFT.followedProperties)
+      .then(() => bulkMyFT.syncLicenceFollowers(uuids.validLicence))
+      .then(res => {
+        expect(res.licence).to.equal(uuids.validLicence);
+        expect(res.groups).to.deep.equal([
+          {group: 'group-1', concepts: groupConcepts.length, summary: {synchronisationCompleted: 1, synchronisationIgnored: 0, synchronisationFailed: 0}},
+          {group: 'group-2', concepts: 0, summary: {synchronisationCompleted: 0, synchronisationIgnored: 0, synchronisationFailed: 0}}
+        ]);
+        expect(res.users.map(user => user.uuid)).to.deep.equal(['user-1']);
+        expect(res.summary.synchronisationCompleted).to.equal(1);
+        expect(kinesis.write.callCount).to.equal(1);
+        expect(kinesis.write.firstCall.args[0]).to.deep.equal(['user-1']);
+      });
+  });
+
+  it('Should synchronise nothing for a licence without groups', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+
+    return proxies.myFTClient.create(clientConfig, kinesis).syncLicenceFollowers(uuids.validLicence)
+      .then(res => {
+        expect(res.groups).to.deep.equal([]);
+        expect(res.summary.synchronisationCompleted).to.equal(0);
+        expect(kinesis.write.callCount).to.equal(0);
+      });
+  });
+
+  it('Should propagate the unfollows of a group to its members', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    const concepts = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+    const followedBy = userId => bulkMyFT.getConceptsFollowedByUser(userId).then(items => items.map(item => item.uuid).sort());
+    ['user-1', 'user-2'].forEach(userId => myFTServer.graph.addRelationship('group', groupId, 'member', 'user', userId));
+    // followed by the user itself
+    myFTServer.graph.addRelationship('user', 'user-2', 'followed', 'concept', 'concept-1', {byTool: 'myFT'});
+
+    return bulkMyFT.addConceptsFollowedByGroup(groupId, concepts, bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(() => bulkMyFT.removeConceptsFollowedByGroup(groupId, ['concept-1']))
+      .then(() => bulkMyFT.syncGroupUnfollowers(groupId))
+      .then(res => {
+        expect(res.group).to.equal(groupId);
+        expect(res.summary).to.deep.equal({synchronisationCompleted: 1, synchronisationIgnored: 1, synchronisationFailed: 0});
+        expect(res.users.find(user => user.uuid === 'user-1').conceptsUnfollowed.map(concept => concept.uuid)).to.deep.equal(['concept-1']);
+        expect(res.users.find(user => user.uuid === 'user-2').reason).to.equal('noConceptsToUnfollow');
+        expect(kinesis.write.lastCall.args.slice(0, 2)).to.deep.equal([['user-1'], 'unsubscribe']);
+        expect(kinesis.write.lastCall.args[2]('user-1', 0)).to.deep.equal([{uuid: 'concept-1'}]);
+
+        return Promise.all([followedBy('user-1'), followedBy('user-2')]);
+      })
+      .then(results => {
+        expect(results[0]).to.deep.equal(['concept-2']);
+        expect(results[1]).to.deep.equal(['concept-1', 'concept-2']);
+      });
+  });
+
+  it('Should send the users who unfollowed different concepts their own event', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    const concepts = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+    ['user-1', 'user-2'].forEach(userId => myFTServer.graph.addRelationship('group', groupId, 'member', 'user', userId));
+    // followed by the user itself, so not unfollowed
+    myFTServer.graph.addRelationship('user', 'user-2', 'followed', 'concept', 'concept-2', {byTool: 'myFT'});
+
+    return bulkMyFT.addConceptsFollowedByGroup(groupId, concepts, bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(() => {
+        kinesis.write.resetHistory();
+
+        return bulkMyFT.removeConceptsFollowedByGroup(groupId, ['concept-1', 'concept-2']);
+      })
+      .then(() => bulkMyFT.syncGroupUnfollowers(groupId))
+      .then(res => {
+        expect(res.summary.synchronisationCompleted).to.equal(2);
+        expect(kinesis.write.callCount).to.equal(1);
+        expect(eventsOf(kinesis)).to.have.deep.members([
+          ['user-1', 'unsubscribe', ['concept-1', 'concept-2']],
+          ['user-2', 'unsubscribe', ['concept-1']]
+        ]);
+      });
+  });
+
+  it('Should propagate the unfollows of the concepts given', () => {
+    const kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+    const bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+    const concepts = [{uuid: 'concept-1'}, {uuid: 'concept-2'}];
+    myFTServer.graph.addRelationship('group', groupId, 'member', 'user', 'user-1');
+
+    return bulkMyFT.addConceptsFollowedByGroup(groupId, concepts, bulkMyFT.followedProperties)
+      .then(() => bulkMyFT.syncGroupFollowers(groupId))
+      .then(() => bulkMyFT.syncGroupUnfollowers(groupId, ['concept-2']))
+      .then(res => {
+        expect(res.users[0].conceptsUnfollowed.map(concept => concept.uuid)).to.deep.equal(['concept-2']);
+        expect(myFTServer.graph.getRelated('user', 'user-1', 'followed', 'concept').map(concept => concept.uuid)).to.deep.equal(['concept-1']);
+      });
+  });
+
+  describe('leaveGroup', () => {
+    const licenceId = uuids.validLicence;
+    let kinesis;
+    let bulkMyFT;
+
+    const followedBy = userId => myFTServer.graph.getRelated('user', userId, 'followed', 'concept');
+
+    beforeEach(() => {
+      kinesis = {write: sinon.stub().callsFake(() => Promise.resolve([]))};
+      bulkMyFT = proxies.myFTClient.create(clientConfig, kinesis);
+      ['group-1', 'group-2'].forEach(group => myFTServer.graph.addRelationship('license', licenceId, 'member', 'group', group));
+      ['user-1', 'user-2'].forEach(userId => myFTServer.graph.addRelationship('group', 'group-1', 'member', 'user', userId));
+      myFTServer.graph.addRelationship('group', 'group-2', 'member', 'user', 'user-1');
+
+      return bulkMyFT.addConceptsFollowedByGroup('group-1', [{uuid: 'concept-1'}, {uuid: 'concept-2'}], bulkMyFT.followedProperties)
+        .then(() => bulkMyFT.addConceptsFollowedByGroup('group-2', [{uuid: 'concept-2'}], bulkMyFT.followedProperties))
+        .then(() => bulkMyFT.syncGroupFollowers('group-1'))
+        .then(() => bulkMyFT.syncGroupFollowers('group-2'))
+        .then(() => {
+          // followed by the user itself
+          myFTServer.graph.addRelationship('user', 'user-2', 'followed', 'concept', 'concept-3', {byTool: 'myFT'});
+          kinesis.write.resetHistory();
+        });
+    });
+
+    it('Should remove the follows inherited from the group only', () => {
+      return bulkMyFT.leaveGroup('group-1', ['user-1', 'user-2'], {licenceId})
+        .then(res => {
+          expect(res.summary).to.deep.equal({synchronisationCompleted: 2, synchronisationIgnored: 0, synchronisationFailed: 0});
+          expect(res.users[0].conceptsUnfollowed.map(concept => concept.uuid)).to.deep.equal(['concept-1']);
+          expect(res.users[0].conceptsKept.map(concept => concept.uuid)).to.deep.equal(['concept-2']);
+          expect(res.users[1].conceptsUnfollowed.map(concept => concept.uuid)).to.deep.equal(['concept-1', 'concept-2']);
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user')).to.have.lengthOf(0);
+
+          // still a member of group-2
+          expect(followedBy('user-1').map(concept => concept.uuid)).to.deep.equal(['concept-2']);
+          expect(followedBy('user-1')[0]._rel.asMemberOf).to.equal('group-2');
+          expect(followedBy('user-2').map(concept => concept.uuid)).to.deep.equal(['concept-3']);
+
+          // user-1 still follows concept-2, through group-2
+          expect(eventsOf(kinesis)).to.have.deep.members([
+            ['user-1', 'unsubscribe', ['concept-1']],
+            ['user-2', 'unsubscribe', ['concept-1', 'concept-2']]
+          ]);
+        });
+    });
+
+    it('Should find the other groups on every page, checking the membership of the users only', () => {
+      const requests = [];
+      const pagedMyFT = proxies.createClients({
+        MYFT_API_URL: clientConfig.MYFT_API_URL,
+        MYFT_API_KEY: 'local-key',
+        DONT_WRITE_TO_KINESIS: true,
+        MYFT_PAGE_SIZE: 1,
+        transport: (url, opt) => {
+          requests.push(`${opt.method} ${url}`);
+          return fetch(url, opt);
+        }
+      }).myFTClient;
+
+      return pagedMyFT.leaveGroup('group-1', ['user-1', 'user-2'], {licenceId})
+        .then(res => {
+          // group-2 is on the second page of the groups following concept-2
+          expect(requests.filter(request => request.indexOf('/followed/group?page=2') > -1)).to.have.lengthOf(1);
+          expect(res.users[0].conceptsKept.map(concept => concept.uuid)).to.deep.equal(['concept-2']);
+          expect(followedBy('user-1')[0]._rel.asMemberOf).to.equal('group-2');
+
+          expect(requests.filter(request => /^GET .*\/group\/group-2\/member\/user(\?|$)/.test(request))).to.have.lengthOf(0);
+          expect(requests.filter(request => /^GET .*\/group\/group-2\/member\/user\/user-[12]$/.test(request))).to.have.lengthOf(2);
+        });
+    });
+
+    it('Should fail the users whose other groups can\'t be found, rather than the whole workflow', () => {
+      const failingMyFT = proxies.createClients({
+        MYFT_API_URL: clientConfig.MYFT_API_URL,
+        MYFT_API_KEY: 'local-key',
+        DONT_WRITE_TO_KINESIS: true,
+        fetchOptions: {maxRetries: 0, retryDelay: 1},
+        transport: (url, opt) => {
+          if (opt.method === 'GET' && url.indexOf('/followed/group') > -1) {
+            return Promise.resolve(new testing.mockTransport.MockResponse(url, 500));
+          }
+          return fetch(url, opt);
+        }
+      }).myFTClient;
+
+      return failingMyFT.leaveGroup('group-1', ['user-1', 'user-2'], {licenceId})
+        .then(res => {
+          expect(res.summary).to.deep.equal({synchronisationCompleted: 0, synchronisationIgnored: 0, synchronisationFailed: 2});
+          expect(res.users[0].error).to.be.an.instanceof(clientErrors.InternalServerError);
+          // removed from the group, with their follows left as they were
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user')).to.have.lengthOf(0);
+          expect(followedBy('user-2')).to.have.lengthOf(3);
+        });
+    });
+
+    it('Should keep the follows if asked to', () => {
+      return bulkMyFT.leaveGroup('group-1', 'user-2', {keepFollows: true})
+        .then(res => {
+          expect(res.users).to.deep.equal([{uuid: 'user-2', group: 'group-1', status: 'synchronisationIgnored', reason: 'keepFollows'}]);
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user').map(user => user.uuid)).to.deep.equal(['user-1']);
+          expect(followedBy('user-2')).to.have.lengthOf(3);
+          expect(kinesis.write.callCount).to.equal(0);
+        });
+    });
+
+    it('Should need the licence to remove the follows', () => {
+      return bulkMyFT.leaveGroup('group-1', 'user-2')
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err.message).to.contain('licenceId');
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user')).to.have.lengthOf(2);
+        });
+    });
+  });
+
+  describe('offboardUser', () => {
+    const licenceId = uuids.validLicence;
+    const userId = 'user-1';
+
+    beforeEach(() => {
+      myFTServer.graph.addRelationship('license', licenceId, 'member', 'user', userId, {byTool: 'KAT', byUser: 'admin-1'});
+      ['group-1', 'group-2'].forEach(group => myFTServer.graph.addRelationship('license', licenceId, 'member', 'group', group));
+      myFTServer.graph.addRelationship('group', 'group-1', 'member', 'user', userId, {byTool: 'KAT'});
+
+      return myFT.addConceptsFollowedByGroup('group-1', [{uuid: 'concept-1'}], myFT.followedProperties)
+        .then(() => myFT.syncGroupFollowers('group-1'));
+    });
+
+    it('Should remove the user from the licence and its groups', () => {
+      return myFT.offboardUser(licenceId, userId, {removeDigestPreference: true})
+        .then(audit => {
+          expect(audit.status).to.equal('completed');
+          expect(audit.steps.map(step => [step.step, step.status])).to.deep.equal([
+            ['removeUserFromLicence', 'completed'],
+            ['leaveGroup', 'completed'],
+            ['removeEmailDigestPreference', 'completed']
+          ]);
+          expect(audit.steps[1].details).to.deep.equal({group: 'group-1'});
+          expect(audit.steps[1].output).to.deep.equal({conceptsUnfollowed: ['concept-1'], conceptsKept: []});
+
+          expect(myFTServer.graph.getRelated('license', licenceId, 'member', 'user')).to.have.lengthOf(0);
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user')).to.have.lengthOf(0);
+          expect(myFTServer.graph.getRelated('user', userId, 'followed', 'concept')).to.have.lengthOf(0);
+          expect(myFTServer.graph.getRelated('user', userId, 'preferred', 'preference')).to.have.lengthOf(0);
+        });
+    });
+
+    it('Should keep the email digest preference by default', () => {
+      return myFT.offboardUser(licenceId, userId)
+        .then(audit => {
+          expect(audit.steps.map(step => step.step)).to.deep.equal(['removeUserFromLicence', 'leaveGroup']);
+          expect(myFTServer.graph.getRelated('user', userId, 'preferred', 'preference')).to.have.lengthOf(1);
+        });
+    });
+
+    it('Should roll back the steps done when one fails', () => {
+      const failingMyFT = proxies.createClients({
+        MYFT_API_URL: clientConfig.MYFT_API_URL,
+        MYFT_API_KEY: 'local-key',
+        DONT_WRITE_TO_KINESIS: true,
+        transport: (url, opt) => {
+          if (opt.method === 'DELETE' && url.indexOf('/preferred/preference') > -1) {
+            return Promise.resolve(new testing.mockTransport.MockResponse(url, 500));
+          }
+          return fetch(url, opt);
+        }
+      }).myFTClient;
+
+      return failingMyFT.offboardUser(licenceId, userId, {removeDigestPreference: true})
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.InternalServerError);
+          expect(err.audit.status).to.equal('rolledBack');
+          expect(err.audit.steps.map(step => [step.step, step.status, step.compensated])).to.deep.equal([
+            ['removeUserFromLicence', 'completed', true],
+            ['leaveGroup', 'completed', true],
+            ['removeEmailDigestPreference', 'failed', true]
+          ]);
+
+          const licenceMember = myFTServer.graph.getRelationship('license', licenceId, 'member', 'user', userId);
+          expect(licenceMember._rel.byUser).to.equal('admin-1');
+          expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user').map(user => user.uuid)).to.deep.equal([userId]);
+          const follows = myFTServer.graph.getRelated('user', userId, 'followed', 'concept');
+          expect(follows.map(concept => concept.uuid)).to.deep.equal(['concept-1']);
+          expect(follows[0]._rel.asMemberOf).to.equal('group-1');
+          expect(myFTServer.graph.getRelated('user', userId, 'preferred', 'preference')).to.have.lengthOf(1);
+        });
+    });
+
+    describe('interrupted', () => {
+      let store;
+      let crashing;
+      let crashed;
+      let sagaMyFT;
+
+      // the process dies as it starts leaving the group, the progress saved until then being kept
+      const crash = () => {
+        crashing = true;
+        crashed = false;
+        const memory = proxies.saga.createMemoryStore();
+        store = {
+          get: key => memory.get(key),
+          delete: key => memory.delete(key),
+          set: (key, state) => {
+            crashed = crashed || (crashing && state.steps.some(step => step.step === 'leaveGroup' && step.status === 'started'));
+            return crashed ? Promise.reject(new Error('Task timed out')) : memory.set(key, state);
+          },
+          size: () => memory.size()
+        };
+        sagaMyFT = proxies.createClients({
+          MYFT_API_URL: clientConfig.MYFT_API_URL,
+          MYFT_API_KEY: 'local-key',
+          DONT_WRITE_TO_KINESIS: true,
+          saga: {store}
+        }).myFTClient;
+
+        return sagaMyFT.offboardUser(licenceId, userId, {removeDigestPreference: true})
+          .then(() => {
+            throw new Error('Nothing thrown');
+          }, err => {
+            expect(err.message).to.equal('Task timed out');
+            expect(myFTServer.graph.getRelated('license', licenceId, 'member', 'user')).to.have.lengthOf(0);
+            crashing = false;
+            crashed = false;
+          });
+      };
+
+      it('Should not offboard a user again while an offboarding is left half done', () => {
+        return crash()
+          .then(() => sagaMyFT.offboardUser(licenceId, userId))
+          .then(() => {
+            throw new Error('Nothing thrown');
+          }, err => {
+            expect(err.message).to.contain('already been run');
+          });
+      });
+
+      it('Should resume an offboarding left half done', () => {
+        return crash()
+          .then(() => sagaMyFT.resumeSaga('offboardUser', `${licenceId}:${userId}`))
+          .then(state => {
+            expect(state.status).to.equal('completed');
+            expect(state.steps.map(step => [step.step, step.status])).to.deep.equal([
+              ['removeUserFromLicence', 'completed'],
+              ['leaveGroup', 'completed'],
+              ['removeEmailDigestPreference', 'completed']
+            ]);
+            expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user')).to.have.lengthOf(0);
+            expect(myFTServer.graph.getRelated('user', userId, 'followed', 'concept')).to.have.lengthOf(0);
+            expect(myFTServer.graph.getRelated('user', userId, 'preferred', 'preference')).to.have.lengthOf(0);
+            // forgotten once completed
+            expect(store.size()).to.equal(0);
+          });
+      });
+
+      it('Should roll back an offboarding left half done', () => {
+        return crash()
+          .then(() => sagaMyFT.rollbackSaga('offboardUser', `${licenceId}:${userId}`))
+          .then(state => {
+            expect(state.status).to.equal('rolledBack');
+            const licenceMember = myFTServer.graph.getRelationship('license', licenceId, 'member', 'user', userId);
+            expect(licenceMember._rel.byUser).to.equal('admin-1');
+            expect(myFTServer.graph.getRelated('group', 'group-1', 'member', 'user').map(user => user.uuid)).to.deep.equal([userId]);
+            expect(store.size()).to.equal(0);
+
+            return sagaMyFT.offboardUser(licenceId, userId);
+          })
+          .then(audit => {
+            expect(audit.status).to.equal('completed');
+          });
+      });
+
+      it('Should not know of the sagas of other workflows', () => {
+        return myFT.resumeSaga('unknown', 'id-1')
+          .then(() => {
+            throw new Error('Nothing thrown');
+          }, err => {
+            expect(err.message).to.contain('unknown');
+          });
+      });
+    });
+  });
+
+  it('Should find the licence members following a concept', () => {
+    const conceptId = groupConcepts[0].uuid;
+    myFTServer.graph.addRelationship('license', uuids.validLicence, 'member', 'user', uuids.validUser);
+    myFTServer.graph.addRelationship('license', uuids.validLicence, 'member', 'user', uuids.invalidUser);
+    myFTServer.graph.addRelationship('user', uuids.validUser, 'followed', 'concept', conceptId);
+
+    return myFT.getUsersFollowingConcept(uuids.validLicence, conceptId)
+      .then(res => {
+        expect(res.items.map(item => item.uuid)).to.deep.equal([uuids.validUser]);
+      });
+  });
+
+  it('Should remove relationships', () => {
+    myFTServer.graph.addRelationship('group', groupId, 'member', 'user', uuids.validUser);
+
+    return myFT.removeUsersFromGroup(groupId, uuids.validUser)
+      .then(res => {
+        expect(res.succeeded).to.deep.equal([uuids.validUser]);
+        expect(res[0].status).to.equal(204);
+        expect(myFTServer.graph.getRelated('group', groupId, 'member', 'user')).to.have.lengthOf(0);
+      });
+  });
+});
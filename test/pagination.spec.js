@@ -0,0 +1,236 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('myFT pagination', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    fetchOptions: {maxRetries: 0, retryDelay: 1}
+  };
+  let total;
+  let transport;
+  let myFT;
+
+  const memberCalls = () => transport.calls.filter(call => call.url.indexOf('/member/user') > -1);
+  // reads the whole iterator, without for await as node 6 doesn't have it
+  const readAll = (iterator, max) => {
+    const items = [];
+    const read = () => {
+      if (max !== undefined && items.length >= max) {
+        return items;
+      }
+      return iterator.next()
+        .then(result => {
+          if (result.done) {
+            return items;
+          }
+          items.push(result.value);
+          return read();
+        });
+    };
+    return read();
+  };
+
+  // answers with the page asked for, out of total users
+  const pageOf = (req) => {
+    const page = parseInt(req.query.page, 10);
+    const limit = parseInt(req.query.limit, 10);
+    const items = [];
+    for (let i = (page - 1) * limit; i < Math.min(page * limit, total); i++) {
+      items.push({uuid: `user-${i}`});
+    }
+    return {status: 200, body: {items, total}};
+  };
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    total = 1100;
+    transport = mockTransport.create(overrides);
+    transport.route('GET', overrides.MYFT_API_URL, /^\/(license|group)\/[^/]+\/member\/user$/, pageOf);
+    myFT = proxies.createClients(Object.assign({transport}, overrides)).myFTClient;
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should iterate over all the pages', () => {
+    const iterator = myFT.iterateUsersForLicence(uuids.validLicence, {pageSize: 400});
+
+    expect(iterator[Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')]()).to.equal(iterator);
+    expect(iterator.cursor).to.equal(1);
+
+    return readAll(iterator)
+      .then(items => {
+        expect(items).to.have.lengthOf(total);
+        expect(items[total - 1].uuid).to.equal(`user-${total - 1}`);
+        expect(memberCalls().map(call => call.url)).to.deep.equal([1, 2, 3].map(page => `${overrides.MYFT_API_URL}/license/${uuids.validLicence}/member/user?page=${page}&limit=400`));
+        expect(iterator.cursor).to.be.undefined;
+      });
+  });
+
+  it('Should fetch the pages as they are needed', () => {
+    const iterator = myFT.iterateUsersForGroup(uuids.validLicence, {pageSize: 500});
+
+    return readAll(iterator, 600)
+      .then(items => {
+        expect(items).to.have.lengthOf(600);
+        expect(memberCalls()).to.have.lengthOf(2);
+        // half of the 2nd page hasn't been read
+        expect(iterator.cursor).to.equal(2);
+      });
+  });
+
+  it('Should resume from a cursor', () => {
+    const iterator = myFT.iterateUsersForGroup(uuids.validLicence, {pageSize: 500});
+
+    return readAll(iterator, 600)
+      .then(() => readAll(myFT.iterateUsersForGroup(uuids.validLicence, {pageSize: 500, cursor: iterator.cursor})))
+      .then(items => {
+        expect(items).to.have.lengthOf(600);
+        expect(items[0].uuid).to.equal('user-500');
+      });
+  });
+
+  it('Should stop when returned early', () => {
+    const iterator = myFT.iterateUsersForLicence(uuids.validLicence, {pageSize: 100});
+
+    return readAll(iterator, 10)
+      .then(() => iterator.return())
+      .then(result => {
+        expect(result.done).to.be.true;
+
+        return iterator.next();
+      })
+      .then(result => {
+        expect(result.done).to.be.true;
+        expect(memberCalls()).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should stream the items', done => {
+    const items = [];
+    const readable = myFT.streamUsersForLicence(uuids.validLicence, {pageSize: 300});
+
+    readable
+      .on('data', item => items.push(item))
+      .on('error', done)
+      .on('end', () => {
+        try {
+          expect(items).to.have.lengthOf(total);
+          expect(memberCalls()).to.have.lengthOf(4);
+          expect(readable.cursor).to.be.undefined;
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+  });
+
+  it('Should emit the errors on the stream', done => {
+    transport.route('GET', overrides.MYFT_API_URL, /^\/user\/[^/]+\/followed\/concept$/, () => ({status: 404}));
+
+    myFT.streamConceptsFollowedByUser(uuids.invalidUser)
+      .on('data', () => done(new Error('No data expected')))
+      .on('error', err => {
+        expect(err).to.be.an.instanceof(clientErrors.NotFoundError);
+        done();
+      });
+  });
+
+  it('Should page the full listings as per MYFT_PAGE_SIZE', () => {
+    myFT = proxies.createClients(Object.assign({transport, MYFT_PAGE_SIZE: 600}, overrides)).myFTClient;
+
+    return myFT.getUsersForLicence(uuids.validLicence)
+      .then(users => {
+        expect(users).to.have.lengthOf(total);
+        expect(memberCalls()).to.have.lengthOf(2);
+        expect(memberCalls()[1].url).to.contain('page=2&limit=600');
+      });
+  });
+
+  describe('prefetch', () => {
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+      myFT = proxies.createClients(Object.assign({transport, MYFT_PAGE_SIZE: 100, MYFT_PAGE_CONCURRENCY: 3}, overrides)).myFTClient;
+    });
+
+    it('Should fetch the pages concurrently and keep them in order', () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, req => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // the later pages come back first
+        return wait(20 - parseInt(req.query.page, 10)).then(() => {
+          inFlight--;
+          return pageOf(req);
+        });
+      });
+
+      return myFT.getUsersForLicence(uuids.validLicence)
+        .then(users => {
+          expect(users).to.have.lengthOf(total);
+          expect(users.map(user => user.uuid)).to.deep.equal(users.map((user, index) => `user-${index}`));
+          expect(memberCalls()).to.have.lengthOf(11);
+          expect(maxInFlight).to.equal(3);
+        });
+    });
+
+    it('Should fall back to sequential fetching when the total drifts', () => {
+      transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, req => {
+        const res = pageOf(req);
+        // users are added after the first page
+        total = 1150;
+        return res;
+      });
+
+      return myFT.getUsersForLicence(uuids.validLicence)
+        .then(users => {
+          expect(users).to.have.lengthOf(1150);
+          expect(users[1149].uuid).to.equal('user-1149');
+          // 11 pages at once, then 12 one after the other
+          expect(memberCalls()).to.have.lengthOf(23);
+          expect(memberCalls()[11].url).to.contain('page=1&limit=100');
+          expect(logMessages.some(params => params[0] === 'warn' && /total changed/.test(params[1].msg))).to.be.true;
+        });
+    });
+
+    it('Should not fetch the remaining pages once timed out', () => {
+      transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+\/member\/user$/, req => wait(20).then(() => pageOf(req)));
+
+      return myFT.getUsersForLicence(uuids.validLicence, {timeout: 30})
+        .then(() => {
+          throw new Error('Nothing thrown');
+        }, err => {
+          expect(err).to.be.an.instanceof(clientErrors.TimeoutError);
+          expect(memberCalls().length).to.be.within(2, 4);
+          const callCount = memberCalls().length;
+
+          return wait(50)
+            .then(() => {
+              expect(memberCalls()).to.have.lengthOf(callCount);
+            });
+        });
+    });
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const proxies = require('./../index');
+const testing = require('./../testing');
+const mockTransport = testing.mockTransport;
+const uuids = require('./mocks/uuids');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+const clientErrors = proxies.clientErrors;
+
+describe('Retries', () => {
+  let logMessageStub;
+  const logMessages = [];
+  const overrides = {
+    MYFT_API_URL: 'http://myft.mock',
+    fetchOptions: {maxRetries: 2, retryDelay: 1}
+  };
+  let transport;
+  let clients;
+
+  /**
+   * Routes the requests to the answers given, in order, the last one being repeated
+   * @param {String} method -
+   * @param {RegExp} pattern -
+   * @param {Array} answers - {status, body, headers}
+   * @returns {undefined}
+   */
+  const answerInTurn = (method, pattern, answers) => {
+    let count = 0;
+    transport.route(method, overrides.MYFT_API_URL, pattern, () => answers[Math.min(count++, answers.length - 1)]);
+  };
+  const callsTo = (method) => transport.calls.filter(call => call.method === method);
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    transport = mockTransport.create(overrides);
+    clients = proxies.createClients(Object.assign({transport}, overrides));
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should retry an idempotent request on a 503', () => {
+    answerInTurn('GET', /^\/license\/[^/]+$/, [{status: 503}, {status: 200, body: {uuid: uuids.validLicence}}]);
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(licence => {
+        expect(licence.uuid).to.equal(uuids.validLicence);
+        expect(callsTo('GET')).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should not retry a non idempotent request on a 502', () => {
+    answerInTurn('POST', /^\/license$/, [{status: 502}, {status: 200, body: {uuid: uuids.validLicence}}]);
+
+    return clients.myFTClient.addLicence(uuids.validLicence)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.BadGatewayError);
+        expect(err.retryable).to.be.false;
+        expect(callsTo('POST')).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should not retry a 400 or a 404', () => {
+    answerInTurn('GET', /^\/license\/[^/]+$/, [{status: 404}]);
+    answerInTurn('GET', /^\/user\/[^/]+\/preferred\/preference\/email-digest$/, [{status: 400}]);
+
+    return Promise.all([
+      clients.myFTClient.getLicence(uuids.invalidLicence).catch(err => err),
+      clients.myFTClient.getEmailDigestPreference(uuids.invalidUser).catch(err => err)
+    ])
+      .then(errors => {
+        expect(errors[0]).to.be.an.instanceof(clientErrors.NotFoundError);
+        expect(errors[1]).to.be.an.instanceof(clientErrors.BadRequestError);
+        expect(callsTo('GET')).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should give up once the retries are used up', () => {
+    answerInTurn('GET', /^\/license\/[^/]+$/, [{status: 504}]);
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.GatewayTimeoutError);
+        expect(callsTo('GET')).to.have.lengthOf(3);
+      });
+  });
+
+  it('Should honour Retry-After', () => {
+    const started = Date.now();
+    answerInTurn('POST', /^\/license$/, [{status: 429, headers: {'Retry-After': '1'}}, {status: 200, body: {uuid: uuids.validLicence}}]);
+
+    return clients.myFTClient.addLicence(uuids.validLicence)
+      .then(() => {
+        expect(callsTo('POST')).to.have.lengthOf(2);
+        expect(Date.now() - started).to.be.at.least(1000);
+      });
+  });
+
+  it('Should not wait for a Retry-After longer than the policy allows', () => {
+    answerInTurn('GET', /^\/license\/[^/]+$/, [{status: 503, headers: {'Retry-After': '3600'}}, {status: 200, body: {uuid: uuids.validLicence}}]);
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.ServiceUnavailableError);
+        expect(err.retryAfter).to.equal(3600000);
+        expect(callsTo('GET')).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should retry a connection error of an idempotent request only', () => {
+    const refused = () => {
+      const err = new Error('connect ECONNREFUSED');
+      err.code = 'ECONNREFUSED';
+      return Promise.reject(err);
+    };
+    transport.route('GET', overrides.MYFT_API_URL, /^\/license\/[^/]+$/, refused);
+    transport.route('POST', overrides.MYFT_API_URL, /^\/license$/, refused);
+
+    return Promise.all([
+      clients.myFTClient.getLicence(uuids.validLicence).catch(err => err),
+      clients.myFTClient.addLicence(uuids.validLicence).catch(err => err)
+    ])
+      .then(errors => {
+        expect(errors[0]).to.be.an.instanceof(clientErrors.ConnectionError);
+        expect(errors[1]).to.be.an.instanceof(clientErrors.ConnectionError);
+        expect(callsTo('GET')).to.have.lengthOf(3);
+        expect(callsTo('POST')).to.have.lengthOf(1);
+      });
+  });
+
+  it('Should apply the per operation overrides', () => {
+    const retryPolicy = {operations: {'myFTClient.getNode - license': {maxRetries: 0}}};
+    clients = proxies.createClients(Object.assign({transport, retryPolicy}, overrides));
+    answerInTurn('GET', /^\/license\/[^/]+$/, [{status: 503}, {status: 200, body: {uuid: uuids.validLicence}}]);
+
+    return clients.myFTClient.getLicence(uuids.validLicence)
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err).to.be.an.instanceof(clientErrors.ServiceUnavailableError);
+        expect(callsTo('GET')).to.have.lengthOf(1);
+      });
+  });
+
+  describe('policy', () => {
+    const retry = require('./../lib/helpers/retry');
+
+    it('Should back off exponentially, with jitter, up to maxDelay', () => {
+      const policy = retry.createPolicy({fetchOptions: {retryDelay: 100}, retryPolicy: {maxDelay: 1000}});
+
+      for (let i = 0; i < 50; i++) {
+        expect(retry.backoff(policy, 0)).to.be.within(0, 99);
+        expect(retry.backoff(policy, 2)).to.be.within(0, 399);
+        expect(retry.backoff(policy, 10)).to.be.within(0, 999);
+      }
+    });
+
+    it('Should retry the errors flagged retryable only', () => {
+      const policy = retry.createPolicy({});
+
+      [400, 404, 408, 409, 429, 500, 502, 503, 504].forEach(status => {
+        ['GET', 'PUT', 'POST', 'DELETE'].forEach(method => {
+          const error = new clientErrors.StatusError(`${status}`, {status, method});
+          expect(retry.isRetryableRequest(policy, method, {error}), `${method} ${status}`).to.equal(error.retryable);
+          expect(retry.isRetryableRequest(policy, method, {result: {status}}), `${method} ${status}`).to.equal(error.retryable);
+        });
+      });
+    });
+
+    it('Should go by the retryable flag of the errors', () => {
+      const policy = retry.createPolicy({});
+      const notRetryable = new clientErrors.StatusError('503', {status: 503, method: 'GET', retryable: false});
+      const circuitOpen = new clientErrors.CircuitOpenError('open', {status: 503});
+
+      expect(retry.isRetryableRequest(policy, 'GET', {error: notRetryable})).to.be.false;
+      expect(retry.isRetryableRequest(policy, 'GET', {error: circuitOpen})).to.be.false;
+      expect(retry.isRetryableRequest(policy, 'GET', {error: new Error('oops')})).to.be.false;
+    });
+  });
+});
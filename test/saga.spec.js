@@ -0,0 +1,256 @@
+'use strict';
+
+const proxies = require('./../index');
+const saga = proxies.saga;
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const logger = require('@financial-times/n-logger').default;
+
+describe('saga', () => {
+  let logMessageStub;
+  const logMessages = [];
+  let calls;
+  let store;
+
+  // a step recording its action and compensation
+  const step = (name, action) => ({
+    name,
+    action: context => {
+      calls.push(`${name}`);
+      return action ? action(context) : `${name} done`;
+    },
+    compensate: (context, output) => {
+      calls.push(`undo ${name}${output ? ` (${output})` : ''}`);
+    }
+  });
+  const fail = message => () => Promise.reject(new Error(message));
+
+  before(done => {
+    logMessageStub = sinon.stub(logger, 'log').callsFake((...params) => {
+      logMessages.push(params);
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    calls = [];
+    store = saga.createMemoryStore();
+  });
+
+  after(done => {
+    logMessageStub.restore();
+
+    done();
+  });
+
+  it('Should run the steps in turn, giving them the outputs of the previous ones', () => {
+    const outputs = [];
+    const theSaga = saga.create({name: 'test', steps: [
+      step('first', context => `${context.input.userId} followed`),
+      step('second', context => {
+        outputs.push(context.outputs);
+        return 'second done';
+      })
+    ]}, {store});
+
+    return theSaga.run('id-1', {userId: 'user-1'})
+      .then(state => {
+        expect(calls).to.deep.equal(['first', 'second']);
+        expect(outputs).to.deep.equal([{first: 'user-1 followed'}]);
+        expect(state.status).to.equal(saga.STATUSES.completed);
+        expect(state.steps.map(record => [record.step, record.status, record.output])).to.deep.equal([
+          ['first', 'completed', 'user-1 followed'],
+          ['second', 'completed', 'second done']
+        ]);
+
+        return theSaga.getState('id-1');
+      })
+      .then(state => {
+        expect(state.status).to.equal('completed');
+        expect(state.input).to.deep.equal({userId: 'user-1'});
+      });
+  });
+
+  it('Should compensate the steps begun when one fails', () => {
+    const theSaga = saga.create({name: 'test', steps: [step('first'), step('second', fail('second failed')), step('third')]}, {store});
+
+    return theSaga.run('id-1')
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.message).to.equal('second failed');
+        expect(calls).to.deep.equal(['first', 'second', 'undo second', 'undo first (first done)']);
+        expect(err.saga.status).to.equal(saga.STATUSES.rolledBack);
+        expect(err.saga.steps.map(record => [record.step, record.status, record.compensated])).to.deep.equal([
+          ['first', 'completed', true],
+          ['second', 'failed', true],
+          ['third', 'pending', undefined]
+        ]);
+        expect(err.saga.steps[1].error).to.equal('second failed');
+      });
+  });
+
+  it('Should retry the compensations which failed on resume', () => {
+    let undoFails = true;
+    const first = step('first');
+    first.compensate = () => undoFails ? Promise.reject(new Error('undo failed')) : Promise.resolve();
+    const theSaga = saga.create({name: 'test', steps: [first, step('second', fail('second failed'))]}, {store});
+
+    return theSaga.run('id-1')
+      .catch(err => {
+        expect(err.saga.status).to.equal(saga.STATUSES.rollbackFailed);
+        expect(err.saga.steps[0].compensationError).to.equal('undo failed');
+        undoFails = false;
+        calls = [];
+
+        return theSaga.resume('id-1');
+      })
+      .then(state => {
+        expect(state.status).to.equal(saga.STATUSES.rolledBack);
+        // the compensation done isn't done again
+        expect(calls).to.deep.equal([]);
+        expect(state.steps[0].compensated).to.be.true;
+      });
+  });
+
+  it('Should resume an interrupted saga from the step it was at', () => {
+    const steps = [step('first'), step('second'), step('third')];
+    const theSaga = saga.create({name: 'test', steps}, {store});
+    // as left by a process which died during the second step
+    const interrupted = {
+      id: 'id-1',
+      saga: 'test',
+      status: 'running',
+      input: {userId: 'user-1'},
+      steps: [
+        {step: 'first', status: 'completed', output: 'first done'},
+        {step: 'second', status: 'started'},
+        {step: 'third', status: 'pending'}
+      ]
+    };
+
+    return store.set('kat:saga:test:id-1', interrupted)
+      .then(() => theSaga.resume('id-1'))
+      .then(state => {
+        expect(calls).to.deep.equal(['second', 'third']);
+        expect(state.status).to.equal('completed');
+      });
+  });
+
+  it('Should roll back an interrupted saga', () => {
+    const theSaga = saga.create({name: 'test', steps: [step('first'), step('second')]}, {store});
+
+    return store.set('kat:saga:test:id-1', {
+      id: 'id-1',
+      saga: 'test',
+      status: 'running',
+      steps: [{step: 'first', status: 'completed', output: 'first done'}, {step: 'second', status: 'started'}]
+    })
+      .then(() => theSaga.rollback('id-1'))
+      .then(state => {
+        expect(calls).to.deep.equal(['undo second', 'undo first (first done)']);
+        expect(state.status).to.equal('rolledBack');
+
+        return theSaga.resume('id-1');
+      })
+      .then(state => {
+        expect(state.status).to.equal('rolledBack');
+        expect(calls).to.have.lengthOf(2);
+      });
+  });
+
+  it('Should not run a saga twice', () => {
+    const theSaga = saga.create({name: 'test', steps: [step('first')]}, {store});
+
+    return theSaga.run('id-1')
+      .then(() => theSaga.run('id-1'))
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.message).to.contain('already been run');
+        expect(calls).to.deep.equal(['first']);
+
+        return theSaga.forget('id-1');
+      })
+      .then(() => theSaga.run('id-1'))
+      .then(state => {
+        expect(state.status).to.equal('completed');
+      });
+  });
+
+  it('Should use the store given', () => {
+    const entries = {};
+    const syncStore = {
+      get: key => entries[key] && JSON.parse(entries[key]),
+      set: (key, state) => {
+        entries[key] = JSON.stringify(state);
+      },
+      delete: key => {
+        delete entries[key];
+      }
+    };
+
+    return saga.create({name: 'test', steps: [step('first')]}, {store: syncStore, prefix: 'app:'}).run('id-1')
+      .then(() => {
+        expect(JSON.parse(entries['app:test:id-1']).status).to.equal('completed');
+      });
+  });
+
+  it('Should build the steps from the input, again on resume', () => {
+    // a step per group, the groups being looked up before the saga is run
+    const steps = input => input.groups.map(group => step('leave', () => group));
+    const theSaga = saga.create({name: 'test', steps}, {store});
+
+    return store.set('kat:saga:test:id-1', {
+      id: 'id-1',
+      saga: 'test',
+      status: 'running',
+      input: {groups: ['group-1', 'group-2', 'group-3']},
+      steps: [{step: 'leave', status: 'completed', output: 'group-1'}, {step: 'leave', status: 'started'}, {step: 'leave', status: 'pending'}]
+    })
+      .then(() => theSaga.resume('id-1'))
+      .then(state => {
+        expect(calls).to.deep.equal(['leave', 'leave']);
+        expect(state.steps.map(record => record.output)).to.deep.equal(['group-1', 'group-2', 'group-3']);
+
+        return theSaga.rollback('id-1');
+      })
+      .then(() => {
+        // the steps sharing a name are undone with their own output
+        expect(calls.slice(2)).to.deep.equal(['undo leave (group-3)', 'undo leave (group-2)', 'undo leave (group-1)']);
+      });
+  });
+
+  it('Should not resume a saga with steps other than the ones it was run with', () => {
+    const theSaga = saga.create({name: 'test', steps: input => input.groups.map(group => step(`leave ${group}`))}, {store});
+
+    return store.set('kat:saga:test:id-1', {
+      id: 'id-1',
+      saga: 'test',
+      status: 'running',
+      input: {groups: ['group-1']},
+      steps: [{step: 'leave group-2', status: 'started'}]
+    })
+      .then(() => theSaga.resume('id-1'))
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.message).to.contain('other steps');
+        expect(calls).to.deep.equal([]);
+      });
+  });
+
+  it('Should need a name and steps with a name and an action', () => {
+    expect(() => saga.create({steps: []})).to.throw();
+    expect(() => saga.create({name: 'test', steps: [{name: 'first'}]})).to.throw();
+    expect(() => saga.create({name: 'test', steps: [{action: () => undefined}]})).to.throw();
+
+    return saga.create({name: 'test', steps: () => [{name: 'first'}]}, {store}).run('id-1')
+      .then(() => {
+        throw new Error('Nothing thrown');
+      }, err => {
+        expect(err.message).to.contain('need a name and an action');
+      });
+  });
+});
@@ -106,6 +106,26 @@ describe('User Profile Service Client', () => {
         .catch(done);
     });
 
+    if (mockAPI) {
+      it('Should not turn later getUUID calls into HEAD requests', done => {
+        nock(baseUrl)
+          .head(`?${qs.stringify({id: uuids.validUser})}`)
+          .reply(200, () => null);
+        nock(baseUrl)
+          .get(`?${qs.stringify({email: uuids.validUserEmail})}`)
+          .reply(200, () => require('./mocks/fixtures/userProfile'));
+
+        userProfile.exists(uuids.validUser)
+          .then(() => userProfile.getUUID(uuids.validUserEmail))
+          .then(userProfile => {
+            expectOwnProperties(userProfile, ['id']);
+
+            done();
+          })
+          .catch(done);
+      });
+    }
+
   });
 
 });
@@ -0,0 +1,8 @@
+'use strict';
+
+// the test support modules, left out of index.js so the apps only load them in their tests:
+// const testing = require('kat-client-proxies/testing');
+module.exports = {
+  mockTransport: require('./lib/testing/mockTransport'),
+  myFTServer: require('./lib/testing/myFTServer')
+};